@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+const NAME_PATTERN = /^[A-Za-z0-9._-]+$/;
+const ACTIONS = ['print', 'status', 'labels', 'admin'];
+
+function authError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// API keys scoped to printers and actions. Keys come from API_KEYS (inline JSON) or
+// API_KEYS_FILE, as { id: { key | keyHash, printers, actions } } or an array with "id".
+// keyHash is the hex SHA-256 of the key, so the config does not have to hold secrets.
+class ApiKeyStore {
+  constructor() {
+    this.keys = new Map(); // sha256(key) -> key definition
+  }
+
+  static fromEnv(printerNames, env = process.env) {
+    const store = new ApiKeyStore();
+    const definitions = ApiKeyStore.loadDefinitions(env);
+
+    for (const [id, definition] of Object.entries(definitions)) {
+      store.register(id, definition, printerNames);
+    }
+
+    return store;
+  }
+
+  static loadDefinitions(env = process.env) {
+    let raw = null;
+
+    if (env.API_KEYS_FILE) {
+      try {
+        raw = fs.readFileSync(env.API_KEYS_FILE, 'utf8');
+      } catch (error) {
+        throw new Error(`Failed to read API_KEYS_FILE: ${error.message}`);
+      }
+    } else if (env.API_KEYS) {
+      raw = env.API_KEYS;
+    }
+
+    if (!raw) {
+      return {};
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`Invalid API key definitions JSON: ${error.message}`);
+    }
+
+    // Accept either { id: definition } or [{ id, ...definition }]
+    if (Array.isArray(parsed)) {
+      return parsed.reduce((acc, entry) => {
+        if (!entry || !entry.id) {
+          throw new Error('Each API key definition in an array must have an "id"');
+        }
+        acc[entry.id] = { ...entry };
+        delete acc[entry.id].id;
+        return acc;
+      }, {});
+    }
+
+    if (!parsed || typeof parsed !== 'object') {
+      throw new Error('API key definitions must be a JSON object or array');
+    }
+
+    return parsed;
+  }
+
+  register(id, definition, printerNames = []) {
+    if (!NAME_PATTERN.test(id)) {
+      throw new Error(`Invalid API key id "${id}": use letters, digits, ".", "_" or "-"`);
+    }
+
+    const hash = definition.keyHash
+      ? String(definition.keyHash).toLowerCase()
+      : definition.key
+        ? sha256(String(definition.key))
+        : null;
+    if (!hash || !/^[0-9a-f]{64}$/.test(hash)) {
+      throw new Error(`API key "${id}" needs a "key" or a SHA-256 "keyHash"`);
+    }
+    if (this.keys.has(hash)) {
+      throw new Error(`API key "${id}" duplicates another key`);
+    }
+
+    const actions = definition.actions || ACTIONS.filter((action) => action !== 'admin');
+    const unknownAction = actions.find((action) => !ACTIONS.includes(action));
+    if (unknownAction) {
+      throw new Error(
+        `API key "${id}" has unknown action "${unknownAction}". Supported: ${ACTIONS.join(', ')}`
+      );
+    }
+
+    const printers = definition.printers || ['*'];
+    const unknownPrinter = printers.find((name) => name !== '*' && !printerNames.includes(name));
+    if (unknownPrinter) {
+      throw new Error(`API key "${id}" refers to unknown printer "${unknownPrinter}"`);
+    }
+
+    const entry = { id, actions, printers, hash };
+    this.keys.set(hash, entry);
+    return entry;
+  }
+
+  get enabled() {
+    return this.keys.size > 0;
+  }
+
+  // The key presented with a request: X-API-Key, Authorization: Bearer <key>, or
+  // Authorization: Basic with the key as password (for IPP clients and browsers)
+  static extractKey(req) {
+    const header = req.get('x-api-key');
+    if (header) {
+      return header.trim();
+    }
+
+    const authorization = req.get('authorization') || '';
+    const [scheme, credentials] = authorization.split(' ');
+    if (/^bearer$/i.test(scheme) && credentials) {
+      return credentials.trim();
+    }
+    if (/^basic$/i.test(scheme) && credentials) {
+      const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+      const separator = decoded.indexOf(':');
+      return separator === -1 ? decoded : decoded.substring(separator + 1);
+    }
+
+    return null;
+  }
+
+  // Find the key definition for a request; throws 401 when it is missing or unknown
+  authenticate(req) {
+    const key = ApiKeyStore.extractKey(req);
+    if (!key) {
+      throw authError(401, 'Authentication required: provide an API key');
+    }
+
+    const hash = sha256(key);
+    for (const [candidate, entry] of this.keys) {
+      if (crypto.timingSafeEqual(Buffer.from(candidate, 'hex'), Buffer.from(hash, 'hex'))) {
+        return entry;
+      }
+    }
+
+    throw authError(401, 'Invalid API key');
+  }
+
+  // Whether a key may perform an action, on a printer when one is given; admin keys may do anything
+  static allows(entry, action, printerName = null) {
+    if (entry.actions.includes('admin')) {
+      return true;
+    }
+    if (action && !entry.actions.includes(action)) {
+      return false;
+    }
+    return !printerName || entry.printers.includes('*') || entry.printers.includes(printerName);
+  }
+
+  // Throws 403 unless the key may perform the action
+  authorize(entry, action, printerName = null) {
+    if (!ApiKeyStore.allows(entry, action, printerName)) {
+      throw authError(
+        403,
+        `API key "${entry.id}" does not have "${action}" access` +
+          (printerName ? ` to printer "${printerName}"` : '')
+      );
+    }
+  }
+}
+
+ApiKeyStore.ACTIONS = ACTIONS;
+
+module.exports = ApiKeyStore;
@@ -0,0 +1,428 @@
+const dgram = require('dgram');
+const net = require('net');
+const os = require('os');
+const TCPPrinter = require('../printers/TCPPrinter');
+const USBPrinter = require('../printers/USBPrinter');
+const PrinterStatus = require('../printers/PrinterStatus');
+const PrinterSettings = require('../printers/PrinterSettings');
+const Logger = require('../logging/Logger');
+
+const ZEBRA_VENDOR_ID = 0x0a5f;
+const METHODS = ['udp', 'subnet', 'usb'];
+
+// ZebraNet discovery: a broadcast to UDP 4201 is answered by every Zebra print server
+const DISCOVERY_PORT = 4201;
+const DISCOVERY_REQUEST = Buffer.from([0x2e, 0x2c, 0x3a, 0x01, 0x00, 0x00]);
+
+// Fixed-width fields of a discovery reply: [offset, length]
+// prettier-ignore
+const REPLY_FIELDS = {
+  productNumber: [4, 8],
+  model:         [12, 20],
+  firmware:      [39, 10],
+  mac:           [54, 6],
+  serial:        [60, 10],
+  ip:            [80, 4],
+  name:          [101, 25],
+};
+const REPLY_MIN_LENGTH = 126;
+
+// Largest subnet probed in one request, and how many hosts are probed at once
+const MAX_SUBNET_HOSTS = 1024;
+const SCAN_CONCURRENCY = 32;
+
+// ~HI: host identification, answered with "model,firmware,dpmm,memory"
+const IDENTIFY_COMMAND = '~HI';
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function hex(id) {
+  return `0x${id.toString(16).padStart(4, '0')}`;
+}
+
+// Find Zebra printers on the LAN (ZebraNet UDP discovery, port 9100 subnet probe) and
+// attached over USB. Each result carries a printer definition ready for PRINTERS.
+class PrinterDiscovery {
+  constructor(options = {}) {
+    this.timeout = parseInt(options.timeout) || 3000;
+    // Hosts that don't accept a connection quickly are skipped during subnet probes
+    this.connectTimeout = parseInt(options.connectTimeout) || Math.min(this.timeout, 1000);
+    this.port = parseInt(options.port) || 9100;
+    this.registry = options.registry || null;
+    this.log = options.logger || Logger.root;
+  }
+
+  // Run the requested methods side by side; a failing method is reported, not fatal
+  async discover({ methods = ['udp', 'usb'], subnets = [] } = {}) {
+    const unknown = methods.find((method) => !METHODS.includes(method));
+    if (unknown) {
+      throw badRequest(`Unknown discovery method "${unknown}". Supported: ${METHODS.join(', ')}`);
+    }
+    if (methods.includes('subnet') && subnets.length === 0) {
+      throw badRequest('Subnet discovery needs a subnet, e.g. ?subnet=192.168.1.0/24');
+    }
+    // Validate every subnet before probing any of them
+    const hosts = methods.includes('subnet')
+      ? subnets.flatMap((subnet) => PrinterDiscovery.subnetHosts(subnet))
+      : [];
+
+    const runners = {
+      udp: () => this.broadcast(),
+      subnet: () => this.scan(hosts),
+      usb: () => this.usb(),
+    };
+
+    const started = Date.now();
+    const outcomes = await Promise.all(
+      methods.map((method) =>
+        runners[method]()
+          .then((printers) => ({ method, printers }))
+          .catch((error) => {
+            this.log.warn('Printer discovery failed', { method, error });
+            return { method, printers: [], error: error.message };
+          })
+      )
+    );
+
+    const printers = PrinterDiscovery.merge(outcomes.flatMap((outcome) => outcome.printers));
+    for (const printer of printers) {
+      printer.registeredAs = this.registeredAs(printer.printer);
+    }
+
+    this.log.info('Printer discovery finished', {
+      methods,
+      found: printers.length,
+      durationMs: Date.now() - started,
+    });
+
+    return {
+      printers,
+      errors: outcomes
+        .filter((outcome) => outcome.error)
+        .map(({ method, error }) => ({ method, error })),
+    };
+  }
+
+  // Printers found by several methods (UDP and subnet probe) are reported once
+  static merge(results) {
+    const merged = new Map();
+
+    for (const result of results) {
+      const existing = merged.get(result.address);
+      if (!existing) {
+        merged.set(result.address, result);
+        continue;
+      }
+
+      for (const [key, value] of Object.entries(result)) {
+        if (existing[key] === null || existing[key] === undefined) {
+          existing[key] = value;
+        }
+      }
+      existing.methods = [...new Set([...existing.methods, ...result.methods])];
+    }
+
+    return Array.from(merged.values());
+  }
+
+  // Name of an already registered printer with the same connection settings
+  registeredAs(definition) {
+    if (!this.registry) {
+      return null;
+    }
+
+    const match = this.registry.list().find((config) => {
+      if (config.type !== definition.type) {
+        return false;
+      }
+      if (config.type === 'tcp') {
+        return config.host === definition.host && config.port === definition.port;
+      }
+      return (
+        config.vendorId === parseInt(definition.vendorId, 16) &&
+        (!config.productId || config.productId === parseInt(definition.productId, 16)) &&
+        (!config.serialNumber || config.serialNumber === definition.serialNumber)
+      );
+    });
+
+    return match ? match.name : null;
+  }
+
+  networkResult(method, address, fields) {
+    return {
+      methods: [method],
+      connection: 'tcp',
+      address,
+      model: fields.model || null,
+      serial: fields.serial || null,
+      firmware: fields.firmware || null,
+      dpmm: fields.dpmm || null,
+      mac: fields.mac || null,
+      name: fields.name || null,
+      printer: { type: 'tcp', host: address, port: this.port },
+    };
+  }
+
+  // Directed broadcast addresses of the local IPv4 interfaces, plus the limited broadcast
+  static broadcastAddresses() {
+    const addresses = new Set(['255.255.255.255']);
+
+    for (const entries of Object.values(os.networkInterfaces())) {
+      for (const entry of entries || []) {
+        if (entry.family !== 'IPv4' && entry.family !== 4) continue;
+        if (entry.internal || !entry.netmask) continue;
+
+        const address = PrinterDiscovery.toInt(entry.address);
+        const mask = PrinterDiscovery.toInt(entry.netmask);
+        addresses.add(PrinterDiscovery.toAddress((address | ~mask) >>> 0));
+      }
+    }
+
+    return Array.from(addresses);
+  }
+
+  // Broadcast a ZebraNet discovery request and collect replies until the timeout
+  broadcast() {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+      const replies = new Map();
+      let timer = null;
+
+      const finish = (error) => {
+        clearTimeout(timer);
+        socket.close();
+        if (error) {
+          reject(error);
+        } else {
+          resolve(Array.from(replies.values()));
+        }
+      };
+
+      socket.on('message', (message, remote) => {
+        const fields = PrinterDiscovery.parseDiscoveryReply(message);
+        if (!fields) {
+          this.log.debug('Ignoring discovery reply', {
+            from: remote.address,
+            bytes: message.length,
+          });
+          return;
+        }
+        const address = fields.ip && fields.ip !== '0.0.0.0' ? fields.ip : remote.address;
+        replies.set(address, this.networkResult('udp', address, fields));
+      });
+
+      socket.on('error', finish);
+
+      socket.bind(0, () => {
+        socket.setBroadcast(true);
+        for (const address of PrinterDiscovery.broadcastAddresses()) {
+          socket.send(DISCOVERY_REQUEST, DISCOVERY_PORT, address, (error) => {
+            if (error) {
+              this.log.debug('Discovery broadcast failed', { address, error });
+            }
+          });
+        }
+        timer = setTimeout(() => finish(), this.timeout);
+      });
+    });
+  }
+
+  // Decode a discovery reply, or null when it is too short to be one
+  static parseDiscoveryReply(message) {
+    if (message.length < REPLY_MIN_LENGTH) {
+      return null;
+    }
+
+    const text = (field) => {
+      const [offset, length] = REPLY_FIELDS[field];
+      const value = message.toString('latin1', offset, offset + length);
+      return value.split('\0')[0].trim() || null;
+    };
+    const bytes = (field) => {
+      const [offset, length] = REPLY_FIELDS[field];
+      return Array.from(message.subarray(offset, offset + length));
+    };
+
+    return {
+      productNumber: text('productNumber'),
+      model: text('model'),
+      firmware: text('firmware'),
+      mac: bytes('mac')
+        .map((byte) => byte.toString(16).padStart(2, '0'))
+        .join(':'),
+      serial: text('serial'),
+      ip: bytes('ip').join('.'),
+      name: text('name'),
+    };
+  }
+
+  static toInt(address) {
+    return address.split('.').reduce((value, octet) => ((value << 8) | parseInt(octet)) >>> 0, 0);
+  }
+
+  static toAddress(value) {
+    return [24, 16, 8, 0].map((shift) => (value >>> shift) & 0xff).join('.');
+  }
+
+  // Host addresses of an IPv4 CIDR block (or a single address), without network and broadcast
+  static subnetHosts(subnet) {
+    const [address, prefixText = '32'] = String(subnet).trim().split('/');
+    const prefix = Number(prefixText);
+
+    if (!net.isIPv4(address) || !Number.isInteger(prefix) || prefix < 0 || prefix > 32) {
+      throw badRequest(`Invalid subnet "${subnet}": use an IPv4 address or CIDR block`);
+    }
+
+    const size = 2 ** (32 - prefix);
+    if (size > MAX_SUBNET_HOSTS) {
+      throw badRequest(
+        `Subnet ${subnet} is too large to probe: at most ${MAX_SUBNET_HOSTS} addresses (/22)`
+      );
+    }
+
+    const mask = prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0;
+    const network = (PrinterDiscovery.toInt(address) & mask) >>> 0;
+    // /31 and /32 have no network or broadcast address to skip
+    const first = size > 2 ? 1 : 0;
+    const last = size > 2 ? size - 2 : size - 1;
+
+    const hosts = [];
+    for (let offset = first; offset <= last; offset++) {
+      hosts.push(PrinterDiscovery.toAddress(network + offset));
+    }
+    return hosts;
+  }
+
+  // Probe port 9100 on each host and identify the ones that accept a connection
+  async scan(hosts) {
+    const results = [];
+    let next = 0;
+
+    const worker = async () => {
+      while (next < hosts.length) {
+        const host = hosts[next++];
+        if (await new TCPPrinter(host, this.port).isReachable(this.connectTimeout)) {
+          const result = await this.identify(host);
+          if (result) {
+            results.push(result);
+          }
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(SCAN_CONCURRENCY, hosts.length) }, worker));
+    return results;
+  }
+
+  // Ask a host for its identity with ~HI and its serial number over SGD;
+  // hosts that don't answer ~HI are not Zebra printers
+  async identify(host) {
+    const printer = new TCPPrinter(host, this.port);
+    printer.log = this.log.child({ host });
+
+    let identity;
+    try {
+      identity = PrinterDiscovery.parseIdentification(
+        await printer.query(IDENTIFY_COMMAND, PrinterStatus.isExtendedStatusComplete, this.timeout)
+      );
+    } catch (error) {
+      this.log.debug('No ~HI reply', { host, error: error.message });
+      return null;
+    }
+    if (!identity) {
+      return null;
+    }
+
+    // Older firmware has no SGD: the printer is still reported, without a serial number
+    const serial = await PrinterSettings.get(printer, 'device.unique_id', this.timeout).catch(
+      () => null
+    );
+
+    return this.networkResult('subnet', host, { ...identity, serial });
+  }
+
+  // Parse a ~HI reply: "ZT410-203dpi,V75.19.15Z,8,8192KB"
+  static parseIdentification(response) {
+    const [frame] = PrinterStatus.frames(response);
+    if (!frame) {
+      return null;
+    }
+
+    const [model, firmware, dpmm, memory] = frame.split(',').map((value) => value.trim());
+    return {
+      model: model || null,
+      firmware: firmware || null,
+      dpmm: parseInt(dpmm) || null,
+      memory: memory || null,
+    };
+  }
+
+  // Every attached Zebra USB printer, identified by its descriptors and ~HI
+  async usb() {
+    const results = [];
+
+    for (const device of USBPrinter.listDevices(ZEBRA_VENDOR_ID)) {
+      let description;
+      try {
+        description = await USBPrinter.describe(device);
+      } catch (error) {
+        // Devices claimed by another process can't be opened, but are still listed
+        description = {
+          vendorId: device.deviceDescriptor.idVendor,
+          productId: device.deviceDescriptor.idProduct,
+          busNumber: device.busNumber,
+          deviceAddress: device.deviceAddress,
+          product: null,
+          serialNumber: null,
+          error: error.message,
+        };
+      }
+
+      const definition = {
+        type: 'usb',
+        vendorId: hex(description.vendorId),
+        productId: hex(description.productId),
+        ...(description.serialNumber && { serialNumber: description.serialNumber }),
+      };
+
+      let identity = null;
+      if (!description.error) {
+        const printer = new USBPrinter(
+          description.vendorId,
+          description.productId,
+          description.serialNumber
+        );
+        printer.log = this.log.child({ productId: definition.productId });
+        identity = await printer
+          .query(IDENTIFY_COMMAND, PrinterStatus.isExtendedStatusComplete, this.timeout)
+          .then(PrinterDiscovery.parseIdentification)
+          .catch((error) => {
+            this.log.debug('No ~HI reply over USB', { productId: definition.productId, error });
+            return null;
+          });
+      }
+
+      results.push({
+        methods: ['usb'],
+        connection: 'usb',
+        address: `usb:${description.busNumber}-${description.deviceAddress}`,
+        model: (identity && identity.model) || description.product,
+        serial: description.serialNumber,
+        firmware: identity && identity.firmware,
+        dpmm: identity && identity.dpmm,
+        ...(description.error && { error: description.error }),
+        printer: definition,
+      });
+    }
+
+    return results;
+  }
+}
+
+PrinterDiscovery.METHODS = METHODS;
+
+module.exports = PrinterDiscovery;
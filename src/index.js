@@ -1,149 +1,1888 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
+const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
 const PrinterFactory = require('./printers/PrinterFactory');
+const PrinterRegistry = require('./printers/PrinterRegistry');
+const PrinterSettings = require('./printers/PrinterSettings');
+const PrinterBatch = require('./printers/PrinterBatch');
+const VirtualPrinter = require('./printers/VirtualPrinter');
+const JobQueue = require('./jobs/JobQueue');
+const JobHistory = require('./jobs/JobHistory');
+const TemplateStore = require('./templates/TemplateStore');
+const MailMerge = require('./templates/MailMerge');
+const MergeRunner = require('./jobs/MergeRunner');
+const WebhookStore = require('./webhooks/WebhookStore');
+const WebhookDispatcher = require('./webhooks/WebhookDispatcher');
+const RawPrintServer = require('./servers/RawPrintServer');
+const IppServer = require('./ipp/IppServer');
+const ImageConverter = require('./zpl/ImageConverter');
+const ZplValidator = require('./zpl/ZplValidator');
+const ZplEncoding = require('./zpl/ZplEncoding');
+const LabelBuilder = require('./zpl/LabelBuilder');
+const ApiKeyStore = require('./auth/ApiKeyStore');
+const PrintMetrics = require('./metrics/PrintMetrics');
+const PrinterDiscovery = require('./discovery/PrinterDiscovery');
+const Logger = require('./logging/Logger');
 
 const app = express();
 const PORT = process.env.API_PORT || 3000;
+const logger = Logger.root;
+
+// Client-supplied request IDs are reused when they look like IDs, otherwise one is generated
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Health checks and scrapes would drown out the access log
+const QUIET_PATHS = ['/health', '/metrics'];
+
+// Cross-origin access is limited to CORS_ORIGINS (comma-separated, or * for any origin)
+const corsOrigins = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map((origin) => origin.trim())
+  .filter(Boolean);
 
 // Middleware
-app.use(cors());
+app.use((req, res, next) => {
+  const requestId = req.get('x-request-id');
+  req.id = requestId && REQUEST_ID_PATTERN.test(requestId) ? requestId : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set('X-Request-Id', req.id);
+
+  const started = Date.now();
+  res.on('finish', () => {
+    const level = QUIET_PATHS.includes(req.path) ? 'debug' : 'info';
+    req.log[level]('Request completed', {
+      method: req.method,
+      path: req.path,
+      status: res.statusCode,
+      durationMs: Date.now() - started,
+      ...(req.apiKey && { apiKey: req.apiKey.id }),
+    });
+  });
+  next();
+});
+app.use(cors({ origin: corsOrigins.includes('*') ? true : corsOrigins }));
 app.use(express.json({ limit: '10mb' }));
-app.use(express.text({ limit: '10mb' }));
+// Text bodies are kept as bytes, so print data reaches the printer exactly as sent
+app.use(express.raw({ type: 'text/*', limit: '10mb' }));
 app.use(express.raw({ limit: '10mb' }));
 
-// Printer configuration from environment variables
-const printerConfig = {
-  type: process.env.PRINTER_TYPE || 'tcp',
-  host: process.env.PRINTER_HOST,
-  port: parseInt(process.env.PRINTER_PORT) || 9100,
-  vendorId: process.env.USB_VENDOR_ID ? parseInt(process.env.USB_VENDOR_ID, 16) : 0x0a5f,
-  productId: process.env.USB_PRODUCT_ID ? parseInt(process.env.USB_PRODUCT_ID, 16) : null,
-  virtual: {
-    dpmm: process.env.VIRTUAL_DPMM || '8dpmm',
-    labelWidth: process.env.VIRTUAL_LABEL_WIDTH || '100',
-    labelHeight: process.env.VIRTUAL_LABEL_HEIGHT || '150',
-    labelIndex: process.env.VIRTUAL_LABEL_INDEX || '0',
-    outputFormat: process.env.VIRTUAL_OUTPUT_FORMAT || 'png',
-    saveDirectory: process.env.VIRTUAL_SAVE_DIRECTORY || './generated_labels',
-    baseUrl: process.env.VIRTUAL_BASE_URL || 'http://api.labelary.com/v1/printers',
-  },
-};
+// Printer configuration from environment variables
+const printerConfig = {
+  type: process.env.PRINTER_TYPE || 'tcp',
+  host: process.env.PRINTER_HOST,
+  port: parseInt(process.env.PRINTER_PORT) || 9100,
+  vendorId: process.env.USB_VENDOR_ID ? parseInt(process.env.USB_VENDOR_ID, 16) : 0x0a5f,
+  productId: process.env.USB_PRODUCT_ID ? parseInt(process.env.USB_PRODUCT_ID, 16) : null,
+  serialNumber: process.env.USB_SERIAL_NUMBER || null,
+  statusCheck: process.env.PRINTER_STATUS_CHECK || 'off',
+  // Code page print data is transcoded to, and whether a matching ^CI is inserted
+  encoding: process.env.ZEBRA_ENCODING || null,
+  insertCi: process.env.ZEBRA_INSERT_CI === 'true',
+  // How often printer pools check their members, unless a pool sets healthCheckInterval
+  poolHealthCheckInterval: parseInt(process.env.POOL_HEALTH_CHECK_INTERVAL) || 30000,
+  virtual: {
+    dpmm: process.env.VIRTUAL_DPMM || '8dpmm',
+    labelWidth: process.env.VIRTUAL_LABEL_WIDTH || '100',
+    labelHeight: process.env.VIRTUAL_LABEL_HEIGHT || '150',
+    labelIndex: process.env.VIRTUAL_LABEL_INDEX || '0',
+    outputFormat: process.env.VIRTUAL_OUTPUT_FORMAT || 'png',
+    saveDirectory: process.env.VIRTUAL_SAVE_DIRECTORY || './generated_labels',
+    baseUrl: process.env.VIRTUAL_BASE_URL || 'http://api.labelary.com/v1/printers',
+    renderer: process.env.VIRTUAL_RENDERER || 'labelary',
+    multiLabel: process.env.VIRTUAL_MULTI_LABEL || 'files',
+  },
+};
+
+// Named printers; the env-configured printer above is registered as the default
+const printers = PrinterRegistry.fromEnv(printerConfig);
+
+logger.info('Printer configuration', {
+  ...printerConfig,
+  // Don't log sensitive details in production
+  host:
+    printerConfig.type === 'tcp'
+      ? printerConfig.host
+      : printerConfig.type === 'usb'
+        ? 'USB'
+        : printerConfig.virtual.renderer === 'local'
+          ? 'Virtual (local renderer)'
+          : 'Virtual (Labelary API)',
+});
+logger.info('Registered printers', {
+  printers: printers.names(),
+  defaultPrinter: printers.defaultName,
+});
+
+// API keys scoped to printers and actions; authentication is off when none are configured
+const apiKeys = ApiKeyStore.fromEnv(printers.names());
+if (!apiKeys.enabled) {
+  logger.warn('API authentication is disabled: set API_KEYS or API_KEYS_FILE to require keys');
+}
+
+// Durable print job queue for asynchronous printing
+const jobQueue = new JobQueue({
+  storePath: process.env.JOB_STORE_PATH || './data/jobs.json',
+  // Queued sends log with the job ID and the ID of the request that queued them
+  createPrinter: (name, job) =>
+    printers.createPrinter(
+      name,
+      logger.child({ jobId: job.id, ...(job.requestId && { requestId: job.requestId }) })
+    ),
+  getPrinterType: (name) => (printers.has(name) ? printers.get(name).type : null),
+  // Pools send to their members side by side
+  getConcurrency: (name) =>
+    printers.has(name) && printers.get(name).type === 'pool'
+      ? printers.get(name).pool.members.length
+      : 1,
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 5,
+  retryDelay: parseInt(process.env.JOB_RETRY_DELAY) || 2000,
+  maxRetryDelay: parseInt(process.env.JOB_MAX_RETRY_DELAY) || 60000,
+  retention: parseInt(process.env.JOB_RETENTION) || 1000,
+  holdDelay: parseInt(process.env.JOB_HOLD_DELAY) || 10000,
+  checkPrinter: async (job) => {
+    if (!printers.has(job.printer)) return null;
+    const config = printers.get(job.printer);
+    if (config.statusCheck !== 'hold' || !supportsStatus(config)) return null;
+
+    const status = await getPrinterStatus(config);
+    return status.ready ? null : `Printer reports: ${status.errors.join(', ')}`;
+  },
+});
+
+PrintMetrics.observeQueue(jobQueue);
+
+// Audit trail of finished jobs, used by GET /jobs and reprints
+const jobHistory = new JobHistory({
+  storePath: process.env.JOB_HISTORY_PATH || './data/job-history.jsonl',
+  retention: parseInt(process.env.JOB_HISTORY_RETENTION) || 10000,
+  storePayloads: process.env.JOB_HISTORY_PAYLOADS === 'true',
+  getPrinterType: (name) => (printers.has(name) ? printers.get(name).type : null),
+});
+jobHistory.observe(jobQueue);
+
+// Signed event notifications to registered webhooks and per-request callback URLs
+const webhookStore = new WebhookStore({
+  storePath: process.env.WEBHOOK_STORE_PATH || './data/webhooks.json',
+});
+const webhooks = new WebhookDispatcher({
+  store: webhookStore,
+  secret: process.env.WEBHOOK_SECRET,
+  getPrinterType: (name) => (printers.has(name) ? printers.get(name).type : null),
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+  retryDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY) || 2000,
+  timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 5000,
+});
+
+// Queued jobs are accepted when queued; every job is sent or failed once it is recorded
+jobQueue.on('queued', (job) =>
+  webhooks.emit('job.accepted', webhooks.jobPayload(job), job.callbackUrl)
+);
+jobHistory.on('recorded', (entry, fields) =>
+  webhooks.emit(
+    entry.status === 'done' ? 'job.sent' : 'job.failed',
+    webhooks.jobPayload(entry),
+    fields.callbackUrl
+  )
+);
+
+// Stored ZPL templates with variable placeholders
+const templates = new TemplateStore(process.env.TEMPLATE_DIRECTORY || './data/templates');
+
+// Mail-merge runs printing in the background
+const mergeRunner = new MergeRunner({ history: jobHistory });
+
+// Raw TCP listeners: RAW_PORT for the default (or RAW_PRINTER) printer, plus any printer with a rawPort
+function createRawServers() {
+  const listeners = printers
+    .list()
+    .filter((config) => config.rawPort)
+    .map((config) => ({ port: config.rawPort, printerName: config.name }));
+
+  if (process.env.RAW_PORT) {
+    const printerName = process.env.RAW_PRINTER || printers.defaultName;
+    printers.get(printerName);
+    listeners.push({ port: parseInt(process.env.RAW_PORT), printerName });
+  }
+
+  // Raw connections carry no credentials, so with API keys enabled the listeners only accept
+  // local clients unless RAW_HOST opens them up explicitly
+  const host = process.env.RAW_HOST || (apiKeys.enabled ? '127.0.0.1' : '0.0.0.0');
+  if (listeners.length > 0 && apiKeys.enabled && process.env.RAW_HOST) {
+    logger.warn('Raw print listeners accept jobs without an API key', { host });
+  }
+
+  return listeners.map(
+    (listener) =>
+      new RawPrintServer({
+        ...listener,
+        host,
+        idleTimeout: parseInt(process.env.RAW_IDLE_TIMEOUT) || 5000,
+        // Raw clients can't see errors, so their jobs go through the retrying queue
+        onJob: (printerName, data, metadata) =>
+          jobQueue.enqueue(
+            printerName,
+            encodeForPrinter(data, printers.get(printerName)),
+            metadata
+          ),
+      })
+  );
+}
+
+const rawServers = createRawServers();
+
+// IPP front end so workstations can add the proxy as a regular printer
+const ippServer = new IppServer({
+  jobQueue,
+  printers,
+  encode: (printerName, data) => encodeForPrinter(data, printers.get(printerName)),
+  // The IPP routes check the key with requireAccess; clients are told to send one
+  authentication: apiKeys.enabled,
+});
+const ippParser = express.raw({ type: 'application/ipp', limit: '10mb' });
+
+// PNG and BMP uploads for image printing (application/octet-stream is parsed globally)
+const imageParser = express.raw({
+  type: ['image/png', 'image/bmp', 'image/x-bmp', 'image/x-ms-bmp'],
+  limit: '10mb',
+});
+
+// Require an API key allowed to perform the action, on the printer named by
+// printerName(req) when the route targets one
+function requireAccess(action, printerName = () => null) {
+  return (req, res, next) => {
+    if (!apiKeys.enabled) {
+      return next();
+    }
+
+    try {
+      const key = apiKeys.authenticate(req);
+      apiKeys.authorize(key, action, printerName(req));
+      req.apiKey = key;
+      next();
+    } catch (error) {
+      if (error.statusCode === 401) {
+        // Lets browsers and IPP clients prompt for the key
+        res.set('WWW-Authenticate', 'Basic realm="Zebra Proxy"');
+      }
+      sendError(res, error);
+    }
+  };
+}
+
+const defaultPrinter = () => printers.defaultName;
+const routePrinter = (req) => req.params.name;
+const queryPrinter = (req) => req.query.printer || printers.defaultName;
+const jobPrinter = (req) => {
+  const job = jobQueue.get(req.params.id) || jobHistory.get(req.params.id);
+  return job ? job.printer : null;
+};
+// Reprints go to ?printer= or "printer" in the body, or else the job's own printer
+const reprintPrinter = (req) =>
+  req.query.printer || (req.body && req.body.printer) || jobPrinter(req);
+// Batches go to ?printer= or "printer" in the body, or else the default printer
+const batchPrinter = (req) =>
+  req.query.printer || (req.body && req.body.printer) || printers.defaultName;
+const mergePrinter = (req) => {
+  const run = mergeRunner.get(req.params.id);
+  return run ? run.printer : null;
+};
+
+// Extract the data to print from a request body: a string from JSON, the raw bytes
+// otherwise, or null when there is none. JSON label descriptions are compiled to ZPL for
+// the printer.
+function extractPrintData(req, config = printers.getDefault()) {
+  if (req.is('application/json')) {
+    // If JSON, expect a 'data' field
+    if (req.body.data) {
+      return req.body.data;
+    }
+    if (LabelBuilder.isLabel(req.body)) {
+      return compileLabel(req.body, config, encodingOptions(req));
+    }
+    return JSON.stringify(req.body);
+  }
+  // Text and binary bodies are passed on untouched
+  return Buffer.isBuffer(req.body) && req.body.length > 0 ? req.body : null;
+}
+
+// Encode print data with the printer's code page (ZEBRA_ENCODING or "encoding" in its
+// definition); options.encoding and options.insertCi override the printer's settings
+function encodeForPrinter(data, config, options = {}) {
+  const insertCi = options.insertCi !== undefined ? options.insertCi : config.insertCi;
+  return ZplEncoding.encode(data, printerEncoding(config, options), { insertCi });
+}
+
+function printerEncoding(config, options = {}) {
+  return options.encoding !== undefined ? ZplEncoding.normalize(options.encoding) : config.encoding;
+}
+
+// Compile a JSON label description at the printer's resolution and label size. Text is
+// marked UTF-8 (^CI28) unless it is transcoded to a code page for the printer.
+function compileLabel(spec, config, encodingOptions = {}) {
+  const encoding = printerEncoding(config, encodingOptions);
+  return LabelBuilder.compile(spec, {
+    dpmm: parseInt(config.virtual.dpmm) || 8,
+    width: config.virtual.labelWidth,
+    height: config.virtual.labelHeight,
+    utf8: !encoding || encoding === 'utf8',
+  });
+}
+
+// Per-request encoding: ?encoding=cp850&ci=true, or "encoding" and "insertCi" in a JSON body
+function encodingOptions(req) {
+  const body = req.is('application/json') && req.body ? req.body : {};
+  const options = {};
+  if (req.query.encoding !== undefined || body.encoding !== undefined) {
+    options.encoding = req.query.encoding !== undefined ? req.query.encoding : body.encoding;
+  }
+  if (req.query.ci !== undefined) {
+    options.insertCi = req.query.ci === 'true';
+  } else if (typeof body.insertCi === 'boolean') {
+    options.insertCi = body.insertCi;
+  }
+  return options;
+}
+
+// Describe a printer configuration without exposing internal objects
+function describePrinter(config) {
+  return {
+    name: config.name,
+    type: config.type,
+    statusCheck: config.statusCheck,
+    ...(config.encoding && { encoding: config.encoding, insertCi: config.insertCi }),
+    ...(config.rawPort && { rawPort: config.rawPort }),
+    ...(config.type === 'tcp' && {
+      host: config.host,
+      port: config.port,
+    }),
+    ...(config.type === 'usb' && {
+      vendorId: `0x${config.vendorId.toString(16)}`,
+      productId: config.productId ? `0x${config.productId.toString(16)}` : 'auto-detect',
+      ...(config.serialNumber && { serialNumber: config.serialNumber }),
+    }),
+    ...(config.type === 'pool' && config.pool.describe()),
+    ...(config.type === 'virtual' && {
+      virtual: {
+        dpmm: config.virtual.dpmm,
+        labelSize: `${config.virtual.labelWidth}x${config.virtual.labelHeight} mm`,
+        outputFormat: config.virtual.outputFormat,
+        returnResponse: config.virtual.returnResponse,
+        renderer: config.virtual.renderer,
+        multiLabel: config.virtual.multiLabel,
+        apiEndpoint:
+          config.virtual.renderer === 'local'
+            ? null
+            : `${config.virtual.baseUrl}/${config.virtual.dpmm}/labels/${config.virtual.labelWidth}x${config.virtual.labelHeight}/${config.virtual.labelIndex}/`,
+      },
+    }),
+  };
+}
+
+// Whether the printer type can report its status
+function supportsStatus(config) {
+  return typeof PrinterFactory.createPrinter(config).getStatus === 'function';
+}
+
+// Query the printer for its current status
+async function getPrinterStatus(config, options = {}, log = logger) {
+  const printer = PrinterFactory.createPrinter(config, log);
+  if (typeof printer.getStatus !== 'function') {
+    const error = new Error(`Status queries are not supported for ${config.type} printers`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  let status;
+  try {
+    status = await printer.getStatus(options);
+  } catch (error) {
+    reportPrinterErrors(config, [`statusCheckFailed: ${error.message}`]);
+    throw error;
+  }
+  reportPrinterErrors(config, status.ready ? [] : status.errors, status);
+  return status;
+}
+
+// Errors each printer last reported, so printer.error is sent when they change rather than
+// on every status check
+const printerErrors = new Map();
+
+function reportPrinterErrors(config, errors, status = null) {
+  if (errors.length === 0) {
+    printerErrors.delete(config.name);
+    return;
+  }
+
+  const key = errors.join(',');
+  if (printerErrors.get(config.name) === key) return;
+  printerErrors.set(config.name, key);
+
+  webhooks.emit('printer.error', {
+    printer: config.name,
+    printerType: config.type,
+    errors,
+    status,
+  });
+}
+
+// Printers with printer.error subscribers are checked every WEBHOOK_STATUS_INTERVAL ms, so
+// errors are reported even when no client asks for the status
+const WEBHOOK_STATUS_INTERVAL = parseInt(process.env.WEBHOOK_STATUS_INTERVAL) || 60000;
+const monitoredChecks = new Set(); // printers whose monitoring check is still running
+
+function monitorPrinterErrors() {
+  printers.list().forEach((config) => {
+    if (monitoredChecks.has(config.name) || !supportsStatus(config)) return;
+    if (webhookStore.matching('printer.error', config.name).length === 0) return;
+
+    monitoredChecks.add(config.name);
+    getPrinterStatus(config)
+      .catch((error) => {
+        // Already reported to subscribers as statusCheckFailed
+        logger.debug('Monitoring status check failed', { printer: config.name, error });
+      })
+      .finally(() => monitoredChecks.delete(config.name));
+  });
+}
+
+// Hosts print clients may ask to be called back on; admin keys may use any public host
+const CALLBACK_HOSTS = (process.env.WEBHOOK_CALLBACK_HOSTS || '')
+  .split(',')
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// The URL a request asked to be called back on with its job's events: ?callbackUrl= or
+// "callbackUrl" in a JSON body. Callbacks are signed with WEBHOOK_SECRET, so one must be set.
+function callbackFor(req) {
+  const url =
+    req.query.callbackUrl || (req.is('application/json') && req.body && req.body.callbackUrl);
+  if (!url) {
+    return null;
+  }
+  if (!webhooks.secret) {
+    const error = new Error('callbackUrl needs WEBHOOK_SECRET to be set on the proxy');
+    error.statusCode = 400;
+    throw error;
+  }
+  return WebhookStore.validateCallbackUrl(url, {
+    allowedHosts: CALLBACK_HOSTS,
+    anyHost: !apiKeys.enabled || (req.apiKey && ApiKeyStore.allows(req.apiKey, 'admin')),
+  });
+}
+
+// Whether the client asked for the job to be queued instead of awaited
+function wantsAsync(req) {
+  const prefer = req.get('Prefer') || '';
+  return (
+    req.query.async === 'true' ||
+    prefer.includes('respond-async') ||
+    (req.is('application/json') && req.body.async === true)
+  );
+}
+
+// Strict mode validates ZPL before printing: ?strict=true, "strict": true in a JSON body,
+// or ZPL_STRICT=true to make it the default
+function wantsStrict(req) {
+  if (req.query.strict !== undefined) {
+    return req.query.strict === 'true';
+  }
+  if (req.is('application/json') && req.body && typeof req.body.strict === 'boolean') {
+    return req.body.strict;
+  }
+  return process.env.ZPL_STRICT === 'true';
+}
+
+// Send a print request to the given printer configuration
+// metadata is recorded with the job, e.g. { reprintOf: id }
+async function handlePrint(req, res, config, printData, metadata = {}) {
+  let printer = null;
+  const jobId = crypto.randomUUID();
+  const createdAt = new Date().toISOString();
+
+  let callbackUrl;
+  try {
+    callbackUrl = callbackFor(req);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  const jobFields = {
+    source: 'api',
+    client: req.ip,
+    requestId: req.id,
+    ...(req.apiKey && { apiKey: req.apiKey.id }),
+    ...(callbackUrl && { callbackUrl }),
+    ...metadata,
+  };
+
+  try {
+    if (printData === undefined) {
+      try {
+        printData = extractPrintData(req, config);
+      } catch (error) {
+        return sendError(res, error);
+      }
+    }
+    if (!printData) {
+      return res.status(400).json({
+        error: 'No print data provided',
+        message: 'Please provide data to print in the request body',
+      });
+    }
+
+    if (wantsStrict(req)) {
+      const validation = ZplValidator.validate(printData);
+      if (!validation.valid) {
+        PrintMetrics.recordRequest(config.name, 'invalid');
+        return res.status(422).json({
+          success: false,
+          error: `ZPL validation failed with ${validation.errors} error(s)`,
+          validation: validation,
+          printer: config.name,
+          printerType: config.type,
+          timestamp: new Date().toISOString(),
+        });
+      }
+    }
+
+    // Reprints resend the bytes that were sent the first time
+    if (!metadata.reprintOf) {
+      try {
+        printData = encodeForPrinter(printData, config, encodingOptions(req));
+      } catch (error) {
+        return sendError(res, error);
+      }
+    }
+
+    req.log.info('Print request received', {
+      printer: config.name,
+      ...req.log.payload(printData),
+      ...(req.apiKey && { apiKey: req.apiKey.id }),
+    });
+
+    // Refuse or hold jobs while the printer reports an error
+    let holdForPrinter = false;
+    if (config.statusCheck !== 'off' && supportsStatus(config)) {
+      let status;
+      try {
+        status = await getPrinterStatus(config, {}, req.log);
+      } catch (error) {
+        status = { ready: false, errors: [`statusCheckFailed: ${error.message}`] };
+      }
+
+      if (!status.ready && config.statusCheck === 'refuse') {
+        PrintMetrics.recordRequest(config.name, 'refused');
+        return res.status(503).json({
+          success: false,
+          error: `Printer not ready: ${status.errors.join(', ')}`,
+          status: status,
+          printer: config.name,
+          printerType: config.type,
+          timestamp: new Date().toISOString(),
+        });
+      }
+      holdForPrinter = !status.ready;
+    }
+
+    if (holdForPrinter || wantsAsync(req)) {
+      const job = jobQueue.enqueue(config.name, printData, jobFields);
+      PrintMetrics.recordRequest(config.name, holdForPrinter ? 'held' : 'queued');
+
+      return res.status(202).json({
+        success: true,
+        message: holdForPrinter ? 'Print job held until the printer is ready' : 'Print job queued',
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/jobs/${job.id}`,
+        printer: config.name,
+        printerType: config.type,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    PrintMetrics.recordRequest(config.name, 'sync');
+
+    // Create printer instance
+    printer = PrinterFactory.createPrinter(config, req.log);
+
+    webhooks.emit(
+      'job.accepted',
+      webhooks.jobPayload({
+        ...jobFields,
+        id: jobId,
+        printer: config.name,
+        printerType: config.type,
+        status: 'sending',
+        bytes: Buffer.byteLength(printData),
+        createdAt,
+      }),
+      callbackUrl
+    );
+
+    // Send to printer; pools fill in the member that printed and any that failed first
+    const result = await printer.print(printData);
+    jobHistory.record(
+      {
+        ...jobFields,
+        id: jobId,
+        printer: config.name,
+        printerType: config.type,
+        printedBy: printer.printedBy,
+        status: 'done',
+        response: result,
+        createdAt,
+      },
+      printData
+    );
+
+    res.json({
+      success: true,
+      message: 'Print job sent successfully',
+      jobId: jobId,
+      printer: config.name,
+      printerType: config.type,
+      ...(printer.printedBy && { printedBy: printer.printedBy }),
+      ...(printer.failures && printer.failures.length > 0 && { failedOver: printer.failures }),
+      result: result,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    // Only sends are jobs; failures before that (bad printer config) are not recorded
+    if (printer) {
+      jobHistory.record(
+        {
+          ...jobFields,
+          id: jobId,
+          printer: config.name,
+          printerType: config.type,
+          status: 'failed',
+          error: error.message,
+          createdAt,
+        },
+        printData
+      );
+    }
+
+    // The printer backend has already logged the failure with its timing
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      ...(printer && { jobId: jobId }),
+      printer: config.name,
+      printerType: config.type,
+      ...(printer && printer.failures && { failures: printer.failures }),
+      timestamp: new Date().toISOString(),
+    });
+  }
+}
+
+// Resolve a named printer from the route, replying 404 if it is not registered
+function resolvePrinter(req, res) {
+  const { name } = req.params;
+  if (!printers.has(name)) {
+    res.status(404).json({
+      error: `Printer not found: ${name}`,
+      availablePrinters: printers.names(),
+    });
+    return null;
+  }
+  return printers.get(name);
+}
+
+// Resolve the printer named in ?printer=, or the default printer
+function resolveQueryPrinter(req, res) {
+  const name = req.query.printer;
+  if (!name) {
+    return printers.getDefault();
+  }
+  if (!printers.has(name)) {
+    res.status(404).json({
+      error: `Printer not found: ${name}`,
+      availablePrinters: printers.names(),
+    });
+    return null;
+  }
+  return printers.get(name);
+}
+
+// Reply with an error, using its statusCode when it has one
+function sendError(res, error) {
+  if (!error.statusCode || error.statusCode >= 500) {
+    (res.req.log || logger).error('Request error', { error });
+  }
+
+  res.status(error.statusCode || 500).json({
+    success: false,
+    error: error.message,
+    ...(error.missing && { missing: error.missing }),
+    timestamp: new Date().toISOString(),
+  });
+}
+
+// Image conversion options from the query string; size defaults come from the printer's
+// virtual settings (dpmm and label width)
+function imageOptions(req, config) {
+  const query = req.query;
+  const number = (name) => (query[name] !== undefined ? parseFloat(query[name]) : undefined);
+  const options = {
+    threshold: number('threshold') ?? 128,
+    dither: query.dither || 'none',
+    compression: query.compression || 'ascii',
+    invert: query.invert === 'true',
+    fit: query.fit !== 'false',
+    dpmm: number('dpmm') ?? (parseInt(config.virtual.dpmm) || 8),
+    labelWidthMm: number('labelWidth') ?? parseFloat(config.virtual.labelWidth),
+    width: number('width'),
+    scale: number('scale'),
+    sourceDpi: number('sourceDpi'),
+    x: number('x') ?? 0,
+    y: number('y') ?? 0,
+  };
+
+  const invalid = Object.entries(options).find(
+    ([, value]) => typeof value === 'number' && (Number.isNaN(value) || value < 0)
+  );
+  if (invalid) {
+    throw ImageConverter.badRequest(`Invalid value for ${invalid[0]}: ${query[invalid[0]]}`);
+  }
+  if (options.threshold > 255) {
+    throw ImageConverter.badRequest('threshold must be between 0 and 255');
+  }
+  if (!['none', 'ascii', 'z64'].includes(options.compression)) {
+    throw ImageConverter.badRequest(
+      `Unsupported compression: ${options.compression}. Supported: none, ascii, z64`
+    );
+  }
+  options.x = Math.round(options.x);
+  options.y = Math.round(options.y);
+  if (options.width) options.width = Math.round(options.width);
+
+  return options;
+}
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    printerType: printers.getDefault().type,
+    defaultPrinter: printers.defaultName,
+    printerCount: printers.names().length,
+    queueDepth: jobQueue.depth(),
+  });
+});
+
+// Reply with the status of a printer
+async function handleStatus(req, res, config) {
+  try {
+    const status = await getPrinterStatus(
+      config,
+      { extended: req.query.extended !== 'false' },
+      req.log
+    );
+
+    res.json({
+      success: true,
+      printer: config.name,
+      printerType: config.type,
+      status: status,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    req.log.error('Printer status error', { printer: config.name, error });
+
+    res.status(error.statusCode || 502).json({
+      success: false,
+      error: error.message,
+      printer: config.name,
+      printerType: config.type,
+      timestamp: new Date().toISOString(),
+    });
+  }
+}
+
+// Prometheus metrics
+app.get('/metrics', requireAccess('status'), async (req, res) => {
+  try {
+    res.type(PrintMetrics.contentType).send(await PrintMetrics.metrics());
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Print endpoint (default printer)
+app.post('/print', requireAccess('print', defaultPrinter), (req, res) =>
+  handlePrint(req, res, printers.getDefault())
+);
+
+// Check ZPL for structural and parameter errors without printing
+app.post('/zpl/validate', requireAccess(null), (req, res) => {
+  let zpl;
+  try {
+    zpl = extractPrintData(req);
+  } catch (error) {
+    return sendError(res, error);
+  }
+  if (!zpl) {
+    return res.status(400).json({
+      error: 'No ZPL provided',
+      message: 'Please provide the ZPL to validate in the request body',
+    });
+  }
+
+  res.json({
+    success: true,
+    ...ZplValidator.validate(zpl),
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Compile a JSON label description to ZPL for the printer in ?printer= (default printer
+// otherwise), without printing it
+app.post('/zpl/compile', requireAccess('print', queryPrinter), (req, res) => {
+  const config = resolveQueryPrinter(req, res);
+  if (!config) return;
+
+  if (!req.is('application/json') || !LabelBuilder.isLabel(req.body)) {
+    return res.status(400).json({
+      error: 'No label description provided',
+      message: 'Please provide a JSON label with an "elements" array in the request body',
+    });
+  }
+
+  try {
+    res.type('text/plain').send(compileLabel(req.body, config, encodingOptions(req)));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Render ZPL (or a JSON label description) with a virtual printer without saving it and
+// return the image (or PDF/JSON). Settings start from the printer in ?printer= (default
+// printer otherwise) and can be changed per request with dpmm, labelWidth, labelHeight,
+// labelIndex, outputFormat and renderer.
+app.post('/zpl/preview', requireAccess('print', queryPrinter), async (req, res) => {
+  const config = resolveQueryPrinter(req, res);
+  if (!config) return;
+
+  try {
+    const virtual = { ...config.virtual, multiLabel: 'single', ...renderOverrides(req.query) };
+    // Labels are compiled at the preview's resolution and size
+    const zpl = extractPrintData(req, { ...config, virtual });
+    if (!zpl) {
+      return res.status(400).json({
+        error: 'No ZPL provided',
+        message: 'Please provide the ZPL to preview in the request body',
+      });
+    }
+
+    const printer = PrinterFactory.createPrinter(
+      { type: 'virtual', name: config.name, virtual },
+      req.log
+    );
+    const preview = await printer.preview(zpl);
+
+    res.set('X-Label-Count', String(preview.labelCount));
+    res.type(printer.getAcceptHeader(preview.outputFormat)).send(preview.data);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Get printer status/info (default printer)
+app.get('/printer/info', requireAccess('status', defaultPrinter), (req, res) => {
+  res.json(describePrinter(printers.getDefault()));
+});
+
+// Get live printer status (default printer)
+app.get('/printer/status', requireAccess('status', defaultPrinter), (req, res) =>
+  handleStatus(req, res, printers.getDefault())
+);
+
+// The value for setvar and do: { "value": ... } in JSON, or a plain text body
+function settingValue(req) {
+  if (req.is('application/json')) {
+    return req.body.value;
+  }
+  if (typeof req.body === 'string' || Buffer.isBuffer(req.body)) {
+    return req.body.toString().trim();
+  }
+  return undefined;
+}
+
+// Run an SGD operation against a printer and reply with the result
+async function handleSettings(req, res, config, operation) {
+  const { name } = req.params;
+  const timeout = parseInt(req.query.timeout) || undefined;
+
+  try {
+    const printer = PrinterFactory.createPrinter(config, req.log);
+    if (typeof printer.query !== 'function') {
+      const error = new Error(`Printer settings are not supported for ${config.type} printers`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    let result;
+    if (operation === 'get') {
+      result = { setting: name, value: await PrinterSettings.get(printer, name, timeout) };
+    } else if (operation === 'set') {
+      const requested = settingValue(req);
+      const value = await PrinterSettings.set(printer, name, requested, timeout);
+      result = { setting: name, requested: String(requested), value };
+    } else {
+      const value = settingValue(req);
+      const response = await PrinterSettings.execute(printer, name, value, timeout);
+      result = { action: name, ...(value !== undefined && { value: String(value) }), response };
+    }
+
+    res.json({
+      success: true,
+      printer: config.name,
+      printerType: config.type,
+      ...result,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    if (!error.statusCode) {
+      req.log.error('Printer settings error', { printer: config.name, setting: name, error });
+    }
+
+    res.status(error.statusCode || 502).json({
+      success: false,
+      error: error.message,
+      printer: config.name,
+      printerType: config.type,
+      timestamp: new Date().toISOString(),
+    });
+  }
+}
+
+// Read a printer setting over SGD (default printer, or ?printer=)
+app.get('/printer/settings/:name', requireAccess('status', queryPrinter), (req, res) => {
+  const config = resolveQueryPrinter(req, res);
+  if (!config) return;
+
+  return handleSettings(req, res, config, 'get');
+});
+
+// Change a printer setting over SGD; changing printer configuration takes an admin key
+app.put('/printer/settings/:name', requireAccess('admin', queryPrinter), (req, res) => {
+  const config = resolveQueryPrinter(req, res);
+  if (!config) return;
+
+  return handleSettings(req, res, config, 'set');
+});
+
+// Run an SGD action such as device.reset or file.dir
+app.post('/printer/do/:name', requireAccess('admin', queryPrinter), (req, res) => {
+  const config = resolveQueryPrinter(req, res);
+  if (!config) return;
+
+  return handleSettings(req, res, config, 'do');
+});
+
+// List registered printers
+app.get('/printers', requireAccess('status'), (req, res) => {
+  // Scoped keys only see the printers they have status access to
+  const visible = printers
+    .list()
+    .filter((config) => !req.apiKey || ApiKeyStore.allows(req.apiKey, 'status', config.name));
+
+  res.json({
+    success: true,
+    defaultPrinter: printers.defaultName,
+    printers: visible.map(describePrinter),
+    count: visible.length,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Find Zebra printers on the network and over USB. Probing a subnet opens connections to
+// every host in it, so discovery is limited to admin keys.
+app.get('/discover', requireAccess('admin'), async (req, res) => {
+  const list = (value) =>
+    value
+      ? String(value)
+          .split(',')
+          .map((item) => item.trim())
+          .filter(Boolean)
+      : [];
+  const subnets = list(req.query.subnet || process.env.DISCOVERY_SUBNET);
+  // The subnet probe runs only when a subnet is given
+  const methods = req.query.methods
+    ? list(req.query.methods)
+    : ['udp', ...(subnets.length > 0 ? ['subnet'] : []), 'usb'];
+
+  try {
+    const discovery = new PrinterDiscovery({
+      timeout: Math.min(
+        parseInt(req.query.timeout) || process.env.DISCOVERY_TIMEOUT || 3000,
+        30000
+      ),
+      registry: printers,
+      logger: req.log,
+    });
+    const result = await discovery.discover({ methods, subnets });
+
+    res.json({
+      success: true,
+      methods,
+      ...(subnets.length > 0 && methods.includes('subnet') && { subnets }),
+      printers: result.printers,
+      count: result.printers.length,
+      errors: result.errors,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Get info for a named printer
+app.get('/printers/:name/info', requireAccess('status', routePrinter), (req, res) => {
+  const config = resolvePrinter(req, res);
+  if (!config) return;
+
+  res.json(describePrinter(config));
+});
+
+// Get live status for a named printer
+app.get('/printers/:name/status', requireAccess('status', routePrinter), (req, res) => {
+  const config = resolvePrinter(req, res);
+  if (!config) return;
+
+  return handleStatus(req, res, config);
+});
+
+// Print to a named printer
+app.post('/printers/:name/print', requireAccess('print', routePrinter), (req, res) => {
+  const config = resolvePrinter(req, res);
+  if (!config) return;
+
+  return handlePrint(req, res, config);
+});
+
+// List stored templates
+app.get('/templates', requireAccess('print'), (req, res) => {
+  try {
+    const list = templates.list();
+    res.json({
+      success: true,
+      templates: list,
+      count: list.length,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Get a stored template
+app.get('/templates/:id', requireAccess('print'), (req, res) => {
+  try {
+    res.json(templates.get(req.params.id));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Create or replace a template (text body, or JSON with 'zpl' and 'description')
+app.put('/templates/:id', requireAccess('admin'), (req, res) => {
+  try {
+    const data = req.is('application/json') ? req.body.zpl : extractPrintData(req);
+    const zpl = Buffer.isBuffer(data) ? data.toString('utf8') : data;
+    const description = req.is('application/json') ? req.body.description : undefined;
+    const { template, created } = templates.save(req.params.id, zpl, description);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: `Template ${template.id} ${created ? 'created' : 'updated'}`,
+      template: template,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Delete a template
+app.delete('/templates/:id', requireAccess('admin'), (req, res) => {
+  try {
+    templates.delete(req.params.id);
+    res.json({
+      success: true,
+      message: `Template ${req.params.id} deleted successfully`,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Convert a PNG/BMP image to a ^GFA graphic and print it (?printer=name, default printer otherwise)
+app.post('/print/image', requireAccess('print', queryPrinter), imageParser, (req, res) => {
+  const config = resolveQueryPrinter(req, res);
+  if (!config) return;
+
+  let converted;
+  try {
+    converted = ImageConverter.toZpl(req.body, imageOptions(req, config));
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  req.log.info('Converted image', {
+    source: converted.source,
+    width: converted.width,
+    height: converted.height,
+  });
+  return handlePrint(req, res, config, converted.zpl);
+});
+
+// Convert an image and render it in memory with the printer's label settings, without saving
+// a label; ?format=zpl returns the generated ZPL only
+app.post(
+  '/print/image/preview',
+  requireAccess('print', queryPrinter),
+  imageParser,
+  async (req, res) => {
+    const config = resolveQueryPrinter(req, res);
+    if (!config) return;
+
+    try {
+      const converted = ImageConverter.toZpl(req.body, imageOptions(req, config));
+      if (req.query.format === 'zpl') {
+        return res.type('text/plain').send(converted.zpl);
+      }
+
+      const previewer = PrinterFactory.createPrinter(
+        {
+          type: 'virtual',
+          name: config.name,
+          virtual: { ...config.virtual, multiLabel: 'single' },
+        },
+        req.log
+      );
+      const preview = await previewer.preview(converted.zpl);
+      const type = previewer.getAcceptHeader(preview.outputFormat);
+
+      res.json({
+        success: true,
+        message: 'Image preview rendered',
+        printer: config.name,
+        width: converted.width,
+        height: converted.height,
+        source: converted.source,
+        zpl: converted.zpl,
+        image: `data:${type};base64,${Buffer.from(preview.data).toString('base64')}`,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  }
+);
+
+// Render a template with JSON variables and return the ZPL without printing
+app.post('/templates/:id/render', requireAccess('print'), (req, res) => {
+  try {
+    const zpl = templates.render(req.params.id, req.body);
+    res.type('text/plain').send(zpl);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Render a template with JSON variables and print it (?printer=name, default printer otherwise)
+app.post('/templates/:id/print', requireAccess('print', queryPrinter), (req, res) => {
+  const config = resolveQueryPrinter(req, res);
+  if (!config) return;
+
+  let zpl;
+  try {
+    zpl = templates.render(req.params.id, req.body);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  return handlePrint(req, res, config, zpl);
+});
+
+// Largest batch accepted by POST /print/batch, and most copies of one item
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS) || 1000;
+const BATCH_MAX_COPIES = 1000;
+
+function batchError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// The items of a batch: "items" holding ZPL strings, { zpl } or { template, data } entries,
+// or "template" with "rows" of data. "copies" on an item, or for the whole batch, repeats it.
+function batchItems(body) {
+  let items;
+  if (Array.isArray(body.items)) {
+    items = body.items;
+  } else if (body.template && Array.isArray(body.rows)) {
+    items = body.rows.map((row) => ({ template: body.template, data: row }));
+  } else {
+    throw batchError('Provide "items" (ZPL documents or templates) or "template" with "rows"');
+  }
+
+  if (items.length === 0) {
+    throw batchError('The batch has no items');
+  }
+  if (items.length > BATCH_MAX_ITEMS) {
+    throw batchError(`Batches are limited to ${BATCH_MAX_ITEMS} items, got ${items.length}`);
+  }
+
+  return items.map((item, index) => {
+    const entry = typeof item === 'string' ? { zpl: item } : item || {};
+    const copies = entry.copies !== undefined ? entry.copies : (body.copies ?? 1);
+    if (!Number.isInteger(copies) || copies < 1 || copies > BATCH_MAX_COPIES) {
+      throw batchError(
+        `Item ${index}: copies must be a whole number from 1 to ${BATCH_MAX_COPIES}`
+      );
+    }
+
+    let zpl;
+    if (typeof entry.zpl === 'string' && entry.zpl) {
+      zpl = entry.zpl;
+    } else if (entry.template) {
+      try {
+        zpl = templates.render(entry.template, entry.data || {});
+      } catch (error) {
+        error.message = `Item ${index}: ${error.message}`;
+        throw error;
+      }
+    } else {
+      throw batchError(`Item ${index}: provide "zpl" or "template"`);
+    }
+
+    return { index, copies, ...(entry.template && { template: entry.template }), zpl };
+  });
+}
+
+// Batches and merge runs are not queued, so a printer reporting an error refuses them in hold
+// mode too. Replies 503 and returns false when the printer is not ready.
+async function checkBatchPrinter(req, res, config) {
+  if (config.statusCheck === 'off' || !supportsStatus(config)) {
+    return true;
+  }
+
+  let status;
+  try {
+    status = await getPrinterStatus(config, {}, req.log);
+  } catch (error) {
+    status = { ready: false, errors: [`statusCheckFailed: ${error.message}`] };
+  }
+  if (status.ready) {
+    return true;
+  }
+
+  PrintMetrics.recordRequest(config.name, 'refused');
+  res.status(503).json({
+    success: false,
+    error: `Printer not ready: ${status.errors.join(', ')}`,
+    status: status,
+    printer: config.name,
+    printerType: config.type,
+    timestamp: new Date().toISOString(),
+  });
+  return false;
+}
+
+// Print many documents in one request. Items are checked (and rendered) before anything is
+// sent, then sent in order over one connection or USB session where the printer supports it.
+// The first failure stops the batch and the response tells which items were not printed.
+app.post('/print/batch', requireAccess('print', batchPrinter), async (req, res) => {
+  if (!req.is('application/json')) {
+    return res.status(415).json({
+      error: 'Batch requests must use Content-Type: application/json',
+    });
+  }
+
+  const name = batchPrinter(req);
+  if (!printers.has(name)) {
+    return res.status(404).json({
+      error: `Printer not found: ${name}`,
+      availablePrinters: printers.names(),
+    });
+  }
+  const config = printers.get(name);
+
+  let items;
+  let callbackUrl;
+  try {
+    callbackUrl = callbackFor(req);
+    const encoding = encodingOptions(req);
+    items = batchItems(req.body).map((item) => ({
+      ...item,
+      data: encodeForPrinter(item.zpl, config, encoding),
+    }));
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  if (wantsStrict(req)) {
+    const invalid = items
+      .map((item) => ({ index: item.index, validation: ZplValidator.validate(item.data) }))
+      .filter((item) => !item.validation.valid);
+    if (invalid.length > 0) {
+      PrintMetrics.recordRequest(config.name, 'invalid');
+      return res.status(422).json({
+        success: false,
+        error: `ZPL validation failed for ${invalid.length} item(s)`,
+        items: invalid,
+        printer: config.name,
+        printerType: config.type,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  if (!(await checkBatchPrinter(req, res, config))) return;
+
+  const batchId = crypto.randomUUID();
+  const createdAt = new Date().toISOString();
+  const documents = items.map((item) => PrinterBatch.repeat(item.data, item.copies));
+
+  PrintMetrics.recordRequest(config.name, 'batch');
+  req.log.info('Batch print request received', {
+    printer: config.name,
+    batchId,
+    items: items.length,
+    labels: items.reduce((total, item) => total + item.copies, 0),
+    bytes: documents.reduce((total, document) => total + document.length, 0),
+  });
+
+  let printer;
+  try {
+    printer = PrinterFactory.createPrinter(config, req.log);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  const { sent, failure, results, printedBy } = await PrinterBatch.send(printer, documents);
+
+  const itemResults = items.map((item, index) => {
+    const status = index < sent ? 'sent' : failure && index === sent ? 'failed' : 'not-sent';
+    const jobId = status === 'not-sent' ? null : crypto.randomUUID();
+
+    if (jobId) {
+      jobHistory.record(
+        {
+          id: jobId,
+          printer: config.name,
+          printerType: config.type,
+          printedBy: printedBy[index],
+          status: status === 'sent' ? 'done' : 'failed',
+          source: 'batch',
+          client: req.ip,
+          apiKey: req.apiKey ? req.apiKey.id : null,
+          requestId: req.id,
+          batchId,
+          response: results[index],
+          error: status === 'failed' ? failure.message : null,
+          createdAt,
+          callbackUrl,
+        },
+        documents[index]
+      );
+    }
+
+    return {
+      index: item.index,
+      status,
+      copies: item.copies,
+      ...(item.template && { template: item.template }),
+      bytes: documents[index].length,
+      ...(jobId && { jobId }),
+      ...(printedBy[index] && { printedBy: printedBy[index] }),
+      ...(results[index] !== undefined && { result: results[index] }),
+      ...(status === 'failed' && { error: failure.message }),
+    };
+  });
+
+  res.status(failure ? 500 : 200).json({
+    success: !failure,
+    message: failure
+      ? `Batch stopped at item ${sent} of ${items.length}: ${failure.message}`
+      : 'Batch sent successfully',
+    ...(failure && { error: failure.message }),
+    batchId,
+    printer: config.name,
+    printerType: config.type,
+    total: items.length,
+    sent,
+    failed: failure ? 1 : 0,
+    notSent: items.length - sent - (failure ? 1 : 0),
+    labels: items.slice(0, sent).reduce((total, item) => total + item.copies, 0),
+    items: itemResults,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Most rows accepted by POST /print/merge, and most rows a dry run renders as images
+const MERGE_MAX_ROWS = parseInt(process.env.MERGE_MAX_ROWS) || 10000;
+const MERGE_MAX_PREVIEW_ROWS = 20;
+
+function wholeNumber(value, name, min, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw batchError(`${name} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+}
+
+// The parts of a mail-merge request. JSON bodies hold the layout ("template" id or "layout"
+// ZPL), the data ("csv" text or "rows") and options; a CSV body takes its options from the
+// query string (?template=...&copies=2&dryRun=true).
+function mergeInput(req) {
+  const json = req.is('application/json');
+  const options = { ...req.query, ...(json && req.body) };
+
+  let csv = options.csv;
+  if (!json) {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      throw batchError('Send CSV as the request body, or JSON with "csv" or "rows"');
+    }
+    csv = req.body.toString('utf8');
+  }
+
+  let layout;
+  if (options.layout) {
+    layout = String(options.layout);
+  } else if (options.template) {
+    layout = templates.get(options.template).zpl;
+  } else {
+    throw batchError('Provide a stored "template" or a "layout" with {{placeholders}}');
+  }
+
+  const merge = new MailMerge(layout, (json && req.body.mapping) || {});
+  const { columns, records, delimiter } = MailMerge.records({
+    csv,
+    rows: options.rows,
+    delimiter: options.delimiter,
+  });
+  if (records.length === 0) {
+    throw batchError('The data has no rows');
+  }
+  if (records.length > MERGE_MAX_ROWS) {
+    throw batchError(`Merges are limited to ${MERGE_MAX_ROWS} rows, got ${records.length}`);
+  }
+
+  return {
+    merge,
+    columns,
+    records,
+    ...(delimiter && { delimiter }),
+    ...(options.template && !options.layout && { template: options.template }),
+    copies: wholeNumber(options.copies ?? 1, 'copies', 1, BATCH_MAX_COPIES),
+    previewRows: wholeNumber(options.previewRows ?? 3, 'previewRows', 1, MERGE_MAX_PREVIEW_ROWS),
+    dryRun: options.dryRun === true || options.dryRun === 'true',
+  };
+}
+
+function rowReference(record) {
+  return { row: record.row, ...(record.line && { line: record.line }) };
+}
+
+// Check every row of a merge and render the first ones as images with the printer's virtual
+// label settings, without printing anything
+async function mergeDryRun(req, res, config, input) {
+  const rendered = input.records.map((record) => {
+    try {
+      return { record, zpl: input.merge.render(record) };
+    } catch (error) {
+      return { record, error: error.message };
+    }
+  });
+  const valid = rendered.filter((item) => !item.error);
+  const errors = rendered
+    .filter((item) => item.error)
+    .map((item) => ({ ...rowReference(item.record), error: item.error }));
+
+  const previewer = PrinterFactory.createPrinter(
+    { type: 'virtual', name: config.name, virtual: { ...config.virtual, multiLabel: 'single' } },
+    req.log
+  );
+  const previews = [];
+  for (const item of valid.slice(0, input.previewRows)) {
+    const preview = await previewer.preview(item.zpl);
+    const type = previewer.getAcceptHeader(preview.outputFormat);
+    previews.push({
+      ...rowReference(item.record),
+      zpl: item.zpl,
+      image: `data:${type};base64,${Buffer.from(preview.data).toString('base64')}`,
+    });
+  }
+
+  res.json({
+    success: errors.length === 0,
+    dryRun: true,
+    printer: config.name,
+    printerType: config.type,
+    ...(input.template && { template: input.template }),
+    columns: input.columns,
+    ...(input.delimiter && { delimiter: input.delimiter }),
+    variables: input.merge.variables,
+    total: input.records.length,
+    valid: valid.length,
+    failed: errors.length,
+    labels: valid.length * input.copies,
+    errors,
+    previews,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+// Mail merge: print one label per CSV or JSON row with a template. dryRun=true checks every
+// row and previews the first few; otherwise the run starts in the background and
+// GET /print/merge/:id reports its progress.
+app.post('/print/merge', requireAccess('print', batchPrinter), async (req, res) => {
+  const name = batchPrinter(req);
+  if (!printers.has(name)) {
+    return res.status(404).json({
+      error: `Printer not found: ${name}`,
+      availablePrinters: printers.names(),
+    });
+  }
+  const config = printers.get(name);
+
+  let input;
+  let encoding;
+  try {
+    input = mergeInput(req);
+    encoding = encodingOptions(req);
+    encodeForPrinter('', config, encoding);
+  } catch (error) {
+    return sendError(res, error);
+  }
 
-console.log('Printer configuration:', {
-  ...printerConfig,
-  // Don't log sensitive details in production
-  host:
-    printerConfig.type === 'tcp'
-      ? printerConfig.host
-      : printerConfig.type === 'usb'
-        ? 'USB'
-        : 'Virtual (Labelary API)',
+  const unmatched = input.merge.unmatched(input.columns);
+  if (unmatched.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `No column for placeholder(s): ${unmatched.join(', ')}`,
+      unmatched,
+      columns: input.columns,
+      variables: input.merge.variables,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  if (input.dryRun) {
+    try {
+      return await mergeDryRun(req, res, config, input);
+    } catch (error) {
+      return sendError(res, error);
+    }
+  }
+
+  if (!(await checkBatchPrinter(req, res, config))) return;
+
+  let printer;
+  try {
+    printer = PrinterFactory.createPrinter(config, logger);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  PrintMetrics.recordRequest(config.name, 'merge');
+  const run = mergeRunner.start({
+    config,
+    printer,
+    merge: input.merge,
+    records: input.records,
+    copies: input.copies,
+    encode: (zpl) => encodeForPrinter(zpl, config, encoding),
+    metadata: {
+      client: req.ip,
+      apiKey: req.apiKey ? req.apiKey.id : null,
+      requestId: req.id,
+    },
+  });
+  req.log.info('Mail merge request received', {
+    printer: config.name,
+    mergeRunId: run.id,
+    rows: run.total,
+    copies: run.copies,
+  });
+
+  res.status(202).json({
+    success: true,
+    message: 'Mail merge started',
+    runId: run.id,
+    statusUrl: `/print/merge/${run.id}`,
+    ...mergeRunner.describe(run),
+    timestamp: new Date().toISOString(),
+  });
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
+// Progress of a mail-merge run
+app.get('/print/merge/:id', requireAccess('print', mergePrinter), (req, res) => {
+  const run = mergeRunner.get(req.params.id);
+  if (!run) {
+    return res.status(404).json({
+      error: `Merge run not found: ${req.params.id}`,
+    });
+  }
+
+  res.json(mergeRunner.describe(run));
+});
+
+// Cancel a mail-merge run; it stops before the next chunk of rows
+app.delete('/print/merge/:id', requireAccess('print', mergePrinter), (req, res) => {
+  const run = mergeRunner.cancel(req.params.id);
+  if (!run) {
+    return res.status(404).json({
+      error: `Merge run not found: ${req.params.id}`,
+    });
+  }
+  if (run.status !== 'running') {
+    return res.status(409).json({
+      success: false,
+      error: `Merge run ${run.id} is already ${run.status}`,
+      run: mergeRunner.describe(run),
+    });
+  }
+
   res.json({
-    status: 'ok',
+    success: true,
+    message: 'Cancelling mail merge',
+    run: mergeRunner.describe(run),
     timestamp: new Date().toISOString(),
-    printerType: printerConfig.type,
   });
 });
 
-// Print endpoint
-app.post('/print', async (req, res) => {
-  try {
-    // Get the data to print from request body
-    let printData;
+// Answer an IPP request for a printer
+function handleIpp(req, res, printerName) {
+  if (!Buffer.isBuffer(req.body)) {
+    return res.status(415).json({
+      error: 'IPP requests must use Content-Type: application/ipp',
+    });
+  }
 
-    if (req.is('application/json')) {
-      // If JSON, expect a 'data' field
-      printData = req.body.data || JSON.stringify(req.body);
-    } else if (req.is('text/*')) {
-      // If text, use body directly
-      printData = req.body;
-    } else {
-      // For other types, convert to string
-      printData = Buffer.isBuffer(req.body) ? req.body.toString() : String(req.body);
+  const printerUri = `ipp://${req.get('host')}${req.path}`;
+  res.type('application/ipp').send(
+    ippServer.handle(req.body, {
+      printerName,
+      printerUri,
+      apiKey: req.apiKey ? req.apiKey.id : null,
+      requestId: req.id,
+      log: req.log,
+    })
+  );
+}
+
+// IPP endpoint for the default printer
+app.post('/ipp/print', requireAccess('print', defaultPrinter), ippParser, (req, res) =>
+  handleIpp(req, res, printers.defaultName)
+);
+
+// IPP endpoint for a named printer
+app.post('/ipp/printers/:name', requireAccess('print', routePrinter), ippParser, (req, res) => {
+  const config = resolvePrinter(req, res);
+  if (!config) return;
+
+  return handleIpp(req, res, config.name);
+});
+
+// List jobs: those still in the queue plus the history of finished ones, newest first.
+// Filters: printer, status, source, client, apiKey, batchId, since, until; paging: limit, offset
+app.get('/jobs', requireAccess('status'), (req, res) => {
+  const { printer, status, source, client, apiKey, batchId } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  const dates = {};
+  for (const key of ['since', 'until']) {
+    if (!req.query[key]) continue;
+    const date = new Date(req.query[key]);
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid ${key} date: ${req.query[key]}`,
+        timestamp: new Date().toISOString(),
+      });
+    }
+    dates[key] = date.toISOString();
+  }
+
+  const active = jobQueue.active().map((job) => jobQueue.describe(job));
+  const finished = jobHistory.entries.map((entry) => jobHistory.describe(entry));
+
+  const matches = [...active, ...finished]
+    .filter(
+      (job) =>
+        (!printer || job.printer === printer || job.printedBy === printer) &&
+        (!status || job.status === status) &&
+        (!source || (job.source || 'api') === source) &&
+        (!client || String(job.client || '').includes(client)) &&
+        (!apiKey || job.apiKey === apiKey) &&
+        (!batchId || job.batchId === batchId) &&
+        (!dates.since || job.createdAt >= dates.since) &&
+        (!dates.until || job.createdAt < dates.until) &&
+        // Scoped keys only see jobs for printers they have status access to
+        (!req.apiKey || ApiKeyStore.allows(req.apiKey, 'status', job.printer))
+    )
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  res.json({
+    success: true,
+    jobs: matches.slice(offset, offset + limit),
+    total: matches.length,
+    limit: limit,
+    offset: offset,
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Get the state of a queued print job, or the history entry of a finished one
+app.get('/jobs/:id', requireAccess('status', jobPrinter), (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (job) {
+    return res.json(jobQueue.describe(job));
+  }
+
+  const entry = jobHistory.get(req.params.id);
+  if (!entry) {
+    return res.status(404).json({
+      error: `Job not found: ${req.params.id}`,
+    });
+  }
+
+  res.json(jobHistory.describe(entry));
+});
+
+// Send the exact bytes of an earlier job again, to its printer or the one in ?printer=.
+// Resending a job exposes its payload, so the key must also be allowed on the job's printer.
+app.post(
+  '/jobs/:id/reprint',
+  requireAccess('print', jobPrinter),
+  requireAccess('print', reprintPrinter),
+  (req, res) => {
+    const { id } = req.params;
+    const queued = jobQueue.get(id);
+    const entry = jobHistory.get(id);
+    if (!queued && !entry) {
+      return res.status(404).json({
+        error: `Job not found: ${id}`,
+      });
     }
 
+    const payload = entry ? jobHistory.payload(entry) : null;
+    const printData = payload || (queued && queued.data);
     if (!printData) {
-      return res.status(400).json({
-        error: 'No print data provided',
-        message: 'Please provide data to print in the request body',
+      return res.status(409).json({
+        success: false,
+        error: `The payload of job ${id} was not stored (set JOB_HISTORY_PAYLOADS=true to keep payloads)`,
+        timestamp: new Date().toISOString(),
       });
     }
 
-    console.log(`Received print request, data length: ${printData.length} bytes`);
-    console.log(
-      'Print data preview:',
-      printData.substring(0, 200) + (printData.length > 200 ? '...' : '')
-    );
+    const name = reprintPrinter(req);
+    if (!printers.has(name)) {
+      return res.status(404).json({
+        error: `Printer not found: ${name}`,
+        availablePrinters: printers.names(),
+      });
+    }
 
-    // Create printer instance
-    const printer = PrinterFactory.createPrinter(printerConfig);
+    return handlePrint(req, res, printers.get(name), printData, { reprintOf: id });
+  }
+);
 
-    // Send to printer
-    const result = await printer.print(printData);
+// List webhook subscriptions (secrets are not shown)
+app.get('/webhooks', requireAccess('admin'), (req, res) => {
+  const list = webhookStore.list().map((webhook) => webhookStore.describe(webhook));
+  res.json({
+    success: true,
+    webhooks: list,
+    count: list.length,
+    events: WebhookStore.EVENTS,
+    timestamp: new Date().toISOString(),
+  });
+});
 
-    res.json({
+// Subscribe a URL to events: JSON with 'url' and optional 'events', 'printers', 'secret' and
+// 'description'. The reply holds the secret its events are signed with.
+app.post('/webhooks', requireAccess('admin'), (req, res) => {
+  if (!req.is('application/json')) {
+    return res.status(415).json({
+      error: 'Webhook requests must use Content-Type: application/json',
+    });
+  }
+
+  try {
+    const webhook = webhookStore.create(req.body, printers.names());
+    res.status(201).json({
       success: true,
-      message: 'Print job sent successfully',
-      printerType: printerConfig.type,
-      result: result,
+      message: `Webhook ${webhook.id} created`,
+      webhook: webhook,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
-    console.error('Print error:', error);
+    sendError(res, error);
+  }
+});
 
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      printerType: printerConfig.type,
+// Get a webhook subscription
+app.get('/webhooks/:id', requireAccess('admin'), (req, res) => {
+  try {
+    res.json(webhookStore.describe(webhookStore.get(req.params.id)));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Delete a webhook subscription; deliveries already being retried still go out
+app.delete('/webhooks/:id', requireAccess('admin'), (req, res) => {
+  try {
+    webhookStore.delete(req.params.id);
+    res.json({
+      success: true,
+      message: `Webhook ${req.params.id} deleted successfully`,
       timestamp: new Date().toISOString(),
     });
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
-// Get printer status/info
-app.get('/printer/info', (req, res) => {
-  res.json({
-    type: printerConfig.type,
-    ...(printerConfig.type === 'tcp' && {
-      host: printerConfig.host,
-      port: printerConfig.port,
-    }),
-    ...(printerConfig.type === 'usb' && {
-      vendorId: `0x${printerConfig.vendorId.toString(16)}`,
-      productId: printerConfig.productId
-        ? `0x${printerConfig.productId.toString(16)}`
-        : 'auto-detect',
-    }),
-    ...(printerConfig.type === 'virtual' && {
-      virtual: {
-        dpmm: printerConfig.virtual.dpmm,
-        labelSize: `${printerConfig.virtual.labelWidth}x${printerConfig.virtual.labelHeight} mm`,
-        outputFormat: printerConfig.virtual.outputFormat,
-        returnResponse: printerConfig.virtual.returnResponse,
-        apiEndpoint: `${printerConfig.virtual.baseUrl}/${printerConfig.virtual.dpmm}/labels/${printerConfig.virtual.labelWidth}x${printerConfig.virtual.labelHeight}/${printerConfig.virtual.labelIndex}/`,
-      },
-    }),
-  });
+// Send a "ping" event to a webhook to check that it is reachable and verifies signatures
+app.post('/webhooks/:id/test', requireAccess('admin'), (req, res) => {
+  try {
+    const webhook = webhookStore.get(req.params.id);
+    const event = webhooks.send(webhook, 'ping', { webhookId: webhook.id });
+    res.status(202).json({
+      success: true,
+      message: `Test event sent to ${webhook.url}`,
+      eventId: event.id,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
 });
 
 // Test virtual printer connection (only available for virtual printers)
-app.get('/printer/test', async (req, res) => {
-  if (printerConfig.type !== 'virtual') {
+app.get('/printer/test', requireAccess('status', defaultPrinter), async (req, res) => {
+  if (printers.getDefault().type !== 'virtual') {
     return res.status(400).json({
       error: 'Test endpoint only available for virtual printers',
-      currentType: printerConfig.type,
+      currentType: printers.getDefault().type,
     });
   }
 
   try {
-    const printer = PrinterFactory.createPrinter(printerConfig);
+    const printer = PrinterFactory.createPrinter(printers.getDefault());
     const result = await printer.testConnection();
 
     res.json({
@@ -153,7 +1892,7 @@ app.get('/printer/test', async (req, res) => {
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
-    console.error('Virtual printer test error:', error);
+    req.log.error('Virtual printer test error', { error });
 
     res.status(500).json({
       success: false,
@@ -164,26 +1903,27 @@ app.get('/printer/test', async (req, res) => {
 });
 
 // List saved labels (only for virtual printers)
-app.get('/labels', (req, res) => {
-  if (printerConfig.type !== 'virtual') {
+app.get('/labels', requireAccess('labels', defaultPrinter), (req, res) => {
+  if (printers.getDefault().type !== 'virtual') {
     return res.status(400).json({
       error: 'Labels endpoint only available for virtual printers',
-      currentType: printerConfig.type,
+      currentType: printers.getDefault().type,
     });
   }
 
   try {
-    const printer = PrinterFactory.createPrinter(printerConfig);
+    const printer = PrinterFactory.createPrinter(printers.getDefault());
     const labels = printer.listSavedLabels();
 
     res.json({
       success: true,
       labels: labels,
+      groups: VirtualPrinter.groupLabels(labels),
       count: labels.length,
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
-    console.error('Error listing labels:', error);
+    req.log.error('Error listing labels', { error });
 
     res.status(500).json({
       success: false,
@@ -194,17 +1934,17 @@ app.get('/labels', (req, res) => {
 });
 
 // Serve saved label files (only for virtual printers)
-app.get('/labels/:filename', (req, res) => {
-  if (printerConfig.type !== 'virtual') {
+app.get('/labels/:filename', requireAccess('labels', defaultPrinter), (req, res) => {
+  if (printers.getDefault().type !== 'virtual') {
     return res.status(400).json({
       error: 'Labels endpoint only available for virtual printers',
-      currentType: printerConfig.type,
+      currentType: printers.getDefault().type,
     });
   }
 
   try {
     const { filename } = req.params;
-    const saveDirectory = printerConfig.virtual.saveDirectory;
+    const saveDirectory = printers.getDefault().virtual.saveDirectory;
     const filepath = path.join(saveDirectory, filename);
 
     // Security check: ensure file is within save directory
@@ -245,7 +1985,7 @@ app.get('/labels/:filename', (req, res) => {
     const fileStream = fs.createReadStream(filepath);
     fileStream.pipe(res);
   } catch (error) {
-    console.error('Error serving label file:', error);
+    req.log.error('Error serving label file', { error });
 
     res.status(500).json({
       success: false,
@@ -255,18 +1995,173 @@ app.get('/labels/:filename', (req, res) => {
   }
 });
 
+// Source ZPL and render settings saved with a label; ?format=zpl returns just the ZPL
+app.get('/labels/:filename/source', requireAccess('labels', defaultPrinter), (req, res) => {
+  if (printers.getDefault().type !== 'virtual') {
+    return res.status(400).json({
+      error: 'Labels endpoint only available for virtual printers',
+      currentType: printers.getDefault().type,
+    });
+  }
+
+  try {
+    const source = PrinterFactory.createPrinter(printers.getDefault(), req.log).readSource(
+      req.params.filename
+    );
+
+    if (req.query.format === 'zpl') {
+      return res.type('text/plain').send(VirtualPrinter.sourceData(source));
+    }
+    res.json({ success: true, ...source, timestamp: new Date().toISOString() });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Render settings accepted by the re-render endpoint
+const DPMM_VALUES = ['6dpmm', '8dpmm', '12dpmm', '24dpmm'];
+const OUTPUT_FORMATS = ['png', 'pdf', 'json'];
+const RENDERERS = ['labelary', 'local'];
+const MULTI_LABEL_MODES = ['files', 'pdf', 'single'];
+
+function renderOverrides(options) {
+  const overrides = {};
+  const invalid = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  };
+
+  if (options.dpmm !== undefined) {
+    // Accept 8 as well as 8dpmm
+    const dpmm = /^\d+$/.test(String(options.dpmm)) ? `${options.dpmm}dpmm` : options.dpmm;
+    if (!DPMM_VALUES.includes(dpmm)) {
+      throw invalid(`Invalid dpmm "${options.dpmm}". Supported: ${DPMM_VALUES.join(', ')}`);
+    }
+    overrides.dpmm = dpmm;
+  }
+  for (const key of ['labelWidth', 'labelHeight']) {
+    if (options[key] === undefined) continue;
+    if (!(Number(options[key]) > 0)) {
+      throw invalid(`Invalid ${key} "${options[key]}": use a size in mm`);
+    }
+    overrides[key] = String(options[key]);
+  }
+  if (options.labelIndex !== undefined) {
+    overrides.labelIndex = String(parseInt(options.labelIndex) || 0);
+    // Asking for one label renders just that label unless a mode is given too
+    overrides.multiLabel = 'single';
+  }
+  if (options.outputFormat !== undefined) {
+    if (!OUTPUT_FORMATS.includes(options.outputFormat)) {
+      throw invalid(
+        `Invalid outputFormat "${options.outputFormat}". Supported: ${OUTPUT_FORMATS.join(', ')}`
+      );
+    }
+    overrides.outputFormat = options.outputFormat;
+  }
+  if (options.renderer !== undefined) {
+    if (!RENDERERS.includes(options.renderer)) {
+      throw invalid(`Invalid renderer "${options.renderer}". Supported: ${RENDERERS.join(', ')}`);
+    }
+    overrides.renderer = options.renderer;
+  }
+  if (options.multiLabel !== undefined) {
+    if (!MULTI_LABEL_MODES.includes(options.multiLabel)) {
+      throw invalid(
+        `Invalid multiLabel "${options.multiLabel}". Supported: ${MULTI_LABEL_MODES.join(', ')}`
+      );
+    }
+    overrides.multiLabel = options.multiLabel;
+  }
+
+  return overrides;
+}
+
+// Render a saved label again from its source ZPL, with other settings (dpmm, labelWidth,
+// labelHeight, labelIndex, outputFormat, renderer, multiLabel), or send it to the printer
+// in "printer"
+app.post('/labels/:filename/render', requireAccess('labels', defaultPrinter), async (req, res) => {
+  if (printers.getDefault().type !== 'virtual') {
+    return res.status(400).json({
+      error: 'Labels endpoint only available for virtual printers',
+      currentType: printers.getDefault().type,
+    });
+  }
+
+  const { filename } = req.params;
+  const options = { ...req.query, ...(req.is('application/json') && req.body) };
+
+  try {
+    const source = PrinterFactory.createPrinter(printers.getDefault(), req.log).readSource(
+      filename
+    );
+
+    if (options.printer) {
+      if (!printers.has(options.printer)) {
+        return res.status(404).json({
+          error: `Printer not found: ${options.printer}`,
+          availablePrinters: printers.names(),
+        });
+      }
+      if (req.apiKey) {
+        apiKeys.authorize(req.apiKey, 'print', options.printer);
+      }
+      return handlePrint(
+        req,
+        res,
+        printers.get(options.printer),
+        VirtualPrinter.sourceData(source)
+      );
+    }
+
+    // Start from the label's own settings so only the requested ones change
+    const settings = {
+      dpmm: source.dpmm,
+      labelWidth: source.labelWidth,
+      labelHeight: source.labelHeight,
+      labelIndex: source.labelIndex,
+      outputFormat: source.outputFormat,
+      renderer: source.renderer,
+      // Labels saved before multi-label support rendered only labelIndex
+      multiLabel: source.multiLabel || 'single',
+    };
+    const printer = PrinterFactory.createPrinter(
+      {
+        type: 'virtual',
+        name: printers.defaultName,
+        virtual: { ...printers.getDefault().virtual, ...settings, ...renderOverrides(options) },
+      },
+      req.log
+    );
+    const result = await printer.print(VirtualPrinter.sourceData(source), {
+      renderedFrom: filename,
+    });
+
+    res.json({
+      success: true,
+      renderedFrom: filename,
+      result: result,
+      url: `/labels/${result.filename}`,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
 // Delete a saved label (only for virtual printers)
-app.delete('/labels/:filename', (req, res) => {
-  if (printerConfig.type !== 'virtual') {
+app.delete('/labels/:filename', requireAccess('labels', defaultPrinter), (req, res) => {
+  if (printers.getDefault().type !== 'virtual') {
     return res.status(400).json({
       error: 'Labels endpoint only available for virtual printers',
-      currentType: printerConfig.type,
+      currentType: printers.getDefault().type,
     });
   }
 
   try {
     const { filename } = req.params;
-    const printer = PrinterFactory.createPrinter(printerConfig);
+    const printer = PrinterFactory.createPrinter(printers.getDefault());
     printer.deleteSavedLabel(filename);
 
     res.json({
@@ -275,7 +2170,7 @@ app.delete('/labels/:filename', (req, res) => {
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
-    console.error('Error deleting label:', error);
+    req.log.error('Error deleting label', { error });
 
     res.status(500).json({
       success: false,
@@ -286,21 +2181,29 @@ app.delete('/labels/:filename', (req, res) => {
 });
 
 // Web interface to view labels
-app.get('/viewer', (req, res) => {
-  if (printerConfig.type !== 'virtual') {
+app.get('/viewer', requireAccess('labels', defaultPrinter), (req, res) => {
+  if (printers.getDefault().type !== 'virtual') {
     return res.status(400).send(`
       <html>
         <head><title>Label Viewer</title></head>
         <body>
           <h1>Label Viewer</h1>
           <p>Label viewer is only available when using virtual printer mode.</p>
-          <p>Current printer type: <strong>${printerConfig.type}</strong></p>
+          <p>Current printer type: <strong>${printers.getDefault().type}</strong></p>
           <p>Set <code>PRINTER_TYPE=virtual</code> in your .env file to use this feature.</p>
         </body>
       </html>
     `);
   }
 
+  // Starting values for the playground's size and resolution pickers
+  const { virtual } = printers.getDefault();
+  const playgroundDefaults = {
+    dpmm: virtual.dpmm,
+    labelWidth: virtual.labelWidth,
+    labelHeight: virtual.labelHeight,
+  };
+
   res.send(`
     <!DOCTYPE html>
     <html lang="en">
@@ -357,36 +2260,156 @@ app.get('/viewer', (req, res) => {
                 background: white;
                 box-shadow: 0 1px 3px rgba(0,0,0,0.1);
             }
-            .label-card img {
-                max-width: 100%;
-                height: auto;
-                border: 1px solid #eee;
+            .label-card img {
+                max-width: 100%;
+                height: auto;
+                border: 1px solid #eee;
+                border-radius: 4px;
+                cursor: pointer;
+            }
+            .label-info {
+                margin-top: 10px;
+                font-size: 14px;
+                color: #666;
+            }
+            .label-filename {
+                font-weight: bold;
+                color: #333;
+                margin-bottom: 5px;
+            }
+            .delete-btn {
+                background: #dc3545;
+                color: white;
+                border: none;
+                padding: 5px 10px;
+                border-radius: 4px;
+                cursor: pointer;
+                font-size: 12px;
+                margin-top: 10px;
+            }
+            .delete-btn:hover {
+                background: #c82333;
+            }
+            .source-btn {
+                background: #6c757d;
+                color: white;
+                border: none;
+                padding: 5px 10px;
+                border-radius: 4px;
+                cursor: pointer;
+                font-size: 12px;
+                margin-top: 10px;
+                margin-right: 5px;
+            }
+            .source-btn:hover {
+                background: #5a6268;
+            }
+            .zpl-source {
+                display: none;
+                background: #272822;
+                color: #f8f8f2;
+                font-family: Consolas, Monaco, monospace;
+                font-size: 12px;
+                padding: 10px;
+                border-radius: 4px;
+                margin-top: 10px;
+                max-height: 200px;
+                overflow: auto;
+                white-space: pre-wrap;
+                word-break: break-all;
+            }
+            .playground {
+                display: grid;
+                grid-template-columns: 1fr 1fr;
+                gap: 20px;
+                margin-bottom: 30px;
+            }
+            .playground-controls {
+                grid-column: 1 / -1;
+                display: flex;
+                flex-wrap: wrap;
+                gap: 10px;
+                align-items: center;
+                font-size: 14px;
+            }
+            .playground-controls input {
+                width: 60px;
+            }
+            .editor {
+                position: relative;
+                height: 400px;
+                border: 1px solid #ddd;
+                border-radius: 4px;
+                background: #272822;
+            }
+            .editor pre,
+            .editor textarea {
+                position: absolute;
+                top: 0;
+                left: 0;
+                width: 100%;
+                height: 100%;
+                margin: 0;
+                padding: 10px;
+                box-sizing: border-box;
+                border: none;
+                font-family: Consolas, Monaco, monospace;
+                font-size: 14px;
+                line-height: 1.4;
+                white-space: pre-wrap;
+                word-break: break-all;
+                overflow: auto;
+            }
+            .editor pre {
+                color: #f8f8f2;
+                pointer-events: none;
+            }
+            .editor textarea {
+                color: transparent;
+                background: transparent;
+                caret-color: #f8f8f2;
+                resize: none;
+                outline: none;
+            }
+            .zpl-format { color: #f92672; font-weight: bold; }
+            .zpl-command { color: #66d9ef; }
+            .zpl-data { color: #e6db74; }
+            .zpl-number { color: #ae81ff; }
+            .zpl-comment { color: #75715e; }
+            .preview {
+                height: 400px;
+                border: 1px solid #ddd;
                 border-radius: 4px;
-                cursor: pointer;
+                background: #f8f9fa;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                overflow: auto;
             }
-            .label-info {
-                margin-top: 10px;
-                font-size: 14px;
+            .preview img {
+                max-width: 100%;
+                max-height: 100%;
+                background: white;
+            }
+            .preview-status {
+                font-size: 13px;
                 color: #666;
+                margin-top: 5px;
             }
-            .label-filename {
+            .label-group {
+                grid-column: 1 / -1;
+                border: 1px solid #b8daff;
+                border-radius: 8px;
+                padding: 15px;
+                background: #f1f8ff;
+            }
+            .label-group-title {
                 font-weight: bold;
-                color: #333;
-                margin-bottom: 5px;
+                color: #004085;
             }
-            .delete-btn {
-                background: #dc3545;
-                color: white;
-                border: none;
-                padding: 5px 10px;
-                border-radius: 4px;
-                cursor: pointer;
-                font-size: 12px;
+            .label-group .labels-grid {
                 margin-top: 10px;
             }
-            .delete-btn:hover {
-                background: #c82333;
-            }
             .no-labels {
                 text-align: center;
                 color: #666;
@@ -414,18 +2437,67 @@ app.get('/viewer', (req, res) => {
                 background-color: rgba(0,0,0,0.8);
                 cursor: pointer;
             }
+            .modal-body {
+                display: flex;
+                justify-content: center;
+                align-items: flex-start;
+                gap: 20px;
+                margin-top: 3%;
+                height: 90%;
+            }
             .modal-content {
-                margin: auto;
                 display: block;
-                max-width: 90%;
-                max-height: 90%;
-                margin-top: 5%;
+                max-width: 60%;
+                max-height: 100%;
+            }
+            .modal-body .zpl-source {
+                max-width: 35%;
+                max-height: 100%;
+                margin-top: 0;
+                cursor: text;
             }
         </style>
     </head>
     <body>
         <div class="container">
             <h1>🏷️ Zebra Proxy Label Viewer</h1>
+
+            <h2>ZPL Playground</h2>
+            <div class="playground">
+                <div class="playground-controls">
+                    <label>Resolution
+                        <select id="dpmm">
+                            <option value="6dpmm">6 dpmm (152 dpi)</option>
+                            <option value="8dpmm">8 dpmm (203 dpi)</option>
+                            <option value="12dpmm">12 dpmm (300 dpi)</option>
+                            <option value="24dpmm">24 dpmm (600 dpi)</option>
+                        </select>
+                    </label>
+                    <label>Width <input id="labelWidth" type="number" min="1"> mm</label>
+                    <label>Height <input id="labelHeight" type="number" min="1"> mm</label>
+                    <label>Label <input id="labelIndex" type="number" min="1" value="1"></label>
+                    <button class="refresh-btn" onclick="preview()">▶️ Preview</button>
+                    <select id="targetPrinter"><option value="">No printers</option></select>
+                    <button class="refresh-btn" id="sendButton" onclick="sendToPrinter()" disabled>🖨️ Send to printer</button>
+                </div>
+                <div>
+                    <div class="editor">
+                        <pre id="zplHighlight" aria-hidden="true"></pre>
+                        <textarea id="zplEditor" spellcheck="false">^XA
+^FO50,50^A0N,50,50^FDHello, Zebra!^FS
+^FO50,120^BCN,80,Y,N,N^FD123456789^FS
+^FO50,260^GB300,3,3^FS
+^XZ</textarea>
+                    </div>
+                    <div class="preview-status" id="sendStatus"></div>
+                </div>
+                <div>
+                    <div class="preview" id="preview"></div>
+                    <div class="preview-status" id="previewStatus"></div>
+                </div>
+            </div>
+
+            <h2>Saved Labels</h2>
             <div class="controls">
                 <button class="refresh-btn" onclick="loadLabels()">🔄 Refresh Labels</button>
             </div>
@@ -436,7 +2508,10 @@ app.get('/viewer', (req, res) => {
 
         <!-- Modal for enlarged image view -->
         <div id="imageModal" class="modal" onclick="closeModal()">
-            <img class="modal-content" id="modalImage">
+            <div class="modal-body">
+                <img class="modal-content" id="modalImage">
+                <pre class="zpl-source" id="modalSource" onclick="event.stopPropagation()"></pre>
+            </div>
         </div>
 
         <script>
@@ -449,16 +2524,16 @@ app.get('/viewer', (req, res) => {
                     const data = await response.json();
                     
                     if (data.success) {
-                        displayLabels(data.labels);
+                        displayLabels(data.labels, data.groups || []);
                     } else {
-                        content.innerHTML = \`<div class="error">Error: \${data.error}</div>\`;
+                        content.innerHTML = \`<div class="error">Error: \${escapeHtml(data.error)}</div>\`;
                     }
                 } catch (error) {
-                    content.innerHTML = \`<div class="error">Failed to load labels: \${error.message}</div>\`;
+                    content.innerHTML = \`<div class="error">Failed to load labels: \${escapeHtml(error.message)}</div>\`;
                 }
             }
 
-            function displayLabels(labels) {
+            function displayLabels(labels, groups) {
                 const content = document.getElementById('content');
                 
                 if (labels.length === 0) {
@@ -469,40 +2544,77 @@ app.get('/viewer', (req, res) => {
                 const grid = document.createElement('div');
                 grid.className = 'labels-grid';
 
+                // Labels from one multi-label payload are shown together in a group
+                const groupGrids = {};
                 labels.forEach(label => {
-                    const card = document.createElement('div');
-                    card.className = 'label-card';
-
-                    const isImage = label.extension === 'png';
-                    const isPdf = label.extension === 'pdf';
-                    
-                    card.innerHTML = \`
-                        <div class="label-filename">\${label.filename}</div>
-                        \${isImage ? \`<img src="/labels/\${label.filename}" alt="\${label.filename}" onclick="openModal('/labels/\${label.filename}')">\` : ''}
-                        \${isPdf ? \`<div style="text-align: center; padding: 20px; background: #f8f9fa; border-radius: 4px;"><a href="/labels/\${label.filename}" target="_blank">📄 View PDF</a></div>\` : ''}
-                        \${label.extension === 'json' ? \`<div style="text-align: center; padding: 20px; background: #f8f9fa; border-radius: 4px;"><a href="/labels/\${label.filename}" target="_blank">📋 View JSON</a></div>\` : ''}
-                        <div class="label-info">
-                            <div>Size: \${(label.size / 1024).toFixed(1)} KB</div>
-                            <div>Created: \${new Date(label.created).toLocaleString()}</div>
-                            <div>Type: \${label.extension.toUpperCase()}</div>
-                        </div>
-                        <button class="delete-btn" onclick="deleteLabel('\${label.filename}')">🗑️ Delete</button>
-                    \`;
-                    
-                    grid.appendChild(card);
+                    if (label.group && !groupGrids[label.group]) {
+                        const group = groups.find(g => g.group === label.group) || { labels: [] };
+                        const section = document.createElement('div');
+                        section.className = 'label-group';
+                        section.innerHTML = \`
+                            <div class="label-group-title">📦 \${escapeHtml(label.group)}</div>
+                            <div class="label-info">\${group.labels.length} of \${group.labelCount} labels from one print job</div>
+                            <div class="labels-grid"></div>
+                        \`;
+                        grid.appendChild(section);
+                        groupGrids[label.group] = section.querySelector('.labels-grid');
+                    }
+                    (label.group ? groupGrids[label.group] : grid).appendChild(createCard(label));
                 });
 
                 content.innerHTML = '';
                 content.appendChild(grid);
             }
 
+            function createCard(label) {
+                const card = document.createElement('div');
+                card.className = 'label-card';
+
+                const isImage = label.extension === 'png';
+                const isPdf = label.extension === 'pdf';
+                // File names end up in markup, so they are escaped and handlers are attached below
+                const name = escapeHtml(label.filename);
+                const url = escapeHtml(labelUrl(label.filename));
+                
+                card.innerHTML = \`
+                    <div class="label-filename">\${name}</div>
+                    \${isImage ? \`<img src="\${url}" alt="\${name}">\` : ''}
+                    \${isPdf ? \`<div style="text-align: center; padding: 20px; background: #f8f9fa; border-radius: 4px;"><a href="\${url}" target="_blank">📄 View PDF</a></div>\` : ''}
+                    \${label.extension === 'json' ? \`<div style="text-align: center; padding: 20px; background: #f8f9fa; border-radius: 4px;"><a href="\${url}" target="_blank">📋 View JSON</a></div>\` : ''}
+                    <div class="label-info">
+                        <div>Size: \${(label.size / 1024).toFixed(1)} KB</div>
+                        <div>Created: \${new Date(label.created).toLocaleString()}</div>
+                        <div>Type: \${escapeHtml(label.extension.toUpperCase())}</div>
+                        \${label.labelCount > 1 ? \`<div>Label: \${label.labelIndex === null ? 'all ' + label.labelCount + ' pages' : Number(label.labelIndex) + 1 + ' of ' + label.labelCount}</div>\` : ''}
+                    </div>
+                    \${label.hasSource ? '<button class="source-btn">📄 ZPL</button>' : ''}
+                    <button class="delete-btn">🗑️ Delete</button>
+                    <pre class="zpl-source"></pre>
+                \`;
+
+                if (isImage) {
+                    card.querySelector('img').addEventListener('click', () => openModal(label.filename, label.hasSource));
+                }
+                if (label.hasSource) {
+                    const button = card.querySelector('.source-btn');
+                    button.addEventListener('click', () => toggleSource(button, label.filename));
+                }
+                card.querySelector('.delete-btn').addEventListener('click', () => deleteLabel(label.filename));
+
+                return card;
+            }
+
+            function labelUrl(filename) {
+                return '/labels/' + encodeURIComponent(filename);
+            }
+
             async function deleteLabel(filename) {
                 if (!confirm(\`Are you sure you want to delete \${filename}?\`)) {
                     return;
                 }
 
                 try {
-                    const response = await fetch(\`/labels/\${filename}\`, { method: 'DELETE' });
+                    const response = await fetch(labelUrl(filename), { method: 'DELETE' });
                     const data = await response.json();
                     
                     if (data.success) {
@@ -515,17 +2627,183 @@ app.get('/viewer', (req, res) => {
                 }
             }
 
-            function openModal(src) {
+            // The source ZPL saved with a label
+            async function fetchSource(filename) {
+                const response = await fetch(labelUrl(filename) + '/source?format=zpl');
+                return response.ok ? response.text() : \`Source not available (\${response.status})\`;
+            }
+
+            async function toggleSource(button, filename) {
+                const source = button.parentElement.querySelector('.zpl-source');
+                if (source.style.display === 'block') {
+                    source.style.display = 'none';
+                    return;
+                }
+                source.textContent = 'Loading...';
+                source.style.display = 'block';
+                source.textContent = await fetchSource(filename);
+            }
+
+            async function openModal(filename, hasSource) {
                 const modal = document.getElementById('imageModal');
                 const modalImg = document.getElementById('modalImage');
+                const modalSource = document.getElementById('modalSource');
                 modal.style.display = 'block';
-                modalImg.src = src;
+                modalImg.src = labelUrl(filename);
+                modalSource.style.display = hasSource ? 'block' : 'none';
+                if (hasSource) {
+                    modalSource.textContent = 'Loading...';
+                    modalSource.textContent = await fetchSource(filename);
+                }
             }
 
             function closeModal() {
                 document.getElementById('imageModal').style.display = 'none';
             }
 
+            // ZPL playground
+            const playgroundDefaults = ${JSON.stringify(playgroundDefaults)};
+            const editor = document.getElementById('zplEditor');
+            const highlight = document.getElementById('zplHighlight');
+            let previewTimer = null;
+            let previewUrl = null;
+
+            function escapeHtml(text) {
+                return String(text)
+                    .replace(/&/g, '&amp;')
+                    .replace(/</g, '&lt;')
+                    .replace(/>/g, '&gt;')
+                    .replace(/"/g, '&quot;')
+                    .replace(/'/g, '&#39;');
+            }
+
+            // Format delimiters, commands, field data, numbers and ^FX comments
+            function highlightZpl(zpl) {
+                const token = /([~^](?:XA|XZ))|([~^]FX[^~^]*)|([~^](?:FD|FV))([^~^]*)|([~^][A-Za-z0-9@]{1,2})|([0-9]+)/gi;
+                let html = '';
+                let last = 0;
+                let match;
+                while ((match = token.exec(zpl)) !== null) {
+                    html += escapeHtml(zpl.slice(last, match.index));
+                    if (match[1]) {
+                        html += '<span class="zpl-format">' + escapeHtml(match[1]) + '</span>';
+                    } else if (match[2]) {
+                        html += '<span class="zpl-comment">' + escapeHtml(match[2]) + '</span>';
+                    } else if (match[3]) {
+                        html += '<span class="zpl-command">' + escapeHtml(match[3]) + '</span>' +
+                            '<span class="zpl-data">' + escapeHtml(match[4]) + '</span>';
+                    } else if (match[5]) {
+                        html += '<span class="zpl-command">' + escapeHtml(match[5]) + '</span>';
+                    } else {
+                        html += '<span class="zpl-number">' + match[6] + '</span>';
+                    }
+                    last = token.lastIndex;
+                }
+                // A trailing newline needs content to keep the layers the same height
+                return html + escapeHtml(zpl.slice(last)) + '\\n';
+            }
+
+            function updateHighlight() {
+                highlight.innerHTML = highlightZpl(editor.value);
+                highlight.scrollTop = editor.scrollTop;
+            }
+
+            function schedulePreview() {
+                clearTimeout(previewTimer);
+                previewTimer = setTimeout(preview, 500);
+            }
+
+            async function preview() {
+                const status = document.getElementById('previewStatus');
+                const params = new URLSearchParams({
+                    dpmm: document.getElementById('dpmm').value,
+                    labelWidth: document.getElementById('labelWidth').value,
+                    labelHeight: document.getElementById('labelHeight').value,
+                    labelIndex: Math.max(parseInt(document.getElementById('labelIndex').value) || 1, 1) - 1,
+                    outputFormat: 'png',
+                });
+                status.textContent = 'Rendering...';
+
+                try {
+                    const response = await fetch('/zpl/preview?' + params, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'text/plain' },
+                        body: editor.value,
+                    });
+                    if (!response.ok) {
+                        const data = await response.json();
+                        status.textContent = 'Error: ' + (data.error || response.status);
+                        return;
+                    }
+
+                    if (previewUrl) URL.revokeObjectURL(previewUrl);
+                    previewUrl = URL.createObjectURL(await response.blob());
+                    document.getElementById('preview').innerHTML = '<img id="previewImage" alt="Preview">';
+                    document.getElementById('previewImage').src = previewUrl;
+                    const count = response.headers.get('X-Label-Count');
+                    status.textContent = \`Rendered label \${params.get('labelIndex') * 1 + 1} of \${count}\`;
+                } catch (error) {
+                    status.textContent = 'Failed to render: ' + error.message;
+                }
+            }
+
+            // Physical printers the playground can send to
+            async function loadPrinters() {
+                try {
+                    const response = await fetch('/printers');
+                    const data = await response.json();
+                    const physical = (data.printers || []).filter(printer => printer.type !== 'virtual');
+                    if (physical.length === 0) return;
+
+                    document.getElementById('targetPrinter').innerHTML = physical
+                        .map(printer => \`<option value="\${escapeHtml(printer.name)}">\${escapeHtml(printer.name)} (\${escapeHtml(printer.type)})</option>\`)
+                        .join('');
+                    document.getElementById('sendButton').disabled = false;
+                } catch (error) {
+                    document.getElementById('sendStatus').textContent = 'Failed to load printers: ' + error.message;
+                }
+            }
+
+            async function sendToPrinter() {
+                const name = document.getElementById('targetPrinter').value;
+                const status = document.getElementById('sendStatus');
+                if (!name || !confirm(\`Print this label on \${name}?\`)) {
+                    return;
+                }
+
+                status.textContent = \`Sending to \${name}...\`;
+                try {
+                    const response = await fetch(\`/printers/\${encodeURIComponent(name)}/print\`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'text/plain' },
+                        body: editor.value,
+                    });
+                    const data = await response.json();
+                    status.textContent = data.success
+                        ? \`Sent to \${data.printedBy || name} (job \${data.jobId})\`
+                        : 'Error: ' + (data.error || response.status);
+                } catch (error) {
+                    status.textContent = 'Failed to send: ' + error.message;
+                }
+            }
+
+            document.getElementById('dpmm').value = playgroundDefaults.dpmm;
+            document.getElementById('labelWidth').value = playgroundDefaults.labelWidth;
+            document.getElementById('labelHeight').value = playgroundDefaults.labelHeight;
+            editor.addEventListener('input', () => {
+                updateHighlight();
+                schedulePreview();
+            });
+            editor.addEventListener('scroll', () => {
+                highlight.scrollTop = editor.scrollTop;
+            });
+            ['dpmm', 'labelWidth', 'labelHeight', 'labelIndex'].forEach(id =>
+                document.getElementById(id).addEventListener('change', preview)
+            );
+            updateHighlight();
+            loadPrinters();
+            preview();
+
             // Load labels on page load
             loadLabels();
         </script>
@@ -534,9 +2812,378 @@ app.get('/viewer', (req, res) => {
   `);
 });
 
+// Mail-merge page: upload a CSV or JSON file, pick a template and printer, preview, print
+app.get('/merge', requireAccess('print'), (req, res) => {
+  res.send(`
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+        <meta charset="UTF-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Zebra Proxy - Mail Merge</title>
+        <style>
+            body {
+                font-family: Arial, sans-serif;
+                margin: 0;
+                padding: 20px;
+                background-color: #f5f5f5;
+            }
+            .container {
+                max-width: 1000px;
+                margin: 0 auto;
+                background: white;
+                padding: 20px;
+                border-radius: 8px;
+                box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+            }
+            h1 {
+                color: #333;
+                text-align: center;
+                margin-bottom: 30px;
+            }
+            .step {
+                margin-bottom: 20px;
+            }
+            .step label {
+                display: block;
+                font-weight: bold;
+                margin-bottom: 6px;
+                color: #333;
+            }
+            .step small {
+                color: #666;
+            }
+            select, input[type=number] {
+                padding: 6px;
+                border: 1px solid #ddd;
+                border-radius: 4px;
+            }
+            textarea {
+                width: 100%;
+                box-sizing: border-box;
+                height: 140px;
+                font-family: monospace;
+                font-size: 13px;
+                border: 1px solid #ddd;
+                border-radius: 4px;
+                padding: 8px;
+            }
+            button {
+                background: #007bff;
+                color: white;
+                border: none;
+                padding: 10px 20px;
+                border-radius: 4px;
+                cursor: pointer;
+                font-size: 14px;
+                margin-right: 8px;
+            }
+            button:hover {
+                background: #0056b3;
+            }
+            button:disabled {
+                background: #9bbfe6;
+                cursor: default;
+            }
+            button.danger {
+                background: #dc3545;
+            }
+            .summary {
+                margin: 15px 0;
+                color: #333;
+            }
+            .previews {
+                display: grid;
+                grid-template-columns: repeat(auto-fill, minmax(220px, 1fr));
+                gap: 15px;
+                margin-top: 15px;
+            }
+            .preview {
+                border: 1px solid #ddd;
+                border-radius: 8px;
+                padding: 10px;
+                background: #fafafa;
+                text-align: center;
+                font-size: 12px;
+                color: #666;
+            }
+            .preview img {
+                max-width: 100%;
+                border: 1px solid #eee;
+                background: white;
+            }
+            .progress {
+                height: 20px;
+                background: #eee;
+                border-radius: 10px;
+                overflow: hidden;
+                margin: 10px 0;
+            }
+            .progress-bar {
+                height: 100%;
+                width: 0;
+                background: #28a745;
+                transition: width 0.3s;
+            }
+            table {
+                width: 100%;
+                border-collapse: collapse;
+                margin-top: 10px;
+                font-size: 13px;
+            }
+            th, td {
+                text-align: left;
+                padding: 6px;
+                border-bottom: 1px solid #eee;
+            }
+            .error {
+                color: #dc3545;
+            }
+            .hidden {
+                display: none;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <h1>🏷️ Mail Merge</h1>
+
+            <div class="step">
+                <label for="dataFile">1. Data file</label>
+                <input type="file" id="dataFile" accept=".csv,.txt,.json">
+                <small>CSV with column names in the first row, or a JSON array of objects</small>
+            </div>
+
+            <div class="step">
+                <label for="template">2. Label layout</label>
+                <select id="template">
+                    <option value="">Custom layout...</option>
+                </select>
+                <small>Columns fill the placeholders of the same name, e.g. {{asset_tag}} from "Asset Tag"</small>
+                <textarea id="layout" spellcheck="false" placeholder="^XA^FO50,50^A0N,40,40^FD{{name}}^FS^XZ"></textarea>
+            </div>
+
+            <div class="step">
+                <label for="printer">3. Printer and copies</label>
+                <select id="printer"></select>
+                <input type="number" id="copies" value="1" min="1" max="1000"> copies of each label
+            </div>
+
+            <div class="step">
+                <button id="previewButton" onclick="preview()">Preview</button>
+                <button id="printButton" onclick="printAll()" disabled>Print all</button>
+                <button id="cancelButton" class="danger hidden" onclick="cancelRun()">Cancel</button>
+            </div>
+
+            <div id="summary" class="summary"></div>
+            <div id="progress" class="progress hidden"><div id="progressBar" class="progress-bar"></div></div>
+            <div id="previews" class="previews"></div>
+            <table id="errors" class="hidden">
+                <thead><tr><th>Row</th><th>Line</th><th>Problem</th></tr></thead>
+                <tbody></tbody>
+            </table>
+        </div>
+
+        <script>
+            let dataText = null;
+            let dataIsJson = false;
+            let statusUrl = null;
+
+            function setSummary(text, isError) {
+                const summary = document.getElementById('summary');
+                summary.textContent = text;
+                summary.className = isError ? 'summary error' : 'summary';
+            }
+
+            function showErrors(errors) {
+                const table = document.getElementById('errors');
+                const body = table.querySelector('tbody');
+                body.innerHTML = '';
+                errors.forEach(item => {
+                    const row = body.insertRow();
+                    row.insertCell().textContent = item.row;
+                    row.insertCell().textContent = item.line || '';
+                    row.insertCell().textContent = item.error;
+                });
+                table.classList.toggle('hidden', errors.length === 0);
+            }
+
+            async function loadOptions() {
+                try {
+                    const [templatesResponse, printersResponse] = await Promise.all([
+                        fetch('/templates'),
+                        fetch('/printers'),
+                    ]);
+                    const templateData = await templatesResponse.json();
+                    const printerData = await printersResponse.json();
+
+                    (templateData.templates || []).forEach(template => {
+                        const option = document.createElement('option');
+                        option.value = template.id;
+                        option.textContent = template.id + (template.description ? ' - ' + template.description : '');
+                        document.getElementById('template').appendChild(option);
+                    });
+                    (printerData.printers || []).forEach(printer => {
+                        const option = document.createElement('option');
+                        option.value = printer.name;
+                        option.textContent = printer.name + ' (' + printer.type + ')';
+                        option.selected = printer.name === printerData.defaultPrinter;
+                        document.getElementById('printer').appendChild(option);
+                    });
+                } catch (error) {
+                    setSummary('Failed to load templates and printers: ' + error.message, true);
+                }
+            }
+
+            function readFile(file) {
+                const reader = new FileReader();
+                reader.onload = () => {
+                    dataText = reader.result;
+                    dataIsJson = file.name.toLowerCase().endsWith('.json') || dataText.trim().startsWith('[');
+                    document.getElementById('printButton').disabled = true;
+                    setSummary('Loaded ' + file.name + '. Preview it before printing.');
+                };
+                reader.readAsText(file);
+            }
+
+            // The request body for POST /print/merge
+            function mergeRequest(dryRun) {
+                if (dataText === null) {
+                    throw new Error('Choose a data file first');
+                }
+                const body = {
+                    printer: document.getElementById('printer').value,
+                    copies: parseInt(document.getElementById('copies').value, 10),
+                    dryRun,
+                };
+                if (document.getElementById('template').value) {
+                    body.template = document.getElementById('template').value;
+                } else {
+                    body.layout = document.getElementById('layout').value;
+                }
+                if (dataIsJson) {
+                    body.rows = JSON.parse(dataText);
+                } else {
+                    body.csv = dataText;
+                }
+                return body;
+            }
+
+            async function postMerge(dryRun) {
+                const response = await fetch('/print/merge', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(mergeRequest(dryRun)),
+                });
+                return response.json();
+            }
+
+            async function preview() {
+                document.getElementById('previews').innerHTML = '';
+                showErrors([]);
+                setSummary('Checking rows...');
+                try {
+                    const data = await postMerge(true);
+                    if (!data.dryRun) {
+                        setSummary('Error: ' + data.error, true);
+                        return;
+                    }
+
+                    setSummary(data.total + ' rows: ' + data.valid + ' ready (' + data.labels +
+                        ' labels), ' + data.failed + ' with problems. Columns: ' + data.columns.join(', '),
+                        data.failed > 0);
+                    showErrors(data.errors);
+                    data.previews.forEach(item => {
+                        const card = document.createElement('div');
+                        card.className = 'preview';
+                        const image = document.createElement('img');
+                        image.src = item.image;
+                        image.alt = 'Row ' + item.row;
+                        card.appendChild(image);
+                        card.appendChild(document.createTextNode('Row ' + item.row));
+                        document.getElementById('previews').appendChild(card);
+                    });
+                    document.getElementById('printButton').disabled = data.valid === 0;
+                } catch (error) {
+                    setSummary('Preview failed: ' + error.message, true);
+                }
+            }
+
+            async function printAll() {
+                const printer = document.getElementById('printer').value;
+                if (!confirm('Print all rows on ' + printer + '?')) {
+                    return;
+                }
+
+                document.getElementById('previews').innerHTML = '';
+                try {
+                    const data = await postMerge(false);
+                    if (!data.runId) {
+                        setSummary('Error: ' + data.error, true);
+                        return;
+                    }
+                    statusUrl = data.statusUrl;
+                    document.getElementById('printButton').disabled = true;
+                    document.getElementById('previewButton').disabled = true;
+                    document.getElementById('cancelButton').classList.remove('hidden');
+                    document.getElementById('progress').classList.remove('hidden');
+                    showProgress(data);
+                    pollProgress();
+                } catch (error) {
+                    setSummary('Failed to start printing: ' + error.message, true);
+                }
+            }
+
+            function showProgress(run) {
+                const percent = run.total ? Math.round((run.processed / run.total) * 100) : 0;
+                document.getElementById('progressBar').style.width = percent + '%';
+                let text = run.processed + ' of ' + run.total + ' rows processed: ' + run.sent +
+                    ' printed (' + run.labels + ' labels), ' + run.failed + ' failed';
+                if (run.status === 'done') text = 'Done. ' + text;
+                if (run.status === 'cancelled') text = 'Cancelled. ' + text;
+                if (run.status === 'failed') text = 'Stopped: ' + run.error + '. ' + text + ', ' + run.notSent + ' not sent';
+                setSummary(text, run.status === 'failed' || run.failed > 0);
+                showErrors(run.errors);
+            }
+
+            async function pollProgress() {
+                try {
+                    const response = await fetch(statusUrl);
+                    const run = await response.json();
+                    showProgress(run);
+                    if (run.status === 'running') {
+                        setTimeout(pollProgress, 1000);
+                        return;
+                    }
+                } catch (error) {
+                    setSummary('Lost track of the run: ' + error.message, true);
+                }
+                document.getElementById('previewButton').disabled = false;
+                document.getElementById('cancelButton').classList.add('hidden');
+            }
+
+            async function cancelRun() {
+                if (statusUrl) {
+                    await fetch(statusUrl, { method: 'DELETE' });
+                }
+            }
+
+            document.getElementById('dataFile').addEventListener('change', event => {
+                if (event.target.files[0]) readFile(event.target.files[0]);
+            });
+            document.getElementById('template').addEventListener('change', event => {
+                document.getElementById('layout').classList.toggle('hidden', event.target.value !== '');
+            });
+            loadOptions();
+        </script>
+    </body>
+    </html>
+  `);
+});
+
 // Error handling middleware
 app.use((error, req, res) => {
-  console.error('Unhandled error:', error);
+  (req.log || logger).error('Unhandled error', { error });
   res.status(500).json({
     success: false,
     error: 'Internal server error',
@@ -544,20 +3191,69 @@ app.use((error, req, res) => {
   });
 });
 
-// 404 handler
-app.all('/*splat', (req, res) => {
-  const endpoints = ['GET /health', 'POST /print', 'GET /printer/info'];
+// Endpoints listed in the startup log and 404 responses
+function listEndpoints() {
+  const endpoints = [
+    'GET /health',
+    'GET /metrics',
+    'POST /print',
+    'POST /print/image',
+    'POST /print/batch',
+    'POST /print/merge',
+    'GET /print/merge/:id',
+    'DELETE /print/merge/:id',
+    'POST /print/image/preview',
+    'POST /zpl/validate',
+    'POST /zpl/preview',
+    'POST /zpl/compile',
+    'GET /printer/info',
+    'GET /printer/status',
+    'GET /printers',
+    'GET /printers/:name/info',
+    'GET /printers/:name/status',
+    'GET /printer/settings/:name',
+    'PUT /printer/settings/:name',
+    'POST /printer/do/:name',
+    'GET /discover',
+    'POST /printers/:name/print',
+    'GET /jobs',
+    'GET /jobs/:id',
+    'POST /jobs/:id/reprint',
+    'GET /webhooks',
+    'POST /webhooks',
+    'GET /webhooks/:id',
+    'DELETE /webhooks/:id',
+    'POST /webhooks/:id/test',
+    'GET /templates',
+    'GET /templates/:id',
+    'PUT /templates/:id',
+    'DELETE /templates/:id',
+    'POST /templates/:id/render',
+    'POST /templates/:id/print',
+    'GET /merge',
+    'POST /ipp/print (IPP)',
+    'POST /ipp/printers/:name (IPP)',
+  ];
 
-  if (printerConfig.type === 'virtual') {
+  if (printers.getDefault().type === 'virtual') {
     endpoints.push(
       'GET /printer/test (virtual only)',
       'GET /labels (virtual only)',
       'GET /labels/:filename (virtual only)',
+      'GET /labels/:filename/source (virtual only)',
+      'POST /labels/:filename/render (virtual only)',
       'DELETE /labels/:filename (virtual only)',
       'GET /viewer (virtual only)'
     );
   }
 
+  return endpoints;
+}
+
+// 404 handler
+app.all('/*splat', (req, res) => {
+  const endpoints = listEndpoints();
+
   res.status(404).json({
     error: `Endpoint ${req.originalUrl} not found`,
     availableEndpoints: endpoints,
@@ -566,22 +3262,24 @@ app.all('/*splat', (req, res) => {
 
 // Start server
 app.listen(PORT, () => {
-  console.log(`Zebra Proxy API running on port ${PORT}`);
-  console.log(`Printer type: ${printerConfig.type}`);
-  console.log('Available endpoints:');
-  console.log(`  GET  http://localhost:${PORT}/health`);
-  console.log(`  POST http://localhost:${PORT}/print`);
-  console.log(`  GET  http://localhost:${PORT}/printer/info`);
-  if (printerConfig.type === 'virtual') {
-    console.log(`  GET  http://localhost:${PORT}/printer/test`);
-    console.log(`  GET  http://localhost:${PORT}/labels`);
-    console.log(`  GET  http://localhost:${PORT}/labels/:filename`);
-    console.log(`  DELETE http://localhost:${PORT}/labels/:filename`);
-    console.log(`  GET  http://localhost:${PORT}/viewer`);
-    console.log('');
-    console.log(`📁 Labels will be saved to: ${printerConfig.virtual.saveDirectory}`);
-    console.log(`🌐 View labels in browser: http://localhost:${PORT}/viewer`);
-  }
+  jobQueue.start();
+  printers.pools().forEach((pool) => pool.start());
+  setInterval(monitorPrinterErrors, WEBHOOK_STATUS_INTERVAL).unref();
+  rawServers.forEach((server) =>
+    server.start().catch((error) => {
+      logger.error('Failed to start raw print server', { port: server.port, error });
+    })
+  );
+  logger.info('Zebra Proxy API running', {
+    port: Number(PORT),
+    printerType: printers.getDefault().type,
+    defaultPrinter: printers.defaultName,
+    endpoints: listEndpoints(),
+    ...(printers.getDefault().type === 'virtual' && {
+      labelDirectory: printers.getDefault().virtual.saveDirectory,
+      viewer: `http://localhost:${PORT}/viewer`,
+    }),
+  });
 });
 
 module.exports = app;
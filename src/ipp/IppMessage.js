@@ -0,0 +1,206 @@
+// Binary IPP message encoding and decoding (RFC 8010)
+
+const GROUP_TAGS = {
+  operation: 0x01,
+  job: 0x02,
+  end: 0x03,
+  printer: 0x04,
+  unsupported: 0x05,
+};
+
+const VALUE_TAGS = {
+  integer: 0x21,
+  boolean: 0x22,
+  enum: 0x23,
+  octetString: 0x30,
+  dateTime: 0x31,
+  resolution: 0x32,
+  rangeOfInteger: 0x33,
+  textWithoutLanguage: 0x41,
+  nameWithoutLanguage: 0x42,
+  keyword: 0x44,
+  uri: 0x45,
+  uriScheme: 0x46,
+  charset: 0x47,
+  naturalLanguage: 0x48,
+  mimeMediaType: 0x49,
+};
+
+const OPERATIONS = {
+  printJob: 0x0002,
+  validateJob: 0x0004,
+  getJobAttributes: 0x0009,
+  getJobs: 0x000a,
+  getPrinterAttributes: 0x000b,
+};
+
+const STATUS = {
+  successfulOk: 0x0000,
+  clientErrorBadRequest: 0x0400,
+  clientErrorNotFound: 0x0406,
+  clientErrorDocumentFormatNotSupported: 0x040a,
+  serverErrorInternalError: 0x0500,
+  serverErrorOperationNotSupported: 0x0501,
+  serverErrorVersionNotSupported: 0x0503,
+};
+
+const INTEGER_TAGS = [VALUE_TAGS.integer, VALUE_TAGS.enum];
+const STRING_TAGS = [
+  VALUE_TAGS.textWithoutLanguage,
+  VALUE_TAGS.nameWithoutLanguage,
+  VALUE_TAGS.keyword,
+  VALUE_TAGS.uri,
+  VALUE_TAGS.uriScheme,
+  VALUE_TAGS.charset,
+  VALUE_TAGS.naturalLanguage,
+  VALUE_TAGS.mimeMediaType,
+];
+
+class IppMessage {
+  // Decode a request into { version, operationId, requestId, groups, data }
+  static decode(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 9) {
+      throw new Error('IPP message too short');
+    }
+
+    const message = {
+      version: `${buffer[0]}.${buffer[1]}`,
+      operationId: buffer.readUInt16BE(2),
+      requestId: buffer.readUInt32BE(4),
+      groups: [],
+      data: Buffer.alloc(0),
+    };
+
+    let offset = 8;
+    let group = null;
+    let lastName = null;
+
+    while (offset < buffer.length) {
+      const tag = buffer[offset++];
+
+      if (tag === GROUP_TAGS.end) {
+        message.data = buffer.subarray(offset);
+        return message;
+      }
+
+      // Tags below 0x10 start a new attribute group
+      if (tag < 0x10) {
+        group = { tag, attributes: {} };
+        message.groups.push(group);
+        lastName = null;
+        continue;
+      }
+
+      if (!group || offset + 2 > buffer.length) {
+        throw new Error('Malformed IPP attribute');
+      }
+
+      const nameLength = buffer.readUInt16BE(offset);
+      offset += 2;
+      const name = buffer.toString('utf8', offset, offset + nameLength);
+      offset += nameLength;
+      const valueLength = buffer.readUInt16BE(offset);
+      offset += 2;
+      if (offset + valueLength > buffer.length) {
+        throw new Error('Malformed IPP attribute value');
+      }
+      const value = IppMessage.decodeValue(tag, buffer.subarray(offset, offset + valueLength));
+      offset += valueLength;
+
+      // An empty name adds another value to the previous attribute
+      const attributeName = nameLength === 0 ? lastName : name;
+      if (!attributeName) {
+        throw new Error('IPP additional value without attribute');
+      }
+      if (!group.attributes[attributeName]) {
+        group.attributes[attributeName] = [];
+      }
+      group.attributes[attributeName].push(value);
+      lastName = attributeName;
+    }
+
+    throw new Error('IPP message has no end-of-attributes tag');
+  }
+
+  static decodeValue(tag, value) {
+    if (INTEGER_TAGS.includes(tag) && value.length === 4) {
+      return value.readInt32BE(0);
+    }
+    if (tag === VALUE_TAGS.boolean && value.length === 1) {
+      return value[0] === 1;
+    }
+    if (STRING_TAGS.includes(tag)) {
+      return value.toString('utf8');
+    }
+    return value;
+  }
+
+  // First value of an attribute in the given group
+  static attribute(message, groupTag, name) {
+    const group = message.groups.find((candidate) => candidate.tag === groupTag);
+    if (!group || !group.attributes[name]) {
+      return undefined;
+    }
+    return group.attributes[name][0];
+  }
+
+  // Encode a response; groups are [{ tag, attributes: [[name, valueTag, value | values]] }]
+  static encode({ version = '1.1', statusCode, requestId, groups = [], data = null }) {
+    const [major, minor] = version.split('.').map(Number);
+    const parts = [];
+
+    const header = Buffer.alloc(8);
+    header[0] = major;
+    header[1] = minor;
+    header.writeUInt16BE(statusCode, 2);
+    header.writeUInt32BE(requestId, 4);
+    parts.push(header);
+
+    for (const group of groups) {
+      parts.push(Buffer.from([group.tag]));
+      for (const [name, valueTag, value] of group.attributes) {
+        const values = Array.isArray(value) ? value : [value];
+        values.forEach((item, index) => {
+          parts.push(IppMessage.encodeAttribute(index === 0 ? name : '', valueTag, item));
+        });
+      }
+    }
+
+    parts.push(Buffer.from([GROUP_TAGS.end]));
+    if (data) {
+      parts.push(data);
+    }
+
+    return Buffer.concat(parts);
+  }
+
+  static encodeAttribute(name, valueTag, value) {
+    let encoded;
+    if (INTEGER_TAGS.includes(valueTag)) {
+      encoded = Buffer.alloc(4);
+      encoded.writeInt32BE(value, 0);
+    } else if (valueTag === VALUE_TAGS.boolean) {
+      encoded = Buffer.from([value ? 1 : 0]);
+    } else if (Buffer.isBuffer(value)) {
+      encoded = value;
+    } else {
+      encoded = Buffer.from(String(value), 'utf8');
+    }
+
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const attribute = Buffer.alloc(1 + 2 + nameBuffer.length + 2);
+    attribute[0] = valueTag;
+    attribute.writeUInt16BE(nameBuffer.length, 1);
+    nameBuffer.copy(attribute, 3);
+    attribute.writeUInt16BE(encoded.length, 3 + nameBuffer.length);
+
+    return Buffer.concat([attribute, encoded]);
+  }
+}
+
+IppMessage.GROUP_TAGS = GROUP_TAGS;
+IppMessage.VALUE_TAGS = VALUE_TAGS;
+IppMessage.OPERATIONS = OPERATIONS;
+IppMessage.STATUS = STATUS;
+
+module.exports = IppMessage;
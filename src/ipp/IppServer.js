@@ -0,0 +1,258 @@
+const IppMessage = require('./IppMessage');
+const Logger = require('../logging/Logger');
+
+const { GROUP_TAGS, VALUE_TAGS, OPERATIONS, STATUS } = IppMessage;
+
+const DOCUMENT_FORMATS = ['application/vnd.zebra-zpl', 'application/octet-stream'];
+
+// IPP job-state values for the job queue states
+const JOB_STATES = {
+  queued: 3, // pending
+  held: 4, // pending-held
+  sending: 5, // processing
+  done: 9, // completed
+  failed: 8, // aborted
+};
+
+const JOB_STATE_REASONS = {
+  queued: 'none',
+  held: 'job-hold-until-specified',
+  sending: 'job-printing',
+  done: 'job-completed-successfully',
+  failed: 'aborted-by-system',
+};
+
+// Minimal IPP printer: Print-Job, Validate-Job, Get-Job-Attributes, Get-Jobs and
+// Get-Printer-Attributes. Print-Job documents go into the persistent job queue.
+class IppServer {
+  constructor(options = {}) {
+    this.jobQueue = options.jobQueue;
+    this.printers = options.printers;
+    // (printerName, data) => bytes to queue, e.g. transcoded to the printer's code page
+    this.encode = options.encode || ((printerName, data) => data);
+    // Whether requests need credentials (HTTP Basic with an API key), advertised to clients
+    this.authentication = options.authentication === true;
+    this.log = options.logger || Logger.root;
+    this.startedAt = Date.now();
+
+    // IPP job ids are integers; the queue's UUIDs are mapped through job.ippJobId
+    this.nextJobId =
+      this.jobQueue.list().reduce((max, job) => Math.max(max, job.ippJobId || 0), 0) + 1;
+  }
+
+  // Handle a binary IPP request for a printer and return the binary response;
+  // log is the request logger, requestId and apiKey are recorded on queued jobs
+  handle(body, { printerName, printerUri, apiKey = null, requestId = null, log = this.log }) {
+    let request;
+    try {
+      request = IppMessage.decode(body);
+    } catch (error) {
+      log.warn('Invalid IPP request', { printer: printerName, error: error.message });
+      return this.response({ requestId: 0 }, STATUS.clientErrorBadRequest, error.message);
+    }
+
+    if (!['1.0', '1.1', '2.0'].includes(request.version)) {
+      return this.response(request, STATUS.serverErrorVersionNotSupported);
+    }
+
+    const context = {
+      printerName,
+      printerUri,
+      apiKey,
+      requestId,
+      log,
+      config: this.printers.get(printerName),
+    };
+
+    try {
+      switch (request.operationId) {
+        case OPERATIONS.printJob:
+          return this.printJob(request, context);
+        case OPERATIONS.validateJob:
+          return this.validateJob(request, context);
+        case OPERATIONS.getJobAttributes:
+          return this.getJobAttributes(request, context);
+        case OPERATIONS.getJobs:
+          return this.getJobs(request, context);
+        case OPERATIONS.getPrinterAttributes:
+          return this.getPrinterAttributes(request, context);
+        default:
+          return this.response(request, STATUS.serverErrorOperationNotSupported);
+      }
+    } catch (error) {
+      log.error('IPP operation error', { printer: printerName, error });
+      return this.response(request, STATUS.serverErrorInternalError, error.message);
+    }
+  }
+
+  response(request, statusCode, message = null, groups = []) {
+    const operationAttributes = [
+      ['attributes-charset', VALUE_TAGS.charset, 'utf-8'],
+      ['attributes-natural-language', VALUE_TAGS.naturalLanguage, 'en'],
+    ];
+    if (message) {
+      operationAttributes.push(['status-message', VALUE_TAGS.textWithoutLanguage, message]);
+    }
+
+    return IppMessage.encode({
+      version: request.version === '2.0' ? '2.0' : '1.1',
+      statusCode,
+      requestId: request.requestId,
+      groups: [{ tag: GROUP_TAGS.operation, attributes: operationAttributes }, ...groups],
+    });
+  }
+
+  checkDocumentFormat(request) {
+    const format = IppMessage.attribute(request, GROUP_TAGS.operation, 'document-format');
+    if (format && !DOCUMENT_FORMATS.includes(format)) {
+      return `Unsupported document format: ${format}. Supported: ${DOCUMENT_FORMATS.join(', ')}`;
+    }
+    return null;
+  }
+
+  validateJob(request) {
+    const formatError = this.checkDocumentFormat(request);
+    if (formatError) {
+      return this.response(request, STATUS.clientErrorDocumentFormatNotSupported, formatError);
+    }
+    return this.response(request, STATUS.successfulOk);
+  }
+
+  printJob(request, context) {
+    const formatError = this.checkDocumentFormat(request);
+    if (formatError) {
+      return this.response(request, STATUS.clientErrorDocumentFormatNotSupported, formatError);
+    }
+    if (request.data.length === 0) {
+      return this.response(request, STATUS.clientErrorBadRequest, 'Print-Job has no document data');
+    }
+
+    const jobName = IppMessage.attribute(request, GROUP_TAGS.operation, 'job-name');
+    const userName = IppMessage.attribute(request, GROUP_TAGS.operation, 'requesting-user-name');
+
+    const data = this.encode(context.printerName, request.data);
+    const job = this.jobQueue.enqueue(context.printerName, data, {
+      source: 'ipp',
+      ippJobId: this.nextJobId++,
+      ...(jobName && { jobName }),
+      ...(userName && { client: userName }),
+      ...(context.apiKey && { apiKey: context.apiKey }),
+      ...(context.requestId && { requestId: context.requestId }),
+    });
+    context.log.info('IPP job queued', {
+      printer: context.printerName,
+      jobId: job.id,
+      ippJobId: job.ippJobId,
+      bytes: request.data.length,
+    });
+
+    return this.response(request, STATUS.successfulOk, null, [
+      { tag: GROUP_TAGS.job, attributes: this.jobAttributes(job, context) },
+    ]);
+  }
+
+  findJob(request, context) {
+    const jobId = IppMessage.attribute(request, GROUP_TAGS.operation, 'job-id');
+    const jobUri = IppMessage.attribute(request, GROUP_TAGS.operation, 'job-uri');
+    const id = jobId !== undefined ? jobId : jobUri ? parseInt(jobUri.split('/').pop()) : NaN;
+
+    return this.jobQueue
+      .list()
+      .find((job) => job.ippJobId === id && job.printer === context.printerName);
+  }
+
+  getJobAttributes(request, context) {
+    const job = this.findJob(request, context);
+    if (!job) {
+      return this.response(request, STATUS.clientErrorNotFound, 'Job not found');
+    }
+
+    return this.response(request, STATUS.successfulOk, null, [
+      { tag: GROUP_TAGS.job, attributes: this.jobAttributes(job, context) },
+    ]);
+  }
+
+  getJobs(request, context) {
+    const whichJobs =
+      IppMessage.attribute(request, GROUP_TAGS.operation, 'which-jobs') || 'not-completed';
+    const limit = IppMessage.attribute(request, GROUP_TAGS.operation, 'limit');
+    const completed = ['done', 'failed'];
+
+    let jobs = this.jobQueue
+      .list()
+      .filter((job) => job.ippJobId && job.printer === context.printerName)
+      .filter((job) =>
+        whichJobs === 'completed'
+          ? completed.includes(job.status)
+          : whichJobs === 'not-completed'
+            ? !completed.includes(job.status)
+            : true
+      )
+      .sort((a, b) => b.ippJobId - a.ippJobId);
+
+    if (limit > 0) {
+      jobs = jobs.slice(0, limit);
+    }
+
+    return this.response(
+      request,
+      STATUS.successfulOk,
+      null,
+      jobs.map((job) => ({ tag: GROUP_TAGS.job, attributes: this.jobAttributes(job, context) }))
+    );
+  }
+
+  jobAttributes(job, context) {
+    return [
+      ['job-id', VALUE_TAGS.integer, job.ippJobId],
+      ['job-uri', VALUE_TAGS.uri, `${context.printerUri}/jobs/${job.ippJobId}`],
+      ['job-printer-uri', VALUE_TAGS.uri, context.printerUri],
+      ['job-name', VALUE_TAGS.nameWithoutLanguage, job.jobName || job.id],
+      ['job-state', VALUE_TAGS.enum, JOB_STATES[job.status] || 3],
+      ['job-state-reasons', VALUE_TAGS.keyword, JOB_STATE_REASONS[job.status] || 'none'],
+      [
+        'time-at-creation',
+        VALUE_TAGS.integer,
+        Math.max(0, Math.floor((new Date(job.createdAt).getTime() - this.startedAt) / 1000)),
+      ],
+    ];
+  }
+
+  getPrinterAttributes(request, context) {
+    const queued = this.jobQueue
+      .list()
+      .filter(
+        (job) => job.printer === context.printerName && !['done', 'failed'].includes(job.status)
+      ).length;
+
+    const attributes = [
+      ['printer-uri-supported', VALUE_TAGS.uri, context.printerUri],
+      ['uri-security-supported', VALUE_TAGS.keyword, 'none'],
+      ['uri-authentication-supported', VALUE_TAGS.keyword, this.authentication ? 'basic' : 'none'],
+      ['printer-name', VALUE_TAGS.nameWithoutLanguage, context.printerName],
+      ['printer-info', VALUE_TAGS.textWithoutLanguage, `Zebra Proxy (${context.config.type})`],
+      ['printer-make-and-model', VALUE_TAGS.textWithoutLanguage, 'Zebra Proxy ZPL Printer'],
+      ['printer-state', VALUE_TAGS.enum, queued > 0 ? 4 : 3],
+      ['printer-state-reasons', VALUE_TAGS.keyword, 'none'],
+      ['printer-is-accepting-jobs', VALUE_TAGS.boolean, true],
+      ['queued-job-count', VALUE_TAGS.integer, queued],
+      ['printer-up-time', VALUE_TAGS.integer, Math.floor((Date.now() - this.startedAt) / 1000)],
+      ['ipp-versions-supported', VALUE_TAGS.keyword, ['1.0', '1.1', '2.0']],
+      ['operations-supported', VALUE_TAGS.enum, Object.values(OPERATIONS)],
+      ['charset-configured', VALUE_TAGS.charset, 'utf-8'],
+      ['charset-supported', VALUE_TAGS.charset, 'utf-8'],
+      ['natural-language-configured', VALUE_TAGS.naturalLanguage, 'en'],
+      ['generated-natural-language-supported', VALUE_TAGS.naturalLanguage, 'en'],
+      ['document-format-default', VALUE_TAGS.mimeMediaType, 'application/octet-stream'],
+      ['document-format-supported', VALUE_TAGS.mimeMediaType, DOCUMENT_FORMATS],
+      ['pdl-override-supported', VALUE_TAGS.keyword, 'not-attempted'],
+      ['compression-supported', VALUE_TAGS.keyword, 'none'],
+    ];
+
+    return this.response(request, STATUS.successfulOk, null, [
+      { tag: GROUP_TAGS.printer, attributes: attributes },
+    ]);
+  }
+}
+
+module.exports = IppServer;
@@ -0,0 +1,163 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../logging/Logger');
+
+// The store is rewritten without the oldest entries once it grows this far past retention
+const COMPACT_FACTOR = 1.2;
+
+// Audit trail of finished print jobs (sent directly or through the queue), kept in a
+// JSON-lines file so recording a job is a single append. Payloads hold label contents, so
+// they are only stored (base64 encoded, for reprints of the exact bytes) when enabled. Emits 'recorded' with the entry
+// and the fields it was recorded from.
+class JobHistory extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.storePath = options.storePath || './data/job-history.jsonl';
+    this.retention = options.retention || 10000;
+    this.storePayloads = options.storePayloads === true;
+    this.getPrinterType = options.getPrinterType || (() => null);
+    this.log = options.logger || Logger.root;
+
+    this.entries = [];
+    this.index = new Map(); // job id -> entry
+
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.storePath)) {
+      return;
+    }
+
+    const lines = fs.readFileSync(this.storePath, 'utf8').split('\n');
+    let skipped = 0;
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        this.add(JSON.parse(line));
+      } catch {
+        // A crash mid-append can leave a partial last line
+        skipped++;
+      }
+    }
+
+    if (skipped > 0) {
+      this.log.warn('Skipped unreadable job history entries', {
+        count: skipped,
+        storePath: this.storePath,
+      });
+    }
+    this.log.info('Loaded job history', { count: this.entries.length, storePath: this.storePath });
+  }
+
+  add(entry) {
+    // A job recorded twice (e.g. restored after a restart) keeps its latest outcome
+    if (this.index.has(entry.id)) {
+      this.entries = this.entries.filter((existing) => existing.id !== entry.id);
+    }
+    this.entries.push(entry);
+    this.index.set(entry.id, entry);
+  }
+
+  // Record a finished job; data is the payload as sent
+  record(fields, data = null) {
+    const entry = {
+      id: fields.id,
+      printer: fields.printer,
+      printerType: fields.printerType || this.getPrinterType(fields.printer),
+      ...(fields.printedBy && { printedBy: fields.printedBy }),
+      status: fields.status,
+      source: fields.source || 'api',
+      client: fields.client || null,
+      apiKey: fields.apiKey || null,
+      requestId: fields.requestId || null,
+      ...(fields.reprintOf && { reprintOf: fields.reprintOf }),
+      ...(fields.batchId && { batchId: fields.batchId }),
+      attempts: fields.attempts || 1,
+      bytes: data === null ? fields.bytes || 0 : Buffer.byteLength(data),
+      response: fields.response === undefined ? null : fields.response,
+      error: fields.error || null,
+      createdAt: fields.createdAt || new Date().toISOString(),
+      finishedAt: new Date().toISOString(),
+      ...(this.storePayloads && data !== null && { payload: Buffer.from(data).toString('base64') }),
+    };
+
+    this.add(entry);
+    this.append(entry);
+    this.emit('recorded', entry, fields);
+    return entry;
+  }
+
+  append(entry) {
+    const directory = path.dirname(this.storePath);
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true });
+    }
+
+    fs.appendFileSync(this.storePath, `${JSON.stringify(entry)}\n`, 'utf8');
+
+    if (this.entries.length > this.retention * COMPACT_FACTOR) {
+      this.compact();
+    }
+  }
+
+  // Drop the oldest entries beyond the retention limit and rewrite the store
+  compact() {
+    const dropped = this.entries.splice(0, this.entries.length - this.retention);
+    dropped.forEach((entry) => this.index.delete(entry.id));
+
+    const tempPath = `${this.storePath}.tmp`;
+    fs.writeFileSync(
+      tempPath,
+      this.entries.map((entry) => `${JSON.stringify(entry)}\n`).join(''),
+      'utf8'
+    );
+    fs.renameSync(tempPath, this.storePath);
+  }
+
+  // Record queued jobs (raw listener, IPP, ?async=true) once they are done or failed
+  observe(queue) {
+    for (const event of ['done', 'failed']) {
+      queue.on(event, (job) =>
+        this.record(
+          {
+            id: job.id,
+            printer: job.printer,
+            printedBy: job.printedBy,
+            status: job.status,
+            source: job.source,
+            client: job.client,
+            apiKey: job.apiKey,
+            requestId: job.requestId,
+            reprintOf: job.reprintOf,
+            attempts: job.attempts,
+            response: job.result,
+            error: job.error,
+            createdAt: job.createdAt,
+            callbackUrl: job.callbackUrl,
+          },
+          job.data
+        )
+      );
+    }
+  }
+
+  get(id) {
+    return this.index.get(id) || null;
+  }
+
+  // The payload of an entry as sent, or null when payloads are not stored
+  payload(entry) {
+    return entry.payload ? Buffer.from(entry.payload, 'base64') : null;
+  }
+
+  // Public view of an entry; the payload itself is only used for reprints
+  describe(entry) {
+    const view = { ...entry, hasPayload: Boolean(entry.payload) };
+    delete view.payload;
+    return view;
+  }
+}
+
+module.exports = JobHistory;
@@ -0,0 +1,385 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../logging/Logger');
+const PrinterPool = require('../printers/PrinterPool');
+
+const ACTIVE_STATES = ['queued', 'held', 'sending'];
+
+// The finished jobs file is rewritten without the oldest jobs once it grows this far past
+// retention
+const COMPACT_FACTOR = 1.2;
+
+// Jobs still to be sent are kept in a JSON store that is rewritten on every change; finished
+// jobs, which no longer change, are appended to a JSON-lines file next to it. A state change
+// therefore costs a write of the active jobs only, however much history is retained.
+class JobQueue extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.storePath = options.storePath || './data/jobs.json';
+    this.finishedPath =
+      options.finishedPath || `${this.storePath.replace(/\.json$/, '')}-finished.jsonl`;
+    this.createPrinter = options.createPrinter; // (printerName, job) => printer instance
+    this.getPrinterType = options.getPrinterType || (() => null);
+    // Jobs sent to a printer at once; a pool can take one per member
+    this.getConcurrency = options.getConcurrency || (() => 1);
+    this.maxAttempts = options.maxAttempts || 5;
+    this.retryDelay = options.retryDelay || 2000; // ms, doubled after every failed attempt
+    this.maxRetryDelay = options.maxRetryDelay || 60000;
+    this.retention = options.retention || 1000; // finished jobs kept in the store
+    // Optional async (job) => reason; a non-empty reason holds the job instead of sending it
+    this.checkPrinter = options.checkPrinter || null;
+    this.holdDelay = options.holdDelay || 10000;
+    this.log = options.logger || Logger.root;
+
+    this.jobs = new Map();
+    this.lines = new Map(); // printer name -> ids of jobs waiting their turn, oldest first
+    this.inFlight = new Map(); // printer name -> ids of jobs taken from the line, until settled
+    this.timers = new Map();
+    this.finishedCount = 0; // lines in the finished jobs file
+
+    if (typeof this.createPrinter !== 'function') {
+      throw new Error('JobQueue requires a createPrinter function');
+    }
+
+    this.load();
+  }
+
+  // Restore jobs from disk; jobs interrupted mid-send are queued again
+  load() {
+    if (fs.existsSync(this.storePath)) {
+      this.loadActive();
+    }
+    if (fs.existsSync(this.finishedPath)) {
+      this.loadFinished();
+    }
+    if (this.jobs.size > 0) {
+      this.log.info('Restored jobs', { count: this.jobs.size, storePath: this.storePath });
+    }
+  }
+
+  loadActive() {
+    let migrated = false;
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+      for (const job of stored.jobs || []) {
+        // Stores written before payloads were kept as bytes hold plain strings
+        if (job.dataEncoding === 'base64') {
+          job.data = Buffer.from(job.data, 'base64');
+          delete job.dataEncoding;
+        }
+        if (job.status === 'sending') {
+          job.status = 'queued';
+        }
+        // Stores written before finished jobs had their own file hold them too, with payload
+        if (!ACTIVE_STATES.includes(job.status)) {
+          delete job.data;
+          migrated = true;
+        }
+        this.jobs.set(job.id, job);
+      }
+    } catch (error) {
+      throw new Error(`Failed to load job store: ${error.message}`);
+    }
+
+    if (migrated) {
+      this.compact();
+      this.save();
+    }
+  }
+
+  loadFinished() {
+    let skipped = 0;
+    for (const line of fs.readFileSync(this.finishedPath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        // A job that finished right before a crash may still be in the active store too
+        const job = JSON.parse(line);
+        this.jobs.delete(job.id);
+        this.jobs.set(job.id, job);
+        this.finishedCount++;
+      } catch {
+        // A crash mid-append can leave a partial last line
+        skipped++;
+      }
+    }
+
+    if (skipped > 0) {
+      this.log.warn('Skipped unreadable finished jobs', {
+        count: skipped,
+        storePath: this.finishedPath,
+      });
+    }
+    this.prune();
+  }
+
+  // Write the jobs still to be sent
+  save() {
+    JobQueue.ensureDirectory(this.storePath);
+
+    // Write to a temp file first so a crash never leaves a truncated store
+    const tempPath = `${this.storePath}.tmp`;
+    const jobs = this.active().map((job) =>
+      // Binary payloads are stored base64 encoded so they are restored byte for byte
+      Buffer.isBuffer(job.data)
+        ? { ...job, data: job.data.toString('base64'), dataEncoding: 'base64' }
+        : job
+    );
+    fs.writeFileSync(tempPath, JSON.stringify({ jobs }), 'utf8');
+    fs.renameSync(tempPath, this.storePath);
+  }
+
+  // Record a job that is done or failed for good, without its payload
+  saveFinished(job) {
+    JobQueue.ensureDirectory(this.finishedPath);
+    fs.appendFileSync(this.finishedPath, `${JSON.stringify(this.describe(job))}\n`, 'utf8');
+
+    this.finishedCount++;
+    if (this.finishedCount > this.retention * COMPACT_FACTOR) {
+      this.compact();
+    }
+  }
+
+  // Rewrite the finished jobs file with the retained jobs only
+  compact() {
+    const finished = this.finished();
+    JobQueue.ensureDirectory(this.finishedPath);
+    const tempPath = `${this.finishedPath}.tmp`;
+    fs.writeFileSync(
+      tempPath,
+      finished.map((job) => `${JSON.stringify(this.describe(job))}\n`).join(''),
+      'utf8'
+    );
+    fs.renameSync(tempPath, this.finishedPath);
+    this.finishedCount = finished.length;
+  }
+
+  static ensureDirectory(filePath) {
+    const directory = path.dirname(filePath);
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true });
+    }
+  }
+
+  // Drop the oldest finished jobs once the retention limit is exceeded
+  prune() {
+    const finished = this.finished();
+    const excess = finished.length - this.retention;
+    if (excess <= 0) {
+      return;
+    }
+
+    finished
+      .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt))
+      .slice(0, excess)
+      .forEach((job) => this.jobs.delete(job.id));
+  }
+
+  // Start processing every job that was queued before a restart, in the order they came in
+  start() {
+    for (const job of this.jobs.values()) {
+      if (job.status === 'queued' || job.status === 'held') {
+        this.line(job.printer).push(job.id);
+      }
+    }
+    for (const printerName of this.lines.keys()) {
+      this.dispatch(printerName);
+    }
+  }
+
+  stop() {
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+
+  enqueue(printerName, data, metadata = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      printer: printerName,
+      status: 'queued',
+      data: data,
+      dataSize: Buffer.byteLength(data),
+      attempts: 0,
+      maxAttempts: this.getMaxAttempts(printerName),
+      createdAt: now,
+      updatedAt: now,
+      nextAttemptAt: now,
+      result: null,
+      error: null,
+      ...metadata,
+    };
+
+    this.jobs.set(job.id, job);
+    this.save();
+    this.emit('queued', job);
+    this.line(printerName).push(job.id);
+    this.dispatch(printerName);
+
+    return job;
+  }
+
+  // Virtual printers don't benefit from retries: their errors are deterministic
+  getMaxAttempts(printerName) {
+    return this.getPrinterType(printerName) === 'virtual' ? 1 : this.maxAttempts;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.jobs.values());
+  }
+
+  // Jobs that are waiting or being sent
+  active() {
+    return this.list().filter((job) => ACTIVE_STATES.includes(job.status));
+  }
+
+  finished() {
+    return this.list().filter((job) => !ACTIVE_STATES.includes(job.status));
+  }
+
+  depth() {
+    return this.active().length;
+  }
+
+  // Public view of a job; the payload itself is never returned
+  describe(job) {
+    const view = { ...job };
+    delete view.data;
+    return view;
+  }
+
+  line(printerName) {
+    if (!this.lines.has(printerName)) {
+      this.lines.set(printerName, []);
+    }
+    return this.lines.get(printerName);
+  }
+
+  // Take jobs from the front of a printer's line while it has room: one at a time, or one per
+  // member for a pool. A job keeps its place through holds and retries until it is settled.
+  dispatch(printerName) {
+    const line = this.line(printerName);
+    const inFlight = this.inFlight.get(printerName) || new Set();
+    this.inFlight.set(printerName, inFlight);
+
+    while (line.length > 0 && inFlight.size < this.getConcurrency(printerName)) {
+      const job = this.jobs.get(line.shift());
+      if (!job || !ACTIVE_STATES.includes(job.status)) continue;
+      inFlight.add(job.id);
+      this.schedule(job);
+    }
+  }
+
+  // A job is done or has failed for good: drop its payload and let the next job go
+  settle(job) {
+    delete job.data;
+    const inFlight = this.inFlight.get(job.printer);
+    if (inFlight) {
+      inFlight.delete(job.id);
+    }
+    this.dispatch(job.printer);
+  }
+
+  schedule(job) {
+    if (this.timers.has(job.id)) {
+      return;
+    }
+
+    const delay = Math.max(0, new Date(job.nextAttemptAt).getTime() - Date.now());
+    const timer = setTimeout(() => {
+      this.timers.delete(job.id);
+      this.process(job);
+    }, delay);
+    timer.unref();
+    this.timers.set(job.id, timer);
+  }
+
+  // Send a job taken from its printer's line. Later jobs for the printer wait until this one
+  // is settled, so they are sent in order.
+  async process(job) {
+    if (this.checkPrinter) {
+      let holdReason;
+      try {
+        holdReason = await this.checkPrinter(job);
+      } catch (error) {
+        holdReason = `Status check failed: ${error.message}`;
+      }
+      if (holdReason) {
+        // Held jobs wait for the printer to recover without using up attempts
+        if (job.status !== 'held' || job.holdReason !== holdReason) {
+          this.update(job, { status: 'held', holdReason: holdReason });
+          this.emit('held', job);
+        }
+        job.nextAttemptAt = new Date(Date.now() + this.holdDelay).toISOString();
+        this.schedule(job);
+        return;
+      }
+    }
+
+    this.update(job, { status: 'sending', attempts: job.attempts + 1, holdReason: null });
+    this.emit('sending', job);
+
+    try {
+      const printer = this.createPrinter(job.printer, job);
+      const result = await printer.print(job.data);
+
+      this.update(job, {
+        status: 'done',
+        result: result,
+        error: null,
+        // Pools report the member that printed the job
+        ...(printer.printedBy && { printedBy: printer.printedBy }),
+      });
+      this.emit('done', job);
+      this.settle(job);
+    } catch (error) {
+      // Once data reached the printer it may have printed the label, so only sends that
+      // could not connect are retried
+      const retry = job.attempts < job.maxAttempts && PrinterPool.isConnectError(error);
+      this.log.warn('Job attempt failed', {
+        jobId: job.id,
+        printer: job.printer,
+        attempt: job.attempts,
+        ...(job.requestId && { requestId: job.requestId }),
+        error: error.message,
+        retry,
+      });
+
+      if (retry) {
+        const delay = Math.min(this.retryDelay * 2 ** (job.attempts - 1), this.maxRetryDelay);
+        this.update(job, {
+          status: 'queued',
+          error: error.message,
+          nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+        });
+        this.emit('retry', job);
+        this.schedule(job);
+      } else {
+        this.update(job, { status: 'failed', error: error.message });
+        this.emit('failed', job);
+        this.settle(job);
+      }
+    }
+  }
+
+  update(job, changes) {
+    const wasActive = ACTIVE_STATES.includes(job.status);
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+
+    // The finished record is written first: after a crash in between, it wins on load
+    if (wasActive && !ACTIVE_STATES.includes(job.status)) {
+      this.saveFinished(job);
+      this.prune();
+    }
+    this.save();
+  }
+}
+
+module.exports = JobQueue;
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const PrinterBatch = require('../printers/PrinterBatch');
+const Logger = require('../logging/Logger');
+
+// Mail-merge runs print in the background, a chunk of rows at a time, so large runs report
+// progress and can be cancelled between chunks. Runs are kept in memory only.
+class MergeRunner {
+  constructor(options = {}) {
+    this.history = options.history || null; // JobHistory recording every label sent
+    this.chunkSize = options.chunkSize || 50;
+    this.retention = options.retention || 100; // finished runs kept for status requests
+    this.log = options.logger || Logger.root;
+
+    this.runs = new Map();
+  }
+
+  // Start printing records with a MailMerge. encode(zpl) turns rendered ZPL into the bytes
+  // for the printer; metadata (client, apiKey, requestId) is recorded with every job.
+  start(options) {
+    const run = {
+      id: crypto.randomUUID(),
+      status: 'running',
+      printer: options.config.name,
+      printerType: options.config.type,
+      total: options.records.length,
+      processed: 0,
+      sent: 0,
+      failed: 0,
+      labels: 0,
+      copies: options.copies || 1,
+      errors: [],
+      error: null,
+      cancelRequested: false,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+    };
+
+    this.runs.set(run.id, run);
+    this.prune();
+
+    this.execute(run, options).catch((error) => this.finish(run, 'failed', error));
+    return run;
+  }
+
+  async execute(run, options) {
+    const { printer, merge, records, encode, metadata = {} } = options;
+    const log = this.log.child({ mergeRunId: run.id, printer: run.printer });
+    log.info('Mail merge started', { rows: run.total, copies: run.copies });
+
+    for (let start = 0; start < records.length; start += this.chunkSize) {
+      // Virtual printers can render without ever waiting on I/O; yielding between chunks
+      // keeps the server answering progress and cancel requests
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      if (run.cancelRequested) {
+        return this.finish(run, 'cancelled');
+      }
+
+      // Rows that don't render are reported and skipped; the rest of the chunk is sent
+      const chunk = [];
+      for (const record of records.slice(start, start + this.chunkSize)) {
+        try {
+          const data = PrinterBatch.repeat(encode(merge.render(record)), run.copies);
+          chunk.push({ record, data });
+        } catch (error) {
+          this.rowError(run, record, error.message);
+          run.processed++;
+        }
+      }
+      if (chunk.length === 0) continue;
+
+      const documents = chunk.map((item) => item.data);
+      const { sent, failure, results, printedBy } = await PrinterBatch.send(printer, documents);
+
+      chunk.slice(0, failure ? sent + 1 : sent).forEach((item, index) => {
+        const failed = index === sent;
+        this.record(run, metadata, item.data, {
+          printedBy: printedBy[index],
+          response: results[index],
+          error: failed ? failure.message : null,
+        });
+        if (failed) {
+          this.rowError(run, item.record, failure.message);
+        }
+      });
+      run.processed += failure ? sent + 1 : sent;
+      run.sent += sent;
+      run.labels += sent * run.copies;
+
+      // A printer failure stops the run; the remaining rows are not sent
+      if (failure) {
+        return this.finish(run, 'failed', failure);
+      }
+    }
+
+    this.finish(run, 'done');
+  }
+
+  rowError(run, record, message) {
+    run.failed++;
+    run.errors.push({ row: record.row, ...(record.line && { line: record.line }), error: message });
+  }
+
+  record(run, metadata, data, fields) {
+    if (!this.history) return;
+    this.history.record(
+      {
+        id: crypto.randomUUID(),
+        printer: run.printer,
+        printerType: run.printerType,
+        printedBy: fields.printedBy,
+        status: fields.error ? 'failed' : 'done',
+        source: 'merge',
+        client: metadata.client,
+        apiKey: metadata.apiKey,
+        requestId: metadata.requestId,
+        batchId: run.id,
+        response: fields.response,
+        error: fields.error,
+        createdAt: run.startedAt,
+      },
+      data
+    );
+  }
+
+  finish(run, status, error = null) {
+    run.status = status;
+    run.error = error ? error.message : null;
+    run.finishedAt = new Date().toISOString();
+
+    const summary = {
+      mergeRunId: run.id,
+      printer: run.printer,
+      status,
+      sent: run.sent,
+      failed: run.failed,
+      notSent: run.total - run.processed,
+    };
+    if (status === 'failed') {
+      this.log.error('Mail merge failed', { ...summary, error });
+    } else {
+      this.log.info('Mail merge finished', summary);
+    }
+  }
+
+  get(id) {
+    return this.runs.get(id) || null;
+  }
+
+  // Ask a running merge to stop; labels already sent to the printer still print
+  cancel(id) {
+    const run = this.get(id);
+    if (run && run.status === 'running') {
+      run.cancelRequested = true;
+    }
+    return run;
+  }
+
+  // Drop the oldest finished runs beyond the retention limit
+  prune() {
+    const finished = Array.from(this.runs.values()).filter((run) => run.status !== 'running');
+    finished
+      .slice(0, Math.max(0, finished.length - this.retention))
+      .forEach((run) => this.runs.delete(run.id));
+  }
+
+  describe(run) {
+    const view = {
+      ...run,
+      notSent: run.total - run.processed,
+      // A printer failure is reported after the render errors of its chunk
+      errors: [...run.errors].sort((a, b) => a.row - b.row),
+    };
+    delete view.cancelRequested;
+    return view;
+  }
+}
+
+module.exports = MergeRunner;
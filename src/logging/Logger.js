@@ -0,0 +1,149 @@
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const FORMATS = ['json', 'text'];
+const PAYLOAD_MODES = ['off', 'redact', 'full'];
+
+// Field data commands whose contents are customer data
+const FIELD_DATA = /([\^~](?:FD|FV))([^^~]*)/gi;
+
+// JSON-lines logger with levels and bound context fields. Child loggers add fields
+// (request ID, printer name, job ID) that are written on every line they log.
+class Logger {
+  constructor(options = {}) {
+    this.level = options.level || 'info';
+    this.format = options.format || 'json';
+    this.payloadMode = options.payloadMode || 'redact';
+    this.payloadMax = options.payloadMax === undefined ? 200 : options.payloadMax;
+    this.fields = options.fields || {};
+    this.stream = options.stream || process.stdout;
+
+    if (LEVELS[this.level] === undefined) {
+      throw new Error(
+        `Unsupported LOG_LEVEL: ${this.level}. Supported: ${Object.keys(LEVELS).join(', ')}`
+      );
+    }
+    if (!FORMATS.includes(this.format)) {
+      throw new Error(`Unsupported LOG_FORMAT: ${this.format}. Supported: ${FORMATS.join(', ')}`);
+    }
+    if (!PAYLOAD_MODES.includes(this.payloadMode)) {
+      throw new Error(
+        `Unsupported LOG_PAYLOAD: ${this.payloadMode}. Supported: ${PAYLOAD_MODES.join(', ')}`
+      );
+    }
+  }
+
+  static fromEnv(env = process.env) {
+    return new Logger({
+      level: env.LOG_LEVEL,
+      format: env.LOG_FORMAT,
+      payloadMode: env.LOG_PAYLOAD,
+      payloadMax: env.LOG_PAYLOAD_MAX !== undefined ? parseInt(env.LOG_PAYLOAD_MAX) : undefined,
+    });
+  }
+
+  child(fields) {
+    return new Logger({
+      level: this.level,
+      format: this.format,
+      payloadMode: this.payloadMode,
+      payloadMax: this.payloadMax,
+      stream: this.stream,
+      fields: { ...this.fields, ...fields },
+    });
+  }
+
+  enabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  debug(message, fields) {
+    this.write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.write('error', message, fields);
+  }
+
+  write(level, message, fields = {}) {
+    if (!this.enabled(level)) {
+      return;
+    }
+
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...this.fields,
+      ...Logger.serialize(fields),
+    };
+
+    if (this.format === 'text') {
+      const extra = Object.entries(entry)
+        .filter(([key]) => !['time', 'level', 'msg'].includes(key))
+        .map(
+          ([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`
+        )
+        .join(' ');
+      this.stream.write(
+        `${entry.time} ${level.toUpperCase().padEnd(5)} ${message}${extra ? ` ${extra}` : ''}\n`
+      );
+    } else {
+      this.stream.write(`${JSON.stringify(entry)}\n`);
+    }
+  }
+
+  // Errors don't survive JSON.stringify, so flatten them
+  static serialize(fields) {
+    const result = {};
+    for (const [key, value] of Object.entries(fields)) {
+      if (value instanceof Error) {
+        result[key] = {
+          message: value.message,
+          ...(value.code && { code: value.code }),
+          ...(value.statusCode && { statusCode: value.statusCode }),
+          ...(!value.statusCode && value.stack && { stack: value.stack }),
+        };
+      } else if (value !== undefined) {
+        result[key] = value;
+      }
+    }
+    return result;
+  }
+
+  // Log fields describing print data: always the byte count, plus the payload itself
+  // depending on LOG_PAYLOAD (off, redact: ^FD field data masked, full)
+  payload(data) {
+    const text = Buffer.isBuffer(data) ? data.toString('latin1') : String(data);
+    const fields = { bytes: Buffer.isBuffer(data) ? data.length : Buffer.byteLength(text) };
+
+    if (this.payloadMode === 'off') {
+      return fields;
+    }
+
+    let payload =
+      this.payloadMode === 'redact'
+        ? text.replace(FIELD_DATA, (match, command, value) =>
+            value.length > 0 ? `${command}[${value.length} chars]` : match
+          )
+        : text;
+    if (this.payloadMax > 0 && payload.length > this.payloadMax) {
+      payload = `${payload.substring(0, this.payloadMax)}...`;
+    }
+
+    return { ...fields, payload };
+  }
+}
+
+Logger.LEVELS = LEVELS;
+
+// Process-wide logger configured from LOG_* environment variables
+Logger.root = Logger.fromEnv();
+
+module.exports = Logger;
@@ -0,0 +1,118 @@
+const client = require('prom-client');
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'zebra_proxy_' });
+
+const printJobs = new client.Counter({
+  name: 'zebra_proxy_print_jobs_total',
+  help: 'Print jobs sent to printer backends, by outcome',
+  labelNames: ['printer', 'type', 'outcome'],
+  registers: [registry],
+});
+
+const printBytes = new client.Counter({
+  name: 'zebra_proxy_print_bytes_total',
+  help: 'Bytes of print data successfully sent to printer backends',
+  labelNames: ['printer', 'type'],
+  registers: [registry],
+});
+
+const printDuration = new client.Histogram({
+  name: 'zebra_proxy_print_duration_seconds',
+  help: 'Time taken to send a print job to the printer backend',
+  labelNames: ['printer', 'type'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [registry],
+});
+
+const printRequests = new client.Counter({
+  name: 'zebra_proxy_print_requests_total',
+  help: 'Print requests received by the API, by how they were handled',
+  labelNames: ['printer', 'mode'],
+  registers: [registry],
+});
+
+const labelaryErrors = new client.Counter({
+  name: 'zebra_proxy_labelary_errors_total',
+  help: 'Failed Labelary API requests, by reason (http, network, timeout)',
+  labelNames: ['reason'],
+  registers: [registry],
+});
+
+const queueJobs = new client.Counter({
+  name: 'zebra_proxy_queue_jobs_total',
+  help: 'Job queue state transitions (done, retry, failed, held)',
+  labelNames: ['printer', 'event'],
+  registers: [registry],
+});
+
+let jobQueue = null;
+
+new client.Gauge({
+  name: 'zebra_proxy_queue_depth',
+  help: 'Jobs waiting in the queue, by printer and state',
+  labelNames: ['printer', 'status'],
+  registers: [registry],
+  collect() {
+    this.reset();
+    if (!jobQueue) return;
+
+    for (const job of jobQueue.list()) {
+      if (['queued', 'held', 'sending'].includes(job.status)) {
+        this.inc({ printer: job.printer, status: job.status });
+      }
+    }
+  },
+});
+
+// Prometheus metrics for print traffic, served by GET /metrics
+class PrintMetrics {
+  // Time a send to a printer backend, count its outcome and bytes, and log the result
+  static async track(printer, type, data, send) {
+    const labels = { printer: printer.name || type, type };
+    const bytes = Buffer.isBuffer(data) ? data.length : Buffer.byteLength(String(data));
+    const started = Date.now();
+    const stopTimer = printDuration.startTimer(labels);
+
+    try {
+      const result = await send();
+      printJobs.inc({ ...labels, outcome: 'success' });
+      printBytes.inc(labels, bytes);
+      printer.log.info('Print job sent', { bytes, durationMs: Date.now() - started });
+      return result;
+    } catch (error) {
+      printJobs.inc({ ...labels, outcome: 'failure' });
+      printer.log.error('Print job failed', { bytes, durationMs: Date.now() - started, error });
+      throw error;
+    } finally {
+      stopTimer();
+    }
+  }
+
+  // mode: sync, queued, held, refused, invalid, batch or merge
+  static recordRequest(printerName, mode) {
+    printRequests.inc({ printer: printerName, mode });
+  }
+
+  static recordLabelaryError(reason) {
+    labelaryErrors.inc({ reason });
+  }
+
+  // Report queue depth and job transitions of a JobQueue
+  static observeQueue(queue) {
+    jobQueue = queue;
+    for (const event of ['done', 'retry', 'failed', 'held']) {
+      queue.on(event, (job) => queueJobs.inc({ printer: job.printer, event }));
+    }
+  }
+
+  static get contentType() {
+    return registry.contentType;
+  }
+
+  static metrics() {
+    return registry.metrics();
+  }
+}
+
+module.exports = PrintMetrics;
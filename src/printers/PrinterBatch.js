@@ -0,0 +1,41 @@
+// Sends a list of documents to one printer in order, stopping at the first failure.
+// Printers with printBatch() (TCP, USB) get them over one connection or session; the rest
+// (virtual printers, pools) print them one by one.
+class PrinterBatch {
+  // Returns { sent, failure, results, printedBy }: the number of documents sent, the error
+  // that stopped the batch (the document at index sent failed), and per-document printer
+  // results and pool members where the printer reports them
+  static async send(printer, documents) {
+    const outcome = { sent: 0, failure: null, results: [], printedBy: [] };
+
+    if (typeof printer.printBatch === 'function') {
+      try {
+        await printer.printBatch(documents);
+        outcome.sent = documents.length;
+      } catch (error) {
+        outcome.failure = error;
+        outcome.sent = error.sent || 0;
+      }
+      return outcome;
+    }
+
+    for (const document of documents) {
+      try {
+        outcome.results.push(await printer.print(document));
+        outcome.printedBy.push(printer.printedBy);
+        outcome.sent++;
+      } catch (error) {
+        outcome.failure = error;
+        break;
+      }
+    }
+    return outcome;
+  }
+
+  // Copies are sent as repeated documents, so every printer type prints them
+  static repeat(data, copies) {
+    return copies > 1 ? Buffer.concat(Array(copies).fill(data)) : data;
+  }
+}
+
+module.exports = PrinterBatch;
@@ -1,10 +1,21 @@
 const TCPPrinter = require('./TCPPrinter');
 const USBPrinter = require('./USBPrinter');
 const VirtualPrinter = require('./VirtualPrinter');
+const PrinterPool = require('./PrinterPool');
+const Logger = require('../logging/Logger');
 
 class PrinterFactory {
-  static createPrinter(config) {
-    const { type, host, port, vendorId, productId, virtual } = config;
+  // logger is usually a request or job logger, so printer log lines carry its request ID
+  static createPrinter(config, logger = Logger.root) {
+    const printer = PrinterFactory.createBackend(config);
+    // The registry name labels the printer's metrics and log lines
+    printer.name = config.name || null;
+    printer.log = logger.child({ printer: printer.name || config.type, printerType: config.type });
+    return printer;
+  }
+
+  static createBackend(config) {
+    const { type, host, port, vendorId, productId, serialNumber, virtual } = config;
 
     switch (type.toLowerCase()) {
       case 'tcp':
@@ -14,13 +25,21 @@ class PrinterFactory {
         return new TCPPrinter(host, port);
 
       case 'usb':
-        return new USBPrinter(vendorId, productId);
+        return new USBPrinter(vendorId, productId, serialNumber);
 
       case 'virtual':
         return new VirtualPrinter(virtual);
 
+      case 'pool':
+        if (!config.pool) {
+          throw new Error('Printer pools must be defined in PRINTERS or PRINTERS_FILE');
+        }
+        return new PrinterPool.PooledPrinter(config.pool);
+
       default:
-        throw new Error(`Unsupported printer type: ${type}. Supported types: tcp, usb, virtual`);
+        throw new Error(
+          `Unsupported printer type: ${type}. Supported types: tcp, usb, virtual, pool`
+        );
     }
   }
 }
@@ -0,0 +1,202 @@
+const Logger = require('../logging/Logger');
+
+const STRATEGIES = ['round-robin', 'least-busy'];
+
+// Errors that mean the job never reached the member, for printers that don't report a phase
+const CONNECT_ERRORS = ['ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// A logical printer backed by several registered printers. Jobs are routed to a healthy
+// member by the pool's strategy and fail over to the next member when a member can't be
+// reached. Once data may have reached a member the job is not sent again, as that could
+// print it twice.
+// The pool is shared by every request; PooledPrinter is the per-request handle to it.
+class PrinterPool {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.members = options.members || [];
+    this.strategy = options.strategy || 'round-robin';
+    this.healthCheckInterval = options.healthCheckInterval || 30000;
+    this.createPrinter = options.createPrinter; // (memberName, logger) => printer instance
+    this.log = options.logger || Logger.root;
+
+    this.cursor = 0;
+    this.timer = null;
+    // Member name -> { healthy, busy, lastCheckedAt, lastError }
+    this.state = new Map(
+      this.members.map((member) => [
+        member,
+        { healthy: true, busy: 0, lastCheckedAt: null, lastError: null },
+      ])
+    );
+
+    if (!Array.isArray(this.members) || this.members.length === 0) {
+      throw new Error(`Printer pool "${name}" needs at least one member`);
+    }
+    if (!STRATEGIES.includes(this.strategy)) {
+      throw new Error(
+        `Invalid strategy "${this.strategy}" for printer pool "${name}". Supported: ${STRATEGIES.join(', ')}`
+      );
+    }
+  }
+
+  // Members in the order they should be tried: healthy ones by strategy, then the rest,
+  // so a job still has a chance when every member was marked down
+  candidates() {
+    const healthy = this.members.filter((member) => this.state.get(member).healthy);
+    const unhealthy = this.members.filter((member) => !this.state.get(member).healthy);
+
+    // Rotate so consecutive jobs start at different members
+    const start = this.cursor++ % Math.max(healthy.length, 1);
+    const rotated = [...healthy.slice(start), ...healthy.slice(0, start)];
+
+    if (this.strategy === 'least-busy') {
+      // Stable sort keeps the rotation among equally busy members
+      rotated.sort((a, b) => this.state.get(a).busy - this.state.get(b).busy);
+    }
+
+    return [...rotated, ...unhealthy];
+  }
+
+  markHealthy(member) {
+    const state = this.state.get(member);
+    if (!state.healthy) {
+      this.log.info('Pool member back in rotation', { pool: this.name, member });
+    }
+    Object.assign(state, { healthy: true, lastError: null });
+  }
+
+  markUnhealthy(member, reason) {
+    const state = this.state.get(member);
+    if (state.healthy) {
+      this.log.warn('Pool member taken out of rotation', { pool: this.name, member, reason });
+    }
+    Object.assign(state, { healthy: false, lastError: reason });
+  }
+
+  // Whether a send failed before any data reached the printer
+  static isConnectError(error) {
+    return error.phase ? error.phase === 'connect' : CONNECT_ERRORS.includes(error.code);
+  }
+
+  // Send to one member after another until one takes the job
+  async print(data, log = this.log) {
+    const failures = [];
+
+    for (const member of this.candidates()) {
+      const state = this.state.get(member);
+      state.busy++;
+
+      try {
+        const result = await this.createPrinter(member, log).print(data);
+        this.markHealthy(member);
+        return { member, result, failures };
+      } catch (error) {
+        this.markUnhealthy(member, error.message);
+        failures.push({ printer: member, error: error.message });
+        if (!PrinterPool.isConnectError(error)) {
+          // The member may have printed part or all of the job
+          error.member = member;
+          error.failures = failures;
+          throw error;
+        }
+        log.warn('Pool member failed, failing over', {
+          pool: this.name,
+          member,
+          error: error.message,
+        });
+      } finally {
+        state.busy--;
+      }
+    }
+
+    const error = new Error(
+      `All printers in pool "${this.name}" failed: ` +
+        failures.map((failure) => `${failure.printer}: ${failure.error}`).join('; ')
+    );
+    // No member was reached, so the job can safely be retried
+    error.phase = 'connect';
+    error.failures = failures;
+    throw error;
+  }
+
+  // Check every member and update the rotation
+  async checkHealth() {
+    await Promise.all(
+      this.members.map(async (member) => {
+        const state = this.state.get(member);
+        let reachable;
+        try {
+          reachable = await this.createPrinter(member, this.log).isReachable();
+        } catch (error) {
+          reachable = false;
+          state.lastError = error.message;
+        }
+
+        state.lastCheckedAt = new Date().toISOString();
+        if (reachable) {
+          this.markHealthy(member);
+        } else {
+          this.markUnhealthy(member, state.lastError || 'Printer unreachable');
+        }
+      })
+    );
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const check = () =>
+      this.checkHealth().catch((error) =>
+        this.log.error('Pool health check failed', { pool: this.name, error })
+      );
+    check();
+    this.timer = setInterval(check, this.healthCheckInterval);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  describe() {
+    return {
+      strategy: this.strategy,
+      healthCheckInterval: this.healthCheckInterval,
+      members: this.members.map((member) => ({ name: member, ...this.state.get(member) })),
+    };
+  }
+}
+
+// The printer returned by PrinterFactory for a pool; it records which member printed
+class PooledPrinter {
+  constructor(pool) {
+    this.pool = pool;
+    this.log = pool.log;
+    this.printedBy = null;
+    this.failures = [];
+  }
+
+  async print(data) {
+    try {
+      const { member, result, failures } = await this.pool.print(data, this.log);
+      this.printedBy = member;
+      this.failures = failures;
+      return result;
+    } catch (error) {
+      this.failures = error.failures || [];
+      throw error;
+    }
+  }
+
+  async isReachable() {
+    return this.pool.members.some((member) => this.pool.state.get(member).healthy);
+  }
+}
+
+PrinterPool.STRATEGIES = STRATEGIES;
+PrinterPool.PooledPrinter = PooledPrinter;
+
+module.exports = PrinterPool;
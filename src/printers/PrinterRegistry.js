@@ -0,0 +1,219 @@
+const fs = require('fs');
+const PrinterFactory = require('./PrinterFactory');
+const PrinterPool = require('./PrinterPool');
+const ZplEncoding = require('../zpl/ZplEncoding');
+
+const NAME_PATTERN = /^[A-Za-z0-9._-]+$/;
+const STATUS_CHECK_MODES = ['off', 'refuse', 'hold'];
+
+class PrinterRegistry {
+  constructor(defaults = {}) {
+    // Settings shared by every printer unless overridden in its own definition
+    this.defaults = defaults;
+    this.printers = new Map();
+    this.defaultName = null;
+  }
+
+  // Build a registry from the legacy single-printer config plus any named
+  // printers defined in PRINTERS (inline JSON) or PRINTERS_FILE (path to JSON)
+  static fromEnv(defaultConfig, env = process.env) {
+    const registry = new PrinterRegistry(defaultConfig);
+    const definitions = PrinterRegistry.loadDefinitions(env);
+
+    for (const [name, definition] of Object.entries(definitions)) {
+      registry.register(name, definition);
+    }
+    // Pools may list members defined after them, so validate once all are registered
+    for (const config of registry.list()) {
+      if (config.type === 'pool') {
+        registry.validatePool(config);
+      }
+      // Fail fast on invalid definitions instead of at the first print
+      PrinterFactory.createPrinter(config);
+    }
+
+    const defaultName = env.DEFAULT_PRINTER || 'default';
+    if (!registry.has(defaultName)) {
+      registry.register(defaultName, defaultConfig);
+    }
+    registry.setDefault(defaultName);
+
+    return registry;
+  }
+
+  static loadDefinitions(env = process.env) {
+    let raw = null;
+
+    if (env.PRINTERS_FILE) {
+      try {
+        raw = fs.readFileSync(env.PRINTERS_FILE, 'utf8');
+      } catch (error) {
+        throw new Error(`Failed to read PRINTERS_FILE: ${error.message}`);
+      }
+    } else if (env.PRINTERS) {
+      raw = env.PRINTERS;
+    }
+
+    if (!raw) {
+      return {};
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (error) {
+      throw new Error(`Invalid printer definitions JSON: ${error.message}`);
+    }
+
+    // Accept either { name: config } or [{ name, ...config }]
+    if (Array.isArray(parsed)) {
+      return parsed.reduce((acc, entry) => {
+        if (!entry || !entry.name) {
+          throw new Error('Each printer definition in an array must have a "name"');
+        }
+        const { name, ...config } = entry;
+        acc[name] = config;
+        return acc;
+      }, {});
+    }
+
+    if (!parsed || typeof parsed !== 'object') {
+      throw new Error('Printer definitions must be a JSON object or array');
+    }
+
+    return parsed;
+  }
+
+  // Booleans may come from JSON or from env strings
+  static parseBoolean(value, fallback = false) {
+    if (value === undefined || value === null || value === '') {
+      return Boolean(fallback);
+    }
+    return value === true || value === 'true';
+  }
+
+  static parseUsbId(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    if (typeof value === 'number') {
+      return value;
+    }
+    const parsed = parseInt(value, 16);
+    if (isNaN(parsed)) {
+      throw new Error(`Invalid USB id: ${value}`);
+    }
+    return parsed;
+  }
+
+  register(name, definition = {}) {
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(
+        `Invalid printer name "${name}": use letters, digits, dots, dashes or underscores`
+      );
+    }
+
+    const config = {
+      ...definition,
+      name,
+      type: (definition.type || this.defaults.type || 'tcp').toLowerCase(),
+      host: definition.host,
+      port: parseInt(definition.port) || this.defaults.port || 9100,
+      vendorId: PrinterRegistry.parseUsbId(definition.vendorId) ?? this.defaults.vendorId ?? 0x0a5f,
+      productId: PrinterRegistry.parseUsbId(definition.productId),
+      serialNumber: definition.serialNumber ? String(definition.serialNumber) : null,
+      virtual: { ...this.defaults.virtual, ...definition.virtual },
+      // Optional raw TCP port on which the proxy accepts jobs for this printer
+      rawPort: parseInt(definition.rawPort) || null,
+      // off, refuse or hold: what to do with jobs while the printer reports an error
+      statusCheck: (definition.statusCheck || this.defaults.statusCheck || 'off').toLowerCase(),
+      // Code page print data is transcoded to (cp850, cp1252, ...), null to send it unchanged
+      encoding: definition.encoding || this.defaults.encoding || null,
+      insertCi: PrinterRegistry.parseBoolean(definition.insertCi, this.defaults.insertCi),
+    };
+
+    try {
+      config.encoding = ZplEncoding.normalize(config.encoding);
+    } catch (error) {
+      throw new Error(`Invalid encoding for printer "${name}": ${error.message}`);
+    }
+
+    if (!STATUS_CHECK_MODES.includes(config.statusCheck)) {
+      throw new Error(
+        `Invalid statusCheck "${config.statusCheck}" for printer "${name}". Supported: ${STATUS_CHECK_MODES.join(', ')}`
+      );
+    }
+
+    if (config.type === 'pool') {
+      // Pool state (health, rotation) is shared by every request, so it lives with the config;
+      // non-enumerable so it stays out of logs and JSON
+      Object.defineProperty(config, 'pool', {
+        value: new PrinterPool(name, {
+          members: definition.members,
+          strategy: definition.strategy,
+          healthCheckInterval:
+            parseInt(definition.healthCheckInterval) || this.defaults.poolHealthCheckInterval,
+          createPrinter: (member, logger) => this.createPrinter(member, logger),
+        }),
+      });
+    }
+
+    this.printers.set(name, config);
+    return config;
+  }
+
+  // Pool members must be registered printers, and not pools themselves
+  validatePool(config) {
+    for (const member of config.pool.members) {
+      if (!this.has(member)) {
+        throw new Error(`Printer pool "${config.name}" refers to unknown printer "${member}"`);
+      }
+      if (this.get(member).type === 'pool') {
+        throw new Error(`Printer pool "${config.name}" cannot contain another pool ("${member}")`);
+      }
+    }
+  }
+
+  pools() {
+    return this.list()
+      .filter((config) => config.type === 'pool')
+      .map((config) => config.pool);
+  }
+
+  has(name) {
+    return this.printers.has(name);
+  }
+
+  get(name) {
+    const config = this.printers.get(name);
+    if (!config) {
+      const error = new Error(`Printer not found: ${name}`);
+      error.statusCode = 404;
+      throw error;
+    }
+    return config;
+  }
+
+  setDefault(name) {
+    this.get(name);
+    this.defaultName = name;
+  }
+
+  getDefault() {
+    return this.get(this.defaultName);
+  }
+
+  names() {
+    return Array.from(this.printers.keys());
+  }
+
+  list() {
+    return Array.from(this.printers.values());
+  }
+
+  createPrinter(name, logger) {
+    return PrinterFactory.createPrinter(this.get(name), logger);
+  }
+}
+
+module.exports = PrinterRegistry;
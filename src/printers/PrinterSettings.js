@@ -0,0 +1,118 @@
+// Setting names are dotted paths such as "print.tone" or "ip.addr"
+const NAME_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9._-]*$/;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// Set-Get-Do (SGD) commands for reading and changing printer settings through any
+// printer exposing query(): "! U1 getvar", "! U1 setvar" and "! U1 do"
+class PrinterSettings {
+  static validateName(name) {
+    if (!NAME_PATTERN.test(String(name || ''))) {
+      throw badRequest(`Invalid setting name "${name}": use a dotted SGD name like "print.tone"`);
+    }
+  }
+
+  // Values are sent quoted, so they can't contain quotes or line breaks
+  static validateValue(value) {
+    if (value === undefined || value === null) {
+      throw badRequest('A value is required');
+    }
+    if (typeof value === 'object') {
+      throw badRequest('Setting values must be strings or numbers');
+    }
+    if (/["\r\n]/.test(String(value))) {
+      throw badRequest('Setting values cannot contain quotes or line breaks');
+    }
+  }
+
+  static command(verb, name, value) {
+    return value === undefined
+      ? `! U1 ${verb} "${name}"\r\n`
+      : `! U1 ${verb} "${name}" "${value}"\r\n`;
+  }
+
+  // getvar replies with one quoted value
+  static isQuotedComplete(response) {
+    return (response.toString('latin1').match(/"/g) || []).length >= 2;
+  }
+
+  // The quoted value of a reply, or the whole reply for unquoted listings (branches, allcv)
+  static parseValue(response) {
+    const text = response.toString('latin1');
+    const match = text.match(/"([^"]*)"/);
+    return match ? match[1] : text.trim();
+  }
+
+  // Read a setting; printers answer "?" for settings they don't have
+  static async get(printer, name, timeout) {
+    PrinterSettings.validateName(name);
+
+    const response = await printer.query(
+      PrinterSettings.command('getvar', name),
+      PrinterSettings.isQuotedComplete,
+      timeout
+    );
+    const value = PrinterSettings.parseValue(response);
+
+    if (value === '?') {
+      const error = new Error(`Printer does not support setting "${name}"`);
+      error.statusCode = 404;
+      throw error;
+    }
+    return value;
+  }
+
+  // setvar has no reply, so read the setting back in the same exchange to confirm it
+  static async set(printer, name, value, timeout) {
+    PrinterSettings.validateName(name);
+    PrinterSettings.validateValue(value);
+
+    printer.log.info('Changing printer setting', { setting: name, value: String(value) });
+    const response = await printer.query(
+      PrinterSettings.command('setvar', name, value) + PrinterSettings.command('getvar', name),
+      PrinterSettings.isQuotedComplete,
+      timeout
+    );
+    const current = PrinterSettings.parseValue(response);
+
+    if (current === '?') {
+      const error = new Error(`Printer does not support setting "${name}"`);
+      error.statusCode = 404;
+      throw error;
+    }
+    return current;
+  }
+
+  // Run an action; most have no reply, which resolves to null rather than failing
+  static async execute(printer, name, value, timeout) {
+    PrinterSettings.validateName(name);
+    if (value !== undefined) {
+      PrinterSettings.validateValue(value);
+    }
+
+    printer.log.info('Running printer action', {
+      action: name,
+      ...(value !== undefined && { value: String(value) }),
+    });
+    try {
+      const response = await printer.query(
+        // Actions take a value even when it is empty: ! U1 do "device.reset" ""
+        PrinterSettings.command('do', name, value === undefined ? '' : value),
+        PrinterSettings.isQuotedComplete,
+        timeout
+      );
+      return PrinterSettings.parseValue(response);
+    } catch (error) {
+      if (error.code === 'NO_RESPONSE') {
+        return null;
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = PrinterSettings;
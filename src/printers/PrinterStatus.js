@@ -0,0 +1,191 @@
+const STX = '\x02';
+const ETX = '\x03';
+
+// ~HQES error and warning bits (low group), as documented in the ZPL manual
+const ERROR_FLAGS = {
+  0x00000001: 'paperOut',
+  0x00000002: 'ribbonOut',
+  0x00000004: 'headOpen',
+  0x00000008: 'cutterFault',
+  0x00000010: 'printheadOverTemperature',
+  0x00000020: 'motorOverTemperature',
+  0x00000040: 'badPrintheadElement',
+  0x00000080: 'printheadDetectionError',
+  0x00000100: 'invalidFirmwareConfiguration',
+  0x00000200: 'printheadThermistorOpen',
+};
+
+const WARNING_FLAGS = {
+  0x00000001: 'needToCalibrateMedia',
+  0x00000002: 'cleanPrinthead',
+  0x00000004: 'replacePrinthead',
+  0x00000008: 'paperNearEnd',
+};
+
+class PrinterStatus {
+  // Split a response into its STX...ETX framed strings
+  static frames(response) {
+    const text = Buffer.isBuffer(response) ? response.toString('ascii') : String(response);
+    const frames = [];
+    let start = text.indexOf(STX);
+
+    while (start !== -1) {
+      const end = text.indexOf(ETX, start + 1);
+      if (end === -1) {
+        break;
+      }
+      frames.push(text.substring(start + 1, end).trim());
+      start = text.indexOf(STX, end + 1);
+    }
+
+    return frames;
+  }
+
+  // A complete ~HS reply consists of three framed strings
+  static isHostStatusComplete(response) {
+    return PrinterStatus.frames(response).length >= 3;
+  }
+
+  static isExtendedStatusComplete(response) {
+    return PrinterStatus.frames(response).length >= 1;
+  }
+
+  // Parse the three-string reply of ~HS
+  static parseHostStatus(response) {
+    const frames = PrinterStatus.frames(response);
+    if (frames.length < 3) {
+      throw new Error(`Incomplete ~HS response: expected 3 strings, got ${frames.length}`);
+    }
+
+    const first = frames[0].split(',');
+    const second = frames[1].split(',');
+    const flag = (value) => value !== undefined && value.trim() === '1';
+    const number = (value) => (value === undefined ? null : parseInt(value, 10));
+
+    const status = {
+      paperOut: flag(first[1]),
+      paused: flag(first[2]),
+      labelLength: number(first[3]),
+      formatsInBuffer: number(first[4]),
+      bufferFull: flag(first[5]),
+      diagnosticMode: flag(first[6]),
+      partialFormat: flag(first[7]),
+      corruptRam: flag(first[9]),
+      underTemperature: flag(first[10]),
+      overTemperature: flag(first[11]),
+      headOpen: flag(second[2]),
+      ribbonOut: flag(second[3]),
+      thermalTransfer: flag(second[4]),
+      printMode: second[5] !== undefined ? second[5].trim() : null,
+      labelWaiting: flag(second[7]),
+      labelsRemaining: number(second[8]),
+      graphicsStored: number(second[10]),
+    };
+
+    return {
+      ...status,
+      errors: PrinterStatus.errorsFromHostStatus(status),
+      raw: frames,
+    };
+  }
+
+  static errorsFromHostStatus(status) {
+    const errors = [];
+    if (status.paperOut) errors.push('paperOut');
+    if (status.ribbonOut) errors.push('ribbonOut');
+    if (status.headOpen) errors.push('headOpen');
+    if (status.paused) errors.push('paused');
+    if (status.bufferFull) errors.push('bufferFull');
+    if (status.corruptRam) errors.push('corruptRam');
+    if (status.overTemperature) errors.push('overTemperature');
+    if (status.underTemperature) errors.push('underTemperature');
+    return errors;
+  }
+
+  // Parse the ERRORS/WARNINGS lines of ~HQES
+  static parseExtendedStatus(response) {
+    const frames = PrinterStatus.frames(response);
+    const text = frames.length > 0 ? frames.join('\n') : String(response);
+
+    const parseLine = (label, flags) => {
+      const match = text.match(
+        new RegExp(`${label}:\\s*(\\d)\\s+([0-9A-Fa-f]{8})\\s+([0-9A-Fa-f]{8})`)
+      );
+      if (!match) {
+        return null;
+      }
+      const bits = parseInt(match[3], 16);
+      const names = Object.entries(flags)
+        .filter(([bit]) => (bits & Number(bit)) !== 0)
+        .map(([, name]) => name);
+      return {
+        present: match[1] === '1',
+        groups: [match[2], match[3]],
+        flags: names,
+      };
+    };
+
+    const errors = parseLine('ERRORS', ERROR_FLAGS);
+    const warnings = parseLine('WARNINGS', WARNING_FLAGS);
+    if (!errors && !warnings) {
+      throw new Error('Unrecognized ~HQES response');
+    }
+
+    return { errors, warnings };
+  }
+
+  // Query ~HS (and ~HQES when supported) through any printer exposing query()
+  static async fetch(printer, { extended = true } = {}) {
+    const hsResponse = await printer.query('~HS', PrinterStatus.isHostStatusComplete);
+    const hostStatus = PrinterStatus.parseHostStatus(hsResponse);
+
+    let extendedStatus = null;
+    if (extended) {
+      try {
+        const esResponse = await printer.query('~HQES', PrinterStatus.isExtendedStatusComplete);
+        extendedStatus = PrinterStatus.parseExtendedStatus(esResponse);
+      } catch (error) {
+        // Older firmware doesn't support ~HQES; ~HS alone is still useful
+        printer.log.warn('~HQES not available', { error: error.message });
+      }
+    }
+
+    return PrinterStatus.combine(hostStatus, extendedStatus);
+  }
+
+  // Combine ~HS and (optional) ~HQES results into one status object
+  static combine(hostStatus, extendedStatus = null) {
+    const errors = new Set(hostStatus.errors);
+    const warnings = new Set();
+
+    if (extendedStatus) {
+      if (extendedStatus.errors) {
+        extendedStatus.errors.flags.forEach((name) => errors.add(name));
+      }
+      if (extendedStatus.warnings) {
+        extendedStatus.warnings.flags.forEach((name) => warnings.add(name));
+      }
+    }
+
+    return {
+      ready: errors.size === 0,
+      paperOut: errors.has('paperOut'),
+      ribbonOut: errors.has('ribbonOut'),
+      headOpen: errors.has('headOpen'),
+      paused: hostStatus.paused,
+      bufferFull: hostStatus.bufferFull,
+      labelsRemaining: hostStatus.labelsRemaining,
+      formatsInBuffer: hostStatus.formatsInBuffer,
+      labelLength: hostStatus.labelLength,
+      overTemperature: hostStatus.overTemperature,
+      underTemperature: hostStatus.underTemperature,
+      errors: Array.from(errors),
+      warnings: Array.from(warnings),
+      hostStatus: hostStatus,
+      extendedStatus: extendedStatus,
+      checkedAt: new Date().toISOString(),
+    };
+  }
+}
+
+module.exports = PrinterStatus;
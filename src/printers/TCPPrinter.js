@@ -1,45 +1,193 @@
 const net = require('net');
+const PrinterStatus = require('./PrinterStatus');
+const PrintMetrics = require('../metrics/PrintMetrics');
+const Logger = require('../logging/Logger');
+
+// The printer accepted the connection but said nothing, as for commands without a reply
+function noResponse(message) {
+  const error = new Error(message);
+  error.code = 'NO_RESPONSE';
+  return error;
+}
 
 class TCPPrinter {
   constructor(host, port) {
     this.host = host;
     this.port = port;
+    this.log = Logger.root;
   }
 
   async print(data) {
+    return PrintMetrics.track(this, 'tcp', data, () => this.send(data));
+  }
+
+  // Errors carry phase "connect" when nothing reached the printer, "write" otherwise
+  send(data) {
     return new Promise((resolve, reject) => {
       const client = new net.Socket();
+      let connected = false;
 
       client.connect(this.port, this.host, () => {
-        console.log(`Connected to printer at ${this.host}:${this.port}`);
+        connected = true;
+        this.log.debug('Connected to printer', { host: this.host, port: this.port });
         client.write(data);
       });
 
       client.on('data', (response) => {
-        console.log('Printer response:', response.toString('ascii'));
+        this.log.debug('Printer response', { response: response.toString('ascii') });
         client.destroy();
         resolve(response.toString('ascii'));
       });
 
       client.on('close', () => {
-        console.log('Connection closed');
+        this.log.debug('Connection closed');
         resolve('Print job sent successfully');
       });
 
       client.on('error', (err) => {
-        console.error('TCP connection error:', err);
+        this.log.error('TCP connection error', { host: this.host, port: this.port, error: err });
+        err.phase = connected ? 'write' : 'connect';
         reject(err);
       });
 
       // Set a timeout to close connection if no response
-      setTimeout(() => {
-        if (!client.destroyed) {
-          client.destroy();
+      const timeout = parseInt(process.env.ZEBRA_TCP_TIMEOUT) || 5000; // Default of 5 seconds
+      const timer = setTimeout(() => {
+        if (client.destroyed) return;
+        client.destroy();
+        if (connected) {
           resolve('Print job sent (timeout)');
+        } else {
+          const error = new Error(`Connection to ${this.host}:${this.port} timed out`);
+          error.code = 'ETIMEDOUT';
+          error.phase = 'connect';
+          reject(error);
+        }
+      }, timeout);
+      client.once('close', () => clearTimeout(timer));
+    });
+  }
+
+  async printBatch(documents) {
+    return PrintMetrics.track(this, 'tcp', Buffer.concat(documents), () =>
+      this.sendBatch(documents)
+    );
+  }
+
+  // Stream several documents over one connection, in order. A failure stops the batch;
+  // error.sent tells how many documents were written before it
+  sendBatch(documents) {
+    return new Promise((resolve, reject) => {
+      const client = new net.Socket();
+      let sent = 0;
+      let failed = false;
+
+      const fail = (error) => {
+        if (failed) return;
+        failed = true;
+        client.destroy();
+        this.log.error('TCP batch error', { host: this.host, port: this.port, sent, error });
+        error.sent = sent;
+        reject(error);
+      };
+
+      client.on('error', fail);
+      // A printer that stops reading (e.g. out of paper) stalls the writes
+      client.setTimeout(parseInt(process.env.ZEBRA_TCP_TIMEOUT) || 5000, () =>
+        fail(new Error(`Printer stopped accepting data after ${sent} document(s)`))
+      );
+
+      client.connect(this.port, this.host, async () => {
+        this.log.debug('Connected to printer', { host: this.host, port: this.port });
+        try {
+          for (const document of documents) {
+            await new Promise((done, error) =>
+              client.write(document, (writeError) => (writeError ? error(writeError) : done()))
+            );
+            if (failed) return;
+            sent++;
+          }
+        } catch (error) {
+          return fail(error);
+        }
+
+        client.end(() => {
+          client.destroy();
+          resolve(sent);
+        });
+      });
+    });
+  }
+
+  // Send a command and collect the reply until isComplete(buffer) returns true
+  async query(command, isComplete, timeout = process.env.ZEBRA_QUERY_TIMEOUT || 3000) {
+    return new Promise((resolve, reject) => {
+      const client = new net.Socket();
+      let response = Buffer.alloc(0);
+      let settled = false;
+
+      const finish = (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        client.destroy();
+
+        if (error) {
+          reject(error);
+        } else {
+          resolve(response);
         }
-      }, process.env.ZEBRA_TCP_TIMEOUT || 5000); // Default timeout of 5 seconds
+      };
+
+      client.connect(this.port, this.host, () => {
+        client.write(command);
+      });
+
+      client.on('data', (chunk) => {
+        response = Buffer.concat([response, chunk]);
+        if (isComplete(response)) {
+          finish();
+        }
+      });
+
+      client.on('close', () => {
+        finish(response.length > 0 ? null : noResponse('Connection closed without a response'));
+      });
+
+      client.on('error', (err) => {
+        this.log.warn('TCP query error', { host: this.host, port: this.port, error: err });
+        finish(err);
+      });
+
+      const timer = setTimeout(() => {
+        finish(
+          response.length > 0
+            ? null
+            : noResponse(`No response to ${command.trim()} within ${timeout}ms`)
+        );
+      }, timeout);
+    });
+  }
+
+  // Whether the printer accepts a connection, without sending anything
+  isReachable(timeout = process.env.ZEBRA_QUERY_TIMEOUT || 3000) {
+    return new Promise((resolve) => {
+      const client = net.connect({ host: this.host, port: this.port });
+      const done = (reachable) => {
+        client.destroy();
+        resolve(reachable);
+      };
+
+      client.setTimeout(Number(timeout), () => done(false));
+      client.once('connect', () => done(true));
+      client.once('error', () => done(false));
     });
   }
+
+  // Query ~HS (and ~HQES when supported) and return structured status flags
+  async getStatus(options = {}) {
+    return PrinterStatus.fetch(this, options);
+  }
 }
 
 module.exports = TCPPrinter;
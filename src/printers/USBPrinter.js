@@ -1,32 +1,115 @@
 const usb = require('usb');
+const PrinterStatus = require('./PrinterStatus');
+const PrintMetrics = require('../metrics/PrintMetrics');
+const Logger = require('../logging/Logger');
+
+// Device ("bus-address") -> the last session queued for it
+const sessions = new Map();
 
 class USBPrinter {
-  constructor(vendorId = 0x0a5f, productId = null) {
+  // serialNumber picks one of several identical printers (same vendor and product ID)
+  constructor(vendorId = 0x0a5f, productId = null, serialNumber = null) {
     this.vendorId = vendorId;
     this.productId = productId;
+    this.serialNumber = serialNumber;
     this.device = null;
+    this.interface = null;
     this.endpoint = null;
+    this.inEndpoint = null;
+    this.log = Logger.root;
   }
 
-  findPrinter() {
-    const devices = usb.getDeviceList();
+  // Read a string descriptor (product name, serial number) from an open device
+  static readString(device, index) {
+    return new Promise((resolve) => {
+      if (!index) {
+        resolve(null);
+        return;
+      }
+      device.getStringDescriptor(index, (error, value) =>
+        resolve(error || !value ? null : value.trim())
+      );
+    });
+  }
 
-    // If specific product ID is provided, look for exact match
-    if (this.productId) {
-      this.device = usb.findByIds(this.vendorId, this.productId);
-      if (this.device) {
-        console.log(`Found Zebra printer: ${this.vendorId}:${this.productId}`);
-        return true;
+  // Run fn with the device to itself. Printers are created per request, so prints, status
+  // queries and descriptor reads for one device would otherwise overlap and fail with
+  // LIBUSB_ERROR_BUSY.
+  static exclusive(device, fn) {
+    const key = `${device.busNumber}-${device.deviceAddress}`;
+    const previous = sessions.get(key) || Promise.resolve();
+    const session = previous.then(fn);
+    const done = session.catch(() => {});
+    sessions.set(key, done);
+    done.then(() => {
+      if (sessions.get(key) === done) {
+        sessions.delete(key);
+      }
+    });
+    return session;
+  }
+
+  // Identify a device by its descriptors; names and serial need the device opened
+  static describe(device) {
+    return USBPrinter.exclusive(device, () => USBPrinter.readDescriptors(device));
+  }
+
+  static async readDescriptors(device) {
+    const { idVendor, idProduct, iManufacturer, iProduct, iSerialNumber } = device.deviceDescriptor;
+    const description = {
+      vendorId: idVendor,
+      productId: idProduct,
+      busNumber: device.busNumber,
+      deviceAddress: device.deviceAddress,
+      manufacturer: null,
+      product: null,
+      serialNumber: null,
+    };
+
+    try {
+      device.open();
+      description.manufacturer = await USBPrinter.readString(device, iManufacturer);
+      description.product = await USBPrinter.readString(device, iProduct);
+      description.serialNumber = await USBPrinter.readString(device, iSerialNumber);
+    } finally {
+      try {
+        device.close();
+      } catch {
+        // Not opened, nothing to close
       }
     }
 
-    // Otherwise, find first Zebra device
-    for (const device of devices) {
-      if (device.deviceDescriptor.idVendor === this.vendorId) {
-        this.device = device;
-        console.log(`Found Zebra printer: ${this.vendorId}:${device.deviceDescriptor.idProduct}`);
-        return true;
+    return description;
+  }
+
+  // All attached devices of a vendor, optionally limited to one product ID
+  static listDevices(vendorId = 0x0a5f, productId = null) {
+    return usb
+      .getDeviceList()
+      .filter(
+        (device) =>
+          device.deviceDescriptor.idVendor === vendorId &&
+          (!productId || device.deviceDescriptor.idProduct === productId)
+      );
+  }
+
+  // Find the first matching device, or the one with the configured serial number
+  async findPrinter() {
+    for (const device of USBPrinter.listDevices(this.vendorId, this.productId)) {
+      if (this.serialNumber) {
+        const { serialNumber } = await USBPrinter.describe(device).catch(() => ({}));
+        if (serialNumber !== this.serialNumber) {
+          continue;
+        }
       }
+
+      this.device = device;
+      this.log.debug('Found Zebra printer', {
+        vendorId: this.vendorId,
+        productId: device.deviceDescriptor.idProduct,
+        ...(this.serialNumber && { serialNumber: this.serialNumber }),
+      });
+      return true;
     }
 
     return false;
@@ -39,56 +122,189 @@ class USBPrinter {
 
     this.device.open();
 
-    // Get the first interface
-    const interface_ = this.device.interface(0);
+    try {
+      // Get the first interface
+      const interface_ = this.device.interface(0);
 
-    // Detach kernel driver if active (Linux/macOS)
-    if (interface_.isKernelDriverActive()) {
-      interface_.detachKernelDriver();
+      // Detach kernel driver if active (Linux/macOS)
+      if (interface_.isKernelDriverActive()) {
+        interface_.detachKernelDriver();
+      }
+
+      interface_.claim();
+      this.interface = interface_;
+
+      // Find the OUT endpoint
+      const endpoints = interface_.endpoints;
+      this.endpoint = endpoints.find((ep) => ep.direction === 'out');
+
+      if (!this.endpoint) {
+        throw new Error('No OUT endpoint found on USB device');
+      }
+
+      // The IN endpoint is optional: some printers are unidirectional
+      this.inEndpoint = endpoints.find((ep) => ep.direction === 'in') || null;
+    } catch (error) {
+      // Don't leave the device open (and claimed) for the next session
+      await this.closeDevice();
+      throw error;
     }
+  }
 
-    interface_.claim();
+  // Resolves once the interface is released and the device closed
+  closeDevice() {
+    const device = this.device;
+    return new Promise((resolve) => {
+      const close = () => {
+        try {
+          device.close();
+        } catch (closeError) {
+          this.log.warn('Error closing USB device', { error: closeError });
+        }
+        resolve();
+      };
 
-    // Find the OUT endpoint
-    const endpoints = interface_.endpoints;
-    this.endpoint = endpoints.find((ep) => ep.direction === 'out');
+      // Release the claimed interface (and stop its endpoints) before closing
+      if (this.interface) {
+        const interface_ = this.interface;
+        this.interface = null;
+        interface_.release(true, close);
+      } else {
+        close();
+      }
+    });
+  }
 
-    if (!this.endpoint) {
-      throw new Error('No OUT endpoint found on USB device');
+  // Find the device and run fn with it opened and claimed, one session per device at a
+  // time. Errors before fn runs carry phase "connect", as nothing was sent yet.
+  async session(fn) {
+    try {
+      if (!(await this.findPrinter())) {
+        throw new Error('Zebra printer not found via USB');
+      }
+    } catch (error) {
+      error.phase = 'connect';
+      throw error;
     }
+
+    return USBPrinter.exclusive(this.device, async () => {
+      try {
+        await this.initializeDevice();
+      } catch (error) {
+        error.phase = 'connect';
+        throw error;
+      }
+
+      try {
+        return await fn();
+      } finally {
+        await this.closeDevice();
+      }
+    });
   }
 
-  async print(data) {
+  transferOut(buffer) {
     return new Promise((resolve, reject) => {
-      if (!this.findPrinter()) {
-        reject(new Error('Zebra printer not found via USB'));
-        return;
+      this.endpoint.transfer(buffer, (error) => (error ? reject(error) : resolve()));
+    });
+  }
+
+  transferIn(length) {
+    return new Promise((resolve, reject) => {
+      this.inEndpoint.transfer(length, (error, data) => {
+        // A timed out read just means the printer has nothing more to say
+        if (error && error.errno !== usb.LIBUSB_TRANSFER_TIMED_OUT) {
+          reject(error);
+        } else {
+          resolve(data || Buffer.alloc(0));
+        }
+      });
+    });
+  }
+
+  // Send a command and read the reply from the IN endpoint until isComplete(buffer)
+  async query(command, isComplete, timeout = process.env.ZEBRA_QUERY_TIMEOUT || 3000) {
+    return this.session(async () => {
+      if (!this.inEndpoint) {
+        throw new Error('No IN endpoint found on USB device: printer replies cannot be read');
       }
 
-      try {
-        this.initializeDevice();
+      // Short per-read timeouts let us poll until the overall deadline
+      this.inEndpoint.timeout = 250;
+      const deadline = Date.now() + Number(timeout);
+      const readSize = this.inEndpoint.descriptor.wMaxPacketSize || 64;
+      let response = Buffer.alloc(0);
 
-        // Convert string to buffer if needed
-        const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+      await this.transferOut(Buffer.isBuffer(command) ? command : Buffer.from(command, 'ascii'));
 
-        this.endpoint.transfer(buffer, (error) => {
-          if (error) {
-            console.error('USB transfer error:', error);
-            reject(error);
-          } else {
-            console.log('USB print job sent successfully');
-            resolve('Print job sent successfully via USB');
+      while (Date.now() < deadline) {
+        const chunk = await this.transferIn(readSize);
+        if (chunk.length > 0) {
+          response = Buffer.concat([response, chunk]);
+          if (isComplete(response)) {
+            return response;
           }
+        }
+      }
 
-          // Close the device
-          try {
-            this.device.close();
-          } catch (closeError) {
-            console.warn('Error closing USB device:', closeError);
-          }
-        });
+      if (response.length === 0) {
+        const error = new Error(`No response to ${String(command).trim()} within ${timeout}ms`);
+        error.code = 'NO_RESPONSE';
+        throw error;
+      }
+      return response;
+    });
+  }
+
+  // Whether the printer is attached
+  async isReachable() {
+    return this.findPrinter();
+  }
+
+  // Query ~HS (and ~HQES when supported) and return structured status flags
+  async getStatus(options = {}) {
+    return PrinterStatus.fetch(this, options);
+  }
+
+  async print(data) {
+    return PrintMetrics.track(this, 'usb', data, () => this.send(data));
+  }
+
+  async printBatch(documents) {
+    return PrintMetrics.track(this, 'usb', Buffer.concat(documents), () =>
+      this.sendBatch(documents)
+    );
+  }
+
+  // Send several documents in one session with the device, one transfer each. A failure
+  // stops the batch; error.sent tells how many documents were transferred before it
+  async sendBatch(documents) {
+    return this.session(async () => {
+      let sent = 0;
+      try {
+        for (const document of documents) {
+          await this.transferOut(document);
+          sent++;
+        }
+        return sent;
+      } catch (error) {
+        this.log.error('USB batch transfer error', { sent, error });
+        error.sent = sent;
+        throw error;
+      }
+    });
+  }
+
+  async send(data) {
+    return this.session(async () => {
+      try {
+        // Convert string to buffer if needed
+        const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+        await this.transferOut(buffer);
+        return 'Print job sent successfully via USB';
       } catch (error) {
-        reject(error);
+        this.log.error('USB transfer error', { error });
+        throw error;
       }
     });
   }
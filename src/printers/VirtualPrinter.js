@@ -2,6 +2,22 @@ const https = require('https');
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const ZplRenderer = require('../zpl/ZplRenderer');
+const PrintMetrics = require('../metrics/PrintMetrics');
+const Logger = require('../logging/Logger');
+
+// Each label is saved with a sidecar holding its source ZPL and render settings
+const SOURCE_SUFFIX = '.source.json';
+
+// How payloads with several ^XA...^XZ labels are saved: one file per label, one
+// multi-page PDF, or only the label at labelIndex
+const MULTI_LABEL_MODES = ['files', 'pdf', 'single'];
+
+function labelError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
 
 class VirtualPrinter {
   constructor(options = {}) {
@@ -12,6 +28,22 @@ class VirtualPrinter {
     this.labelIndex = options.labelIndex || '0';
     this.outputFormat = options.outputFormat || 'png'; // png, pdf, json
     this.saveDirectory = options.saveDirectory || './generated_labels';
+    this.renderer = options.renderer || 'labelary'; // labelary or local (offline, png only)
+    this.multiLabel = options.multiLabel || 'files';
+    this.log = Logger.root;
+
+    if (!['labelary', 'local'].includes(this.renderer)) {
+      throw new Error(`Unsupported virtual renderer: ${this.renderer}. Supported: labelary, local`);
+    }
+    if (!MULTI_LABEL_MODES.includes(this.multiLabel)) {
+      throw new Error(
+        `Unsupported multi-label mode: ${this.multiLabel}. Supported: ${MULTI_LABEL_MODES.join(', ')}`
+      );
+    }
+    // Multi-page PDFs come from Labelary; the local renderer only draws png labels
+    if (this.multiLabel === 'pdf' && this.renderer === 'local') {
+      throw new Error('Multi-label mode pdf needs the labelary renderer, not local');
+    }
 
     // Ensure save directory exists
     this.ensureDirectoryExists();
@@ -20,21 +52,153 @@ class VirtualPrinter {
   ensureDirectoryExists() {
     if (!fs.existsSync(this.saveDirectory)) {
       fs.mkdirSync(this.saveDirectory, { recursive: true });
-      console.log(`Created directory: ${this.saveDirectory}`);
+      this.log.info('Created directory', { directory: this.saveDirectory });
     }
   }
 
-  generateFilename() {
+  // Base name shared by the files of one print, e.g. label_2024-01-01T12-00-00-000Z
+  generateBaseName() {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const extension =
-      this.outputFormat === 'pdf' ? 'pdf' : this.outputFormat === 'json' ? 'json' : 'png';
-    return `label_${timestamp}.${extension}`;
+    return `label_${timestamp}`;
+  }
+
+  static extension(outputFormat) {
+    return outputFormat === 'pdf' ? 'pdf' : outputFormat === 'json' ? 'json' : 'png';
+  }
+
+  // metadata is stored in the label's source sidecar, e.g. { renderedFrom: filename }
+  async print(zplData, metadata = {}) {
+    const requestedAt = new Date().toISOString();
+
+    return PrintMetrics.track(this, 'virtual', zplData, async () => {
+      const rendered = await this.render(zplData);
+      return this.saveRenderedLabels(rendered, zplData, { requestedAt, ...metadata });
+    });
+  }
+
+  // Render a payload according to the multi-label mode
+  // Returns { labelCount, outputFormat, files: [{ data, labelIndex }] }
+  async render(zplData) {
+    if (this.multiLabel === 'pdf') {
+      // Without a label index Labelary puts every label on its own PDF page
+      const rendered = await this.renderWithLabelary(zplData, null, 'pdf');
+      return {
+        labelCount: rendered.labelCount,
+        outputFormat: 'pdf',
+        files: [{ data: rendered.data, labelIndex: null }],
+      };
+    }
+
+    if (this.renderer === 'local') {
+      if (this.multiLabel === 'single') {
+        const rendered = this.renderLocally(zplData);
+        return {
+          labelCount: rendered.labelCount,
+          outputFormat: this.outputFormat,
+          files: [{ data: rendered.data, labelIndex: parseInt(this.labelIndex) || 0 }],
+        };
+      }
+      const labels = this.renderAllLocally(zplData);
+      return {
+        labelCount: labels.length,
+        outputFormat: this.outputFormat,
+        files: labels.map((label, index) => ({ data: label.data, labelIndex: index })),
+      };
+    }
+
+    // Labelary renders one label per request; the first reply tells how many there are
+    const firstIndex = this.multiLabel === 'single' ? parseInt(this.labelIndex) || 0 : 0;
+    const first = await this.renderWithLabelary(zplData, firstIndex);
+    const files = [{ data: first.data, labelIndex: firstIndex }];
+
+    if (this.multiLabel === 'files') {
+      for (let index = 1; index < first.labelCount; index++) {
+        const rendered = await this.renderWithLabelary(zplData, index);
+        files.push({ data: rendered.data, labelIndex: index });
+      }
+    }
+    return { labelCount: first.labelCount, outputFormat: this.outputFormat, files };
+  }
+
+  // Render without saving, e.g. for live previews; the label shown is picked by
+  // labelIndex in single mode
+  async preview(zplData) {
+    const rendered = await this.render(zplData);
+    return {
+      data: rendered.files[0].data,
+      labelCount: rendered.labelCount,
+      outputFormat: rendered.outputFormat,
+    };
   }
 
-  async print(zplData) {
-    const url = `${this.baseUrl}/${this.dpmm}/labels/${this.labelWidth / 25.4}x${this.labelHeight / 25.4}/${this.labelIndex}/`;
+  // Render settings recorded with a label, enough to render it again
+  renderSettings() {
+    return {
+      dpmm: this.dpmm,
+      labelWidth: this.labelWidth,
+      labelHeight: this.labelHeight,
+      labelIndex: this.labelIndex,
+      outputFormat: this.outputFormat,
+      renderer: this.renderer,
+      multiLabel: this.multiLabel,
+    };
+  }
+
+  localRenderer() {
+    if (this.outputFormat.toLowerCase() !== 'png') {
+      throw new Error(`Local renderer only supports png output, not ${this.outputFormat}`);
+    }
+    return new ZplRenderer({
+      dpmm: this.dpmm,
+      labelWidth: this.labelWidth,
+      labelHeight: this.labelHeight,
+    });
+  }
+
+  // Render with the built-in ZPL renderer, without any network access
+  renderLocally(zplData) {
+    const renderer = this.localRenderer();
+
+    this.log.debug('Rendering ZPL locally', {
+      labelSize: `${this.labelWidth}x${this.labelHeight} mm`,
+      dpmm: this.dpmm,
+    });
+
+    const result = renderer.render(zplData, this.labelIndex);
+
+    this.log.debug('Local renderer success', { labelCount: result.labelCount });
+    return result;
+  }
+
+  renderAllLocally(zplData) {
+    const renderer = this.localRenderer();
+
+    this.log.debug('Rendering all ZPL labels locally', {
+      labelSize: `${this.labelWidth}x${this.labelHeight} mm`,
+      dpmm: this.dpmm,
+    });
+
+    const labels = renderer.renderAll(zplData);
+
+    this.log.debug('Local renderer success', { labelCount: labels.length });
+    return labels;
+  }
+
+  // A null labelIndex renders every label (multi-page PDF output)
+  async renderWithLabelary(
+    zplData,
+    labelIndex = this.labelIndex,
+    outputFormat = this.outputFormat
+  ) {
+    const size = `${this.labelWidth / 25.4}x${this.labelHeight / 25.4}`;
+    const url =
+      labelIndex === null
+        ? `${this.baseUrl}/${this.dpmm}/labels/${size}/`
+        : `${this.baseUrl}/${this.dpmm}/labels/${size}/${labelIndex}/`;
 
     return new Promise((resolve, reject) => {
+      let timedOut = false;
+
       // Determine protocol
       const protocol = this.baseUrl.startsWith('https') ? https : http;
 
@@ -45,13 +209,17 @@ class VirtualPrinter {
         headers: {
           'Content-Type': 'application/x-www-form-urlencoded',
           'Content-Length': Buffer.byteLength(postData),
-          Accept: this.getAcceptHeader(),
+          Accept: this.getAcceptHeader(outputFormat),
         },
       };
 
-      console.log(`Sending ZPL to Labelary API: ${url}`);
-      console.log(`Label size: ${this.labelWidth}x${this.labelHeight} mm at ${this.dpmm}`);
-      console.log(`Output format: ${this.outputFormat}`);
+      this.log.debug('Sending ZPL to Labelary API', {
+        url,
+        labelSize: `${this.labelWidth}x${this.labelHeight} mm`,
+        dpmm: this.dpmm,
+        outputFormat,
+        labelIndex,
+      });
 
       const req = protocol.request(url, options, (res) => {
         let data = Buffer.alloc(0);
@@ -63,53 +231,33 @@ class VirtualPrinter {
         res.on('end', () => {
           if (res.statusCode === 200) {
             const totalCount = res.headers['x-total-count'] || '1';
-            console.log(`Labelary API success: Generated ${totalCount} label(s)`);
-
-            // Generate filename and save the file
-            const filename = this.generateFilename();
-            const filepath = path.join(this.saveDirectory, filename);
-
-            try {
-              // Save the file
-              if (this.outputFormat === 'json') {
-                fs.writeFileSync(filepath, data.toString(), 'utf8');
-              } else {
-                fs.writeFileSync(filepath, data);
-              }
-
-              console.log(`Label saved to: ${filepath}`);
-
-              let result = {
-                success: true,
-                message: 'Label processed and saved successfully',
-                labelCount: parseInt(totalCount),
-                outputFormat: this.outputFormat,
-                dataSize: data.length,
-                filename: filename,
-                filepath: filepath,
-                savedAt: new Date().toISOString(),
-              };
-
-              resolve(result);
-            } catch (saveError) {
-              console.error('Error saving file:', saveError);
-              reject(new Error(`Failed to save file: ${saveError.message}`));
-            }
+            this.log.debug('Labelary API success', { labelCount: parseInt(totalCount) });
+
+            resolve({ data: data, labelCount: parseInt(totalCount) });
           } else {
             const errorMessage = data.toString();
-            console.error(`Labelary API error (${res.statusCode}):`, errorMessage);
+            this.log.error('Labelary API error', {
+              statusCode: res.statusCode,
+              response: errorMessage,
+            });
+            PrintMetrics.recordLabelaryError('http');
             reject(new Error(`Labelary API error (${res.statusCode}): ${errorMessage}`));
           }
         });
       });
 
       req.on('error', (error) => {
-        console.error('Request error:', error);
+        // Destroying the request on timeout also ends up here
+        if (timedOut) return;
+        this.log.error('Labelary request error', { error });
+        PrintMetrics.recordLabelaryError('network');
         reject(new Error(`Network error: ${error.message}`));
       });
 
       // Set timeout
       req.setTimeout(process.env.ZEBRA_VIRTUAL_TIMEOUT || 10000, () => {
+        timedOut = true;
+        PrintMetrics.recordLabelaryError('timeout');
         req.destroy();
         reject(new Error('Request timeout'));
       });
@@ -119,8 +267,84 @@ class VirtualPrinter {
     });
   }
 
-  getAcceptHeader() {
-    switch (this.outputFormat.toLowerCase()) {
+  // Save the files of a rendered payload, each with its source ZPL. Payloads saved as
+  // several files share a group named after their common base name.
+  saveRenderedLabels(rendered, zplData, metadata = {}) {
+    const baseName = this.generateBaseName();
+    const extension = VirtualPrinter.extension(rendered.outputFormat);
+    const grouped = rendered.files.length > 1;
+    const digits = String(rendered.labelCount).length;
+
+    const files = rendered.files.map((file) => {
+      const filename = grouped
+        ? `${baseName}_${String(file.labelIndex + 1).padStart(digits, '0')}.${extension}`
+        : `${baseName}.${extension}`;
+
+      // Settings that render this one file again
+      const settings = {
+        ...this.renderSettings(),
+        outputFormat: rendered.outputFormat,
+        labelIndex: file.labelIndex === null ? null : String(file.labelIndex),
+        multiLabel: file.labelIndex === null ? 'pdf' : 'single',
+      };
+
+      return this.saveRenderedLabel(filename, file.data, zplData, {
+        ...settings,
+        labelCount: rendered.labelCount,
+        ...(grouped && { group: baseName }),
+        ...metadata,
+      });
+    });
+
+    this.log.info('Label saved', {
+      filepath: files[0].filepath,
+      labelCount: rendered.labelCount,
+      ...(grouped && { group: baseName, files: files.length }),
+    });
+
+    return {
+      success: true,
+      message: 'Label processed and saved successfully',
+      labelCount: rendered.labelCount,
+      outputFormat: rendered.outputFormat,
+      renderer: this.renderer,
+      dataSize: files.reduce((total, file) => total + file.dataSize, 0),
+      filename: files[0].filename,
+      filepath: files[0].filepath,
+      ...(grouped && { group: baseName, files }),
+      hasSource: true,
+      savedAt: new Date().toISOString(),
+    };
+  }
+
+  // Write one label file and its source sidecar
+  saveRenderedLabel(filename, data, zplData, source) {
+    const filepath = path.join(this.saveDirectory, filename);
+
+    try {
+      if (source.outputFormat === 'json') {
+        fs.writeFileSync(filepath, data.toString(), 'utf8');
+      } else {
+        fs.writeFileSync(filepath, data);
+      }
+
+      const sidecar = { filename, ...VirtualPrinter.sourceText(zplData), ...source };
+      fs.writeFileSync(`${filepath}${SOURCE_SUFFIX}`, JSON.stringify(sidecar, null, 2), 'utf8');
+
+      return {
+        filename,
+        filepath,
+        labelIndex: source.labelIndex,
+        dataSize: data.length,
+      };
+    } catch (saveError) {
+      this.log.error('Error saving label file', { filepath, error: saveError });
+      throw new Error(`Failed to save file: ${saveError.message}`);
+    }
+  }
+
+  getAcceptHeader(outputFormat = this.outputFormat) {
+    switch (outputFormat.toLowerCase()) {
       case 'pdf':
         return 'application/pdf';
       case 'json':
@@ -131,16 +355,21 @@ class VirtualPrinter {
     }
   }
 
+  // Virtual printers are always available; Labelary outages show up as failed jobs
+  async isReachable() {
+    return true;
+  }
+
   // Helper method to test ZPL with a simple label
   async testConnection() {
     const testZpl =
       '^XA^FO50,50^A0N,50,50^FDTest Label^FS^FO50,120^A0N,30,30^FDVirtual Printer^FS^XZ';
     try {
       const result = await this.print(testZpl);
-      console.log('Virtual printer test successful:', result);
+      this.log.info('Virtual printer test successful', { filename: result.filename });
       return result;
     } catch (error) {
-      console.error('Virtual printer test failed:', error);
+      this.log.error('Virtual printer test failed', { error });
       throw error;
     }
   }
@@ -154,10 +383,11 @@ class VirtualPrinter {
 
       const files = fs.readdirSync(this.saveDirectory);
       const labelFiles = files
-        .filter((file) => /\.(png|pdf|json)$/i.test(file))
+        .filter((file) => /\.(png|pdf|json)$/i.test(file) && !file.endsWith(SOURCE_SUFFIX))
         .map((file) => {
           const filepath = path.join(this.saveDirectory, file);
           const stats = fs.statSync(filepath);
+          const source = this.readSidecar(filepath);
           return {
             filename: file,
             filepath: filepath,
@@ -165,30 +395,121 @@ class VirtualPrinter {
             created: stats.birthtime,
             modified: stats.mtime,
             extension: path.extname(file).toLowerCase().substring(1),
+            hasSource: source !== null,
+            ...(source && source.group && { group: source.group }),
+            ...(source && { labelIndex: source.labelIndex, labelCount: source.labelCount }),
           };
         })
         .sort((a, b) => b.created - a.created); // Sort by creation date, newest first
 
-      return labelFiles;
+      return VirtualPrinter.keepGroupsTogether(labelFiles);
     } catch (error) {
-      console.error('Error listing saved labels:', error);
+      this.log.error('Error listing saved labels', { error });
       throw new Error(`Failed to list saved labels: ${error.message}`);
     }
   }
 
+  // Move the files of each group next to its newest file, in label order
+  static keepGroupsTogether(labels) {
+    const members = new Map();
+    for (const label of labels.filter((label) => label.group)) {
+      if (!members.has(label.group)) members.set(label.group, []);
+      members.get(label.group).push(label);
+    }
+    members.forEach((group) => group.sort((a, b) => a.labelIndex - b.labelIndex));
+
+    const ordered = [];
+    for (const label of labels) {
+      if (!label.group) {
+        ordered.push(label);
+      } else if (members.has(label.group)) {
+        ordered.push(...members.get(label.group));
+        members.delete(label.group);
+      }
+    }
+    return ordered;
+  }
+
+  // Files of the same multi-label payload, in the order they were listed
+  static groupLabels(labels) {
+    const groups = new Map();
+    for (const label of labels) {
+      if (!label.group) continue;
+      if (!groups.has(label.group)) {
+        groups.set(label.group, {
+          group: label.group,
+          labelCount: label.labelCount,
+          created: label.created,
+          labels: [],
+        });
+      }
+      groups.get(label.group).labels.push(label.filename);
+    }
+    return [...groups.values()];
+  }
+
+  // Sidecar of a label file, or null for labels saved without one
+  readSidecar(filepath) {
+    try {
+      return JSON.parse(fs.readFileSync(`${filepath}${SOURCE_SUFFIX}`, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  // Path of a saved label; names that could point outside the save directory are refused
+  labelPath(filename) {
+    if (!filename || path.basename(filename) !== filename || filename.startsWith('.')) {
+      throw labelError(403, 'Access denied: Invalid file path');
+    }
+    return path.join(this.saveDirectory, filename);
+  }
+
+  // The ZPL as stored in a sidecar: readable UTF-8 text when it is, otherwise one latin1
+  // character per byte so binary data survives the round trip
+  static sourceText(zplData) {
+    const bytes = Buffer.isBuffer(zplData) ? zplData : Buffer.from(String(zplData), 'utf8');
+    const text = bytes.toString('utf8');
+    return Buffer.from(text, 'utf8').equals(bytes)
+      ? { zpl: text }
+      : { zpl: bytes.toString('latin1'), zplEncoding: 'latin1' };
+  }
+
+  // The source ZPL of a sidecar as the bytes originally printed
+  static sourceData(source) {
+    return Buffer.from(source.zpl, source.zplEncoding || 'utf8');
+  }
+
+  // The source ZPL and render settings saved with a label
+  readSource(filename) {
+    const filepath = this.labelPath(filename);
+    if (!fs.existsSync(filepath)) {
+      throw labelError(404, `Label not found: ${filename}`);
+    }
+
+    const sourcePath = `${filepath}${SOURCE_SUFFIX}`;
+    if (!fs.existsSync(sourcePath)) {
+      throw labelError(404, `No source ZPL was saved with label ${filename}`);
+    }
+    return JSON.parse(fs.readFileSync(sourcePath, 'utf8'));
+  }
+
   // Delete a saved label file
   deleteSavedLabel(filename) {
     try {
-      const filepath = path.join(this.saveDirectory, filename);
+      const filepath = this.labelPath(filename);
       if (fs.existsSync(filepath)) {
         fs.unlinkSync(filepath);
-        console.log(`Deleted label file: ${filepath}`);
+        if (fs.existsSync(`${filepath}${SOURCE_SUFFIX}`)) {
+          fs.unlinkSync(`${filepath}${SOURCE_SUFFIX}`);
+        }
+        this.log.info('Deleted label file', { filepath });
         return true;
       } else {
         throw new Error('File not found');
       }
     } catch (error) {
-      console.error('Error deleting label file:', error);
+      this.log.warn('Error deleting label file', { filename, error });
       throw new Error(`Failed to delete file: ${error.message}`);
     }
   }
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const net = require('net');
+const Logger = require('../logging/Logger');
+
+// Accepts raw print data on a TCP port, like a network printer on port 9100.
+// Each connection is one job: data is collected until the client closes its side
+// of the connection or stays idle for idleTimeout ms.
+class RawPrintServer {
+  constructor(options = {}) {
+    this.port = options.port || 9100;
+    this.host = options.host || '0.0.0.0';
+    this.printerName = options.printerName;
+    this.idleTimeout = options.idleTimeout || 5000;
+    this.maxJobSize = options.maxJobSize || 10 * 1024 * 1024;
+    this.onJob = options.onJob; // (printerName, data, metadata) => void
+    this.server = null;
+    this.log = (options.logger || Logger.root).child({ printer: this.printerName });
+
+    if (typeof this.onJob !== 'function') {
+      throw new Error('RawPrintServer requires an onJob function');
+    }
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = net.createServer((socket) => this.handleConnection(socket));
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.removeListener('error', reject);
+        this.server.on('error', (error) => this.log.error('Raw print server error', { error }));
+        this.log.info('Raw print server listening', { host: this.host, port: this.port });
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.server) {
+        resolve();
+        return;
+      }
+      this.server.close(() => resolve());
+    });
+  }
+
+  handleConnection(socket) {
+    const client = `${socket.remoteAddress}:${socket.remotePort}`;
+    // Each connection gets its own request ID so its job can be followed through the logs
+    const requestId = crypto.randomUUID();
+    const log = this.log.child({ requestId, client });
+    const started = Date.now();
+    const chunks = [];
+    let size = 0;
+    let finished = false;
+
+    const finish = (reason) => {
+      if (finished) return;
+      finished = true;
+
+      if (size === 0) {
+        socket.destroy();
+        return;
+      }
+
+      const data = Buffer.concat(chunks);
+      log.info('Raw job received', {
+        reason,
+        ...log.payload(data),
+        durationMs: Date.now() - started,
+      });
+
+      try {
+        this.onJob(this.printerName, data, { source: 'raw', client: client, requestId });
+      } catch (error) {
+        log.error('Error submitting raw job', { error });
+      }
+
+      socket.end();
+    };
+
+    socket.setTimeout(this.idleTimeout);
+
+    socket.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > this.maxJobSize) {
+        log.error('Raw job too large, dropping', { bytes: size, maxJobSize: this.maxJobSize });
+        finished = true;
+        socket.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    socket.on('end', () => finish('end of data'));
+    socket.on('timeout', () => finish('idle timeout'));
+    socket.on('error', (error) => {
+      // A broken connection may have delivered a partial job: drop it rather than print it
+      log.error('Raw connection error, dropping job', { bytes: size, error: error.message });
+      finished = true;
+    });
+  }
+}
+
+module.exports = RawPrintServer;
@@ -0,0 +1,105 @@
+const DELIMITERS = [',', ';', '\t'];
+
+function parseError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// RFC 4180 CSV as exported by spreadsheets: quoted fields with "" escapes and line breaks,
+// CRLF or LF line endings. The first row holds the column names.
+class CsvParser {
+  // The delimiter used most in the header row: comma, semicolon (European Excel) or tab
+  static detectDelimiter(text) {
+    const header = text.split(/\r?\n/, 1)[0];
+    const counts = DELIMITERS.map((delimiter) => header.split(delimiter).length - 1);
+    return DELIMITERS[counts.indexOf(Math.max(...counts))];
+  }
+
+  // Split text into rows of fields, each row with the line it starts on
+  static rows(text, delimiter) {
+    const rows = [];
+    let fields = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          if (char === '\n') line++;
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === delimiter) {
+        fields.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        fields.push(field);
+        rows.push({ line: rowLine, fields });
+        fields = [];
+        field = '';
+        line++;
+        rowLine = line;
+      } else {
+        field += char;
+      }
+    }
+
+    if (quoted) {
+      throw parseError(`Unterminated quoted field starting on line ${rowLine}`);
+    }
+    if (field !== '' || fields.length > 0) {
+      fields.push(field);
+      rows.push({ line: rowLine, fields });
+    }
+
+    // Blank lines (often trailing) are not rows
+    return rows.filter((row) => row.fields.length > 1 || row.fields[0].trim() !== '');
+  }
+
+  // Parse CSV text into { columns, records }; each record has its line number and its values
+  // by column name. Missing trailing fields are empty; extra fields (usually an unquoted
+  // delimiter) are an error on that record.
+  static parse(text, options = {}) {
+    const source = String(text).replace(/^\uFEFF/, '');
+    const delimiter = options.delimiter || CsvParser.detectDelimiter(source);
+    const [header, ...rows] = CsvParser.rows(source, delimiter);
+
+    if (!header) {
+      throw parseError('The CSV is empty');
+    }
+    const columns = header.fields.map((column) => column.trim());
+    if (columns.some((column) => column === '')) {
+      throw parseError('Every CSV column needs a name in the header row');
+    }
+
+    const records = rows.map((row) => {
+      const values = {};
+      columns.forEach((column, index) => {
+        values[column] = row.fields[index] === undefined ? '' : row.fields[index];
+      });
+      return {
+        line: row.line,
+        values,
+        ...(row.fields.length > columns.length && {
+          error: `Line ${row.line} has ${row.fields.length} fields, expected ${columns.length}`,
+        }),
+      };
+    });
+
+    return { columns, records, delimiter };
+  }
+}
+
+module.exports = CsvParser;
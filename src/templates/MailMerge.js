@@ -0,0 +1,116 @@
+const ZplTemplate = require('./ZplTemplate');
+const CsvParser = require('./CsvParser');
+
+function mergeError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// Fills a ZPL layout with {{placeholders}} from rows of data, one label per row. Rows come
+// from CSV (first line holds the column names) or a JSON array of objects. A placeholder is
+// filled from the column of the same name, its normalized form ("Asset Tag" fills
+// {{asset_tag}}) or the column given for it in the mapping.
+class MailMerge {
+  constructor(zpl, mapping = {}) {
+    if (!zpl || !String(zpl).trim()) {
+      throw mergeError('The layout ZPL must not be empty');
+    }
+    if (typeof mapping !== 'object' || Array.isArray(mapping) || mapping === null) {
+      throw mergeError('"mapping" must be an object of placeholder names to column names');
+    }
+    for (const [name, column] of Object.entries(mapping)) {
+      if (typeof column !== 'string') {
+        throw mergeError(`Mapping for "${name}" must be a column name`);
+      }
+    }
+
+    this.template = new ZplTemplate(zpl);
+    this.mapping = mapping;
+  }
+
+  // "Asset Tag" -> "asset_tag", so headers written for people can fill placeholders
+  static normalizeKey(column) {
+    return String(column)
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+  }
+
+  // Read rows from CSV text or a JSON array into { columns, records }. Records are numbered
+  // from 1 in "row" (CSV records also have their "line"); rows that can't be used carry an
+  // error instead of failing the whole run.
+  static records(input) {
+    if (typeof input.csv === 'string') {
+      const parsed = CsvParser.parse(input.csv, { delimiter: input.delimiter });
+      return {
+        columns: parsed.columns,
+        delimiter: parsed.delimiter,
+        records: parsed.records.map((record, index) => ({ row: index + 1, ...record })),
+      };
+    }
+
+    if (!Array.isArray(input.rows)) {
+      throw mergeError('Provide the data as "csv" text or a "rows" array');
+    }
+
+    const columns = new Set();
+    const records = input.rows.map((values, index) => {
+      if (typeof values !== 'object' || values === null || Array.isArray(values)) {
+        return { row: index + 1, values: {}, error: `Row ${index + 1} must be an object` };
+      }
+      Object.keys(values).forEach((column) => columns.add(column));
+      return { row: index + 1, values };
+    });
+    return { columns: Array.from(columns), records };
+  }
+
+  get variables() {
+    return this.template.variables;
+  }
+
+  // Required placeholders that no column (or mapping) fills
+  unmatched(columns) {
+    const available = new Set([...columns, ...columns.map(MailMerge.normalizeKey)]);
+    return this.variables
+      .filter((variable) => variable.required)
+      .filter((variable) =>
+        this.mapping[variable.name] !== undefined
+          ? !columns.includes(this.mapping[variable.name])
+          : !available.has(variable.name)
+      )
+      .map((variable) => variable.name);
+  }
+
+  // Template values for a record. Empty cells count as missing, so optional placeholders
+  // fall back to their defaults.
+  values(record) {
+    const values = {};
+    for (const [column, value] of Object.entries(record.values)) {
+      if (value === '' || value === null || value === undefined) continue;
+      values[MailMerge.normalizeKey(column)] = value;
+      values[column] = value;
+    }
+    for (const [name, column] of Object.entries(this.mapping)) {
+      const value = record.values[column];
+      values[name] = value === '' || value === null ? undefined : value;
+    }
+    return values;
+  }
+
+  // The ZPL for one record; errors name the row they belong to
+  render(record) {
+    if (record.error) {
+      throw mergeError(record.error);
+    }
+    try {
+      return this.template.render(this.values(record));
+    } catch (error) {
+      error.message = `Row ${record.row}: ${error.message}`;
+      throw error;
+    }
+  }
+}
+
+module.exports = MailMerge;
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const ZplTemplate = require('./ZplTemplate');
+const Logger = require('../logging/Logger');
+
+const ID_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+class TemplateStore {
+  constructor(directory = './data/templates') {
+    this.directory = directory;
+    this.log = Logger.root;
+
+    // Ensure template directory exists
+    if (!fs.existsSync(this.directory)) {
+      fs.mkdirSync(this.directory, { recursive: true });
+      this.log.info('Created directory', { directory: this.directory });
+    }
+  }
+
+  filepath(id) {
+    if (!ID_PATTERN.test(id) || id.startsWith('.')) {
+      const error = new Error(
+        `Invalid template id "${id}": use letters, digits, dots, dashes or underscores`
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  has(id) {
+    return fs.existsSync(this.filepath(id));
+  }
+
+  get(id) {
+    const filepath = this.filepath(id);
+    if (!fs.existsSync(filepath)) {
+      const error = new Error(`Template not found: ${id}`);
+      error.statusCode = 404;
+      throw error;
+    }
+    return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+  }
+
+  // Create or replace a template
+  save(id, zpl, description = '') {
+    if (!zpl || !String(zpl).trim()) {
+      const error = new Error('Template ZPL must not be empty');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const filepath = this.filepath(id);
+    const now = new Date().toISOString();
+    const existing = fs.existsSync(filepath) ? this.get(id) : null;
+    const template = new ZplTemplate(zpl);
+
+    const record = {
+      id,
+      description,
+      zpl: template.zpl,
+      variables: template.variables,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+    };
+
+    fs.writeFileSync(filepath, JSON.stringify(record, null, 2), 'utf8');
+    this.log.info('Template saved', { templateId: id });
+    return { template: record, created: !existing };
+  }
+
+  list() {
+    return fs
+      .readdirSync(this.directory)
+      .filter((file) => file.endsWith('.json'))
+      .map((file) => {
+        const summary = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+        delete summary.zpl;
+        return summary;
+      })
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  delete(id) {
+    const filepath = this.filepath(id);
+    if (!fs.existsSync(filepath)) {
+      const error = new Error(`Template not found: ${id}`);
+      error.statusCode = 404;
+      throw error;
+    }
+    fs.unlinkSync(filepath);
+    this.log.info('Template deleted', { templateId: id });
+  }
+
+  // Render a stored template with the given variables
+  render(id, values) {
+    return new ZplTemplate(this.get(id).zpl).render(values);
+  }
+}
+
+module.exports = TemplateStore;
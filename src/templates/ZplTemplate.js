@@ -0,0 +1,144 @@
+// Placeholders: {{name}} is required, {{name|default}} is optional with a default value
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][A-Za-z0-9_.-]*)\s*(?:\|([^}]*))?\}\}/g;
+
+class ZplTemplate {
+  constructor(zpl) {
+    this.zpl = String(zpl);
+    this.variables = ZplTemplate.findVariables(this.zpl);
+  }
+
+  static findVariables(zpl) {
+    const variables = new Map();
+
+    for (const match of zpl.matchAll(PLACEHOLDER)) {
+      const [, name, defaultValue] = match;
+      const existing = variables.get(name);
+      const required = defaultValue === undefined;
+
+      // A variable is required if any of its placeholders has no default
+      variables.set(name, {
+        name,
+        required: required || (existing ? existing.required : false),
+        default: existing && existing.default !== undefined ? existing.default : defaultValue,
+      });
+    }
+
+    return Array.from(variables.values());
+  }
+
+  // Escape a value for field data using ^FH hex escapes (e.g. ^ becomes _5E). Only control
+  // characters, command prefixes and the indicator are escaped: non-ASCII text stays as it is,
+  // so it can still be transcoded to the printer's code page.
+  static escapeFieldData(value, indicator = '_') {
+    let escaped = '';
+
+    for (const char of String(value)) {
+      const code = char.charCodeAt(0);
+      if (code < 0x20 || code === 0x7f || char === '^' || char === '~' || char === indicator) {
+        escaped += `${indicator}${code.toString(16).toUpperCase().padStart(2, '0')}`;
+      } else {
+        escaped += char;
+      }
+    }
+
+    return escaped;
+  }
+
+  resolveValues(values = {}) {
+    const missing = this.variables
+      .filter((variable) => variable.required)
+      .filter((variable) => values[variable.name] === undefined || values[variable.name] === null)
+      .map((variable) => variable.name);
+
+    if (missing.length > 0) {
+      const error = new Error(`Missing required template variables: ${missing.join(', ')}`);
+      error.statusCode = 400;
+      error.missing = missing;
+      throw error;
+    }
+
+    return (name, defaultValue) => {
+      const value = values[name];
+      if (value === undefined || value === null) {
+        return defaultValue || '';
+      }
+      if (typeof value === 'object') {
+        const error = new Error(`Template variable "${name}" must be a string or number`);
+        error.statusCode = 400;
+        throw error;
+      }
+      return String(value);
+    };
+  }
+
+  // Substitute variables; values inside ^FD fields are hex escaped and the field gets ^FH
+  render(values = {}) {
+    const lookup = this.resolveValues(values);
+    const zpl = this.zpl;
+    let output = '';
+    let cursor = 0;
+    const fieldData = /\^FD/gi;
+    let match;
+
+    while ((match = fieldData.exec(zpl)) !== null) {
+      const dataStart = match.index + 3;
+      let dataEnd = zpl.slice(dataStart).search(/[\^~]/);
+      dataEnd = dataEnd === -1 ? zpl.length : dataStart + dataEnd;
+      const data = zpl.substring(dataStart, dataEnd);
+
+      // Text outside field data only gets plain substitution
+      output += this.substituteRaw(zpl.substring(cursor, match.index), lookup);
+
+      if (data.search(PLACEHOLDER) !== -1) {
+        const fieldStart = Math.max(zpl.lastIndexOf('^FS', match.index), 0);
+        const fhMatch = zpl.substring(fieldStart, match.index).match(/\^FH(.)?/i);
+        let indicator = fhMatch ? fhMatch[1] || '_' : '_';
+        if (indicator === '^') indicator = '_';
+        const addedFh = !fhMatch;
+
+        output += addedFh ? '^FH^FD' : match[0];
+        output += this.substituteField(data, lookup, indicator, addedFh);
+      } else {
+        output += match[0] + this.substituteRaw(data, lookup);
+      }
+
+      cursor = dataEnd;
+      fieldData.lastIndex = dataEnd;
+    }
+
+    return output + this.substituteRaw(zpl.substring(cursor), lookup);
+  }
+
+  substituteField(data, lookup, indicator, escapeLiterals) {
+    let output = '';
+    let cursor = 0;
+
+    for (const match of data.matchAll(PLACEHOLDER)) {
+      const literal = data.substring(cursor, match.index);
+      // Literal indicator characters would be read as escapes once ^FH is added
+      output += escapeLiterals ? literal.split(indicator).join(`${indicator}5F`) : literal;
+      output += ZplTemplate.escapeFieldData(lookup(match[1], match[2]), indicator);
+      cursor = match.index + match[0].length;
+    }
+
+    const rest = data.substring(cursor);
+    return output + (escapeLiterals ? rest.split(indicator).join(`${indicator}5F`) : rest);
+  }
+
+  substituteRaw(text, lookup) {
+    return text.replace(PLACEHOLDER, (match, name, defaultValue) => {
+      const value = lookup(name, defaultValue);
+      // Outside field data there is no escaping, so command prefixes can't be allowed
+      if (/[\^~]/.test(value)) {
+        const error = new Error(
+          `Template variable "${name}" is used outside field data and cannot contain ^ or ~`
+        );
+        error.statusCode = 400;
+        throw error;
+      }
+      return value;
+    });
+  }
+}
+
+module.exports = ZplTemplate;
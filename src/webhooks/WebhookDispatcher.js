@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const WebhookStore = require('./WebhookStore');
+const Logger = require('../logging/Logger');
+
+// Delivers events to webhook subscriptions and per-request callback URLs. Every delivery is
+// a signed JSON POST; failures (network errors, timeouts, non-2xx replies) are retried with
+// exponential backoff. Pending retries are kept in memory only.
+class WebhookDispatcher {
+  constructor(options = {}) {
+    this.store = options.store; // WebhookStore
+    this.secret = options.secret || null; // signs events sent to callback URLs
+    this.getPrinterType = options.getPrinterType || (() => null);
+    this.maxAttempts = options.maxAttempts || 5;
+    this.retryDelay = options.retryDelay || 2000; // ms, doubled after every failed attempt
+    this.maxRetryDelay = options.maxRetryDelay || 60000;
+    this.timeout = options.timeout || 5000;
+    this.log = options.logger || Logger.root;
+
+    this.timers = new Set();
+  }
+
+  // HMAC-SHA256 of "<timestamp>.<body>", so receivers can reject forged and replayed events
+  static sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  // Send an event to every subscription that wants it, and to callbackUrl when given
+  emit(type, payload, callbackUrl = null) {
+    const targets = this.store
+      .matching(type, payload.printer)
+      .map((webhook) => ({ url: webhook.url, secret: webhook.secret, webhookId: webhook.id }));
+    if (callbackUrl) {
+      // Callbacks come from print clients, so they may only reach public addresses
+      targets.push({ url: callbackUrl, secret: this.secret, publicOnly: true });
+    }
+    if (targets.length === 0) {
+      return null;
+    }
+
+    const event = this.createEvent(type, payload);
+    targets.forEach((target) => this.deliver({ ...target, event, attempts: 0 }));
+    return event;
+  }
+
+  // Send an event to one subscription only, e.g. a test event
+  send(webhook, type, payload) {
+    const event = this.createEvent(type, payload);
+    this.deliver({
+      url: webhook.url,
+      secret: webhook.secret,
+      webhookId: webhook.id,
+      event,
+      attempts: 0,
+    });
+    return event;
+  }
+
+  createEvent(type, payload) {
+    return {
+      id: crypto.randomUUID(),
+      event: type,
+      timestamp: new Date().toISOString(),
+      ...payload,
+    };
+  }
+
+  // Event payload for a queued job or a job history entry: its printer, and once it has
+  // finished, the result the printer returned or the error
+  jobPayload(job) {
+    return {
+      printer: job.printer,
+      printerType: job.printerType || this.getPrinterType(job.printer),
+      job: {
+        id: job.id,
+        status: job.status,
+        source: job.source || 'api',
+        requestId: job.requestId || null,
+        ...(job.batchId && { batchId: job.batchId }),
+        ...(job.reprintOf && { reprintOf: job.reprintOf }),
+        ...(job.printedBy && { printedBy: job.printedBy }),
+        attempts: job.attempts || 0,
+        bytes: job.bytes !== undefined ? job.bytes : job.dataSize,
+        createdAt: job.createdAt,
+        ...(job.finishedAt && { finishedAt: job.finishedAt }),
+      },
+      result: WebhookDispatcher.publicResult(
+        job.response !== undefined ? job.response : job.result
+      ),
+      error: job.error || null,
+    };
+  }
+
+  // A printer result without server paths (virtual printers report where labels were saved)
+  static publicResult(result) {
+    if (result === undefined || result === null || typeof result !== 'object') {
+      return result ?? null;
+    }
+
+    const view = { ...result };
+    delete view.filepath;
+    if (Array.isArray(view.files)) {
+      view.files = view.files.map((file) => {
+        const publicFile = { ...file };
+        delete publicFile.filepath;
+        return publicFile;
+      });
+    }
+    return view;
+  }
+
+  // dns.lookup that refuses private addresses, used on every callback delivery so a name
+  // can't be pointed at an internal host after the callback was accepted
+  static publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+      if (error) {
+        return callback(error);
+      }
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      if (addresses.some((entry) => WebhookStore.isPrivateAddress(entry.address))) {
+        const blocked = new Error(`${hostname} resolves to a private address`);
+        blocked.retry = false;
+        return callback(blocked);
+      }
+      callback(null, address, family);
+    });
+  }
+
+  async deliver(delivery) {
+    delivery.attempts++;
+    const log = this.log.child({
+      eventId: delivery.event.id,
+      event: delivery.event.event,
+      url: delivery.url,
+      ...(delivery.webhookId && { webhookId: delivery.webhookId }),
+    });
+
+    try {
+      const statusCode = await this.post(delivery);
+      log.debug('Webhook delivered', { statusCode, attempts: delivery.attempts });
+    } catch (error) {
+      if (delivery.attempts >= this.maxAttempts || error.retry === false) {
+        log.error('Webhook delivery failed', { attempts: delivery.attempts, error });
+        return;
+      }
+
+      const delay = Math.min(this.retryDelay * 2 ** (delivery.attempts - 1), this.maxRetryDelay);
+      log.warn('Webhook delivery failed, retrying', {
+        attempts: delivery.attempts,
+        retryInMs: delay,
+        error: error.message,
+      });
+
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        this.deliver(delivery);
+      }, delay);
+      timer.unref();
+      this.timers.add(timer);
+    }
+  }
+
+  // POST the event; resolves with the status code of a 2xx reply
+  post(delivery) {
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'User-Agent': 'zebra-proxy-webhooks',
+      'X-Webhook-Id': delivery.event.id,
+      'X-Webhook-Event': delivery.event.event,
+      'X-Webhook-Timestamp': String(timestamp),
+      ...(delivery.secret && {
+        'X-Webhook-Signature': `sha256=${WebhookDispatcher.sign(delivery.secret, timestamp, body)}`,
+      }),
+    };
+
+    const options = { method: 'POST', headers };
+    if (delivery.publicOnly) {
+      if (WebhookStore.isPrivateAddress(WebhookStore.hostname(delivery.url))) {
+        const error = new Error('Callback URL points to a private address');
+        error.retry = false;
+        return Promise.reject(error);
+      }
+      options.lookup = WebhookDispatcher.publicLookup;
+    }
+
+    return new Promise((resolve, reject) => {
+      const protocol = delivery.url.startsWith('https') ? https : http;
+      const req = protocol.request(delivery.url, options, (res) => {
+        // The reply body is not used, but has to be read for the socket to be released
+        res.resume();
+        res.on('end', () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve(res.statusCode);
+          } else {
+            reject(new Error(`Webhook endpoint replied ${res.statusCode}`));
+          }
+        });
+      });
+
+      req.on('error', (error) => reject(error));
+      req.setTimeout(this.timeout, () => {
+        req.destroy(new Error(`No reply within ${this.timeout}ms`));
+      });
+
+      req.write(body);
+      req.end();
+    });
+  }
+
+  stop() {
+    for (const timer of this.timers) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+  }
+}
+
+module.exports = WebhookDispatcher;
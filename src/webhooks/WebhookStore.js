@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { URL } = require('url');
+const Logger = require('../logging/Logger');
+
+const EVENTS = ['job.accepted', 'job.sent', 'job.failed', 'printer.error'];
+
+// Loopback, private, link-local, shared, multicast and reserved ranges: addresses inside the
+// proxy's network that callbacks requested by print clients must not reach
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['224.0.0.0', 3],
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+function webhookError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Webhook subscriptions: a URL, the events and printers it wants, and the secret its events
+// are signed with. Stored as JSON so subscriptions survive restarts.
+class WebhookStore {
+  constructor(options = {}) {
+    this.storePath = options.storePath || './data/webhooks.json';
+    this.log = options.logger || Logger.root;
+
+    this.webhooks = new Map();
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.storePath)) {
+      return;
+    }
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+      for (const webhook of stored.webhooks || []) {
+        this.webhooks.set(webhook.id, webhook);
+      }
+      this.log.info('Loaded webhooks', { count: this.webhooks.size, storePath: this.storePath });
+    } catch (error) {
+      throw new Error(`Failed to load webhook store: ${error.message}`);
+    }
+  }
+
+  save() {
+    const directory = path.dirname(this.storePath);
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true });
+    }
+
+    // Write to a temp file first so a crash never leaves a truncated store
+    const tempPath = `${this.storePath}.tmp`;
+    const webhooks = Array.from(this.webhooks.values());
+    fs.writeFileSync(tempPath, JSON.stringify({ webhooks }, null, 2), 'utf8');
+    fs.renameSync(tempPath, this.storePath);
+  }
+
+  // Only http(s) URLs can receive events
+  static validateUrl(url, name = 'url') {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw webhookError(400, `"${name}" must be an absolute http or https URL`);
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      throw webhookError(400, `"${name}" must be an absolute http or https URL`);
+    }
+    return parsed.toString();
+  }
+
+  // Check a per-request callback URL. It may not name a private address, and unless anyHost
+  // is set its host must be in allowedHosts ("erp.example.com", or "*.example.com" for
+  // subdomains). Names are checked again when they are resolved for delivery.
+  static validateCallbackUrl(url, options = {}) {
+    const callbackUrl = WebhookStore.validateUrl(url, 'callbackUrl');
+    const hostname = WebhookStore.hostname(callbackUrl);
+    if (hostname === 'localhost' || WebhookStore.isPrivateAddress(hostname)) {
+      throw webhookError(400, '"callbackUrl" must not point to a private or loopback address');
+    }
+
+    const allowedHosts = options.allowedHosts || [];
+    const allowed = allowedHosts.some((host) =>
+      host.startsWith('*.') ? hostname.endsWith(host.substring(1)) : hostname === host
+    );
+    if (!options.anyHost && !allowed) {
+      throw webhookError(403, `Callbacks to "${hostname}" are not allowed`);
+    }
+    return callbackUrl;
+  }
+
+  // Host name of a URL, without the brackets of an IPv6 address
+  static hostname(url) {
+    return new URL(url).hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  }
+
+  // Whether an IP address is inside a private network (IPv4-mapped IPv6 included)
+  static isPrivateAddress(address) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    const ip = mapped ? mapped[1] : address;
+    const family = net.isIP(ip);
+    if (family === 0) {
+      return false;
+    }
+    return PRIVATE_RANGES.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+  }
+
+  // Subscribe a URL; events and printers default to all. The secret is generated unless given.
+  create(definition = {}, printerNames = []) {
+    const url = WebhookStore.validateUrl(definition.url);
+
+    const events = definition.events === undefined ? EVENTS : definition.events;
+    if (!Array.isArray(events) || events.length === 0) {
+      throw webhookError(400, '"events" must be a non-empty array');
+    }
+    const unknownEvent = events.find((event) => !EVENTS.includes(event));
+    if (unknownEvent) {
+      throw webhookError(400, `Unknown event "${unknownEvent}". Supported: ${EVENTS.join(', ')}`);
+    }
+
+    const printers = definition.printers || [];
+    if (!Array.isArray(printers)) {
+      throw webhookError(400, '"printers" must be an array of printer names');
+    }
+    const unknownPrinter = printers.find((name) => !printerNames.includes(name));
+    if (unknownPrinter) {
+      throw webhookError(400, `Unknown printer "${unknownPrinter}"`);
+    }
+
+    if (
+      definition.secret !== undefined &&
+      (typeof definition.secret !== 'string' || definition.secret.length < 16)
+    ) {
+      throw webhookError(400, '"secret" must be a string of at least 16 characters');
+    }
+
+    const webhook = {
+      id: crypto.randomUUID(),
+      url,
+      events: Array.from(new Set(events)),
+      printers,
+      description: definition.description || '',
+      secret: definition.secret || crypto.randomBytes(32).toString('hex'),
+      createdAt: new Date().toISOString(),
+    };
+
+    this.webhooks.set(webhook.id, webhook);
+    this.save();
+    this.log.info('Webhook created', { webhookId: webhook.id, url, events: webhook.events });
+    return webhook;
+  }
+
+  get(id) {
+    const webhook = this.webhooks.get(id);
+    if (!webhook) {
+      throw webhookError(404, `Webhook not found: ${id}`);
+    }
+    return webhook;
+  }
+
+  list() {
+    return Array.from(this.webhooks.values());
+  }
+
+  delete(id) {
+    this.get(id);
+    this.webhooks.delete(id);
+    this.save();
+    this.log.info('Webhook deleted', { webhookId: id });
+  }
+
+  // Subscriptions that want an event for a printer
+  matching(event, printer) {
+    return this.list().filter(
+      (webhook) =>
+        webhook.events.includes(event) &&
+        (webhook.printers.length === 0 || webhook.printers.includes(printer))
+    );
+  }
+
+  // Public view of a subscription; the secret is only returned when it is created
+  describe(webhook) {
+    const view = { ...webhook };
+    delete view.secret;
+    return view;
+  }
+}
+
+WebhookStore.EVENTS = EVENTS;
+
+module.exports = WebhookStore;
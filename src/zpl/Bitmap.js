@@ -0,0 +1,90 @@
+// Monochrome bitmap: 1 = black dot, 0 = white
+class Bitmap {
+  constructor(width, height) {
+    this.width = Math.max(0, Math.round(width));
+    this.height = Math.max(0, Math.round(height));
+    this.data = new Uint8Array(this.width * this.height);
+  }
+
+  get(x, y) {
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) {
+      return 0;
+    }
+    return this.data[y * this.width + x];
+  }
+
+  set(x, y, value = 1) {
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) {
+      return;
+    }
+    this.data[y * this.width + x] = value ? 1 : 0;
+  }
+
+  fillRect(x, y, width, height, value = 1) {
+    for (let row = Math.max(0, y); row < Math.min(this.height, y + height); row++) {
+      for (let col = Math.max(0, x); col < Math.min(this.width, x + width); col++) {
+        this.data[row * this.width + col] = value ? 1 : 0;
+      }
+    }
+  }
+
+  // Rotate by a ZPL field orientation: N (normal), R (90°), I (180°), B (270°)
+  rotate(orientation = 'N') {
+    if (orientation === 'N') {
+      return this;
+    }
+
+    const rotated =
+      orientation === 'I'
+        ? new Bitmap(this.width, this.height)
+        : new Bitmap(this.height, this.width);
+
+    for (let y = 0; y < this.height; y++) {
+      for (let x = 0; x < this.width; x++) {
+        if (!this.get(x, y)) continue;
+
+        if (orientation === 'R') {
+          rotated.set(this.height - 1 - y, x);
+        } else if (orientation === 'I') {
+          rotated.set(this.width - 1 - x, this.height - 1 - y);
+        } else if (orientation === 'B') {
+          rotated.set(y, this.width - 1 - x);
+        }
+      }
+    }
+
+    return rotated;
+  }
+
+  // Draw another bitmap's black dots at (x, y); reverse toggles instead of setting (^FR)
+  draw(source, x, y, reverse = false) {
+    for (let row = 0; row < source.height; row++) {
+      for (let col = 0; col < source.width; col++) {
+        if (!source.data[row * source.width + col]) continue;
+
+        const targetX = x + col;
+        const targetY = y + row;
+        if (reverse) {
+          this.set(targetX, targetY, this.get(targetX, targetY) ? 0 : 1);
+        } else {
+          this.set(targetX, targetY, 1);
+        }
+      }
+    }
+  }
+
+  // Scale with nearest-neighbour sampling
+  scale(width, height) {
+    const scaled = new Bitmap(width, height);
+    for (let y = 0; y < scaled.height; y++) {
+      const sourceY = Math.floor((y * this.height) / scaled.height);
+      for (let x = 0; x < scaled.width; x++) {
+        const sourceX = Math.floor((x * this.width) / scaled.width);
+        scaled.data[y * scaled.width + x] = this.data[sourceY * this.width + sourceX];
+      }
+    }
+    return scaled;
+  }
+}
+
+module.exports = Bitmap;
@@ -0,0 +1,102 @@
+// Bar/space widths for Code 128 symbol values 0-106 (106 is the stop pattern)
+// prettier-ignore
+const PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212',
+  '221213', '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221',
+  '223211', '221132', '221231', '213212', '223112', '312131', '311222', '321122', '321221',
+  '312212', '322112', '322211', '212123', '212321', '232121', '111323', '131123', '131321',
+  '112313', '132113', '132311', '211313', '231113', '231311', '112133', '112331', '132131',
+  '113123', '113321', '133121', '313121', '211331', '231131', '213113', '213311', '213131',
+  '311123', '311321', '331121', '312113', '312311', '332111', '314111', '221411', '431111',
+  '111224', '111422', '121124', '121421', '141122', '141221', '112214', '112412', '122114',
+  '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111', '111242',
+  '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311',
+  '113141', '114131', '311141', '411131', '211412', '211214', '211232', '2331112',
+];
+
+const START = { A: 103, B: 104, C: 105 };
+const CODE_C = 99;
+const CODE_B = 100;
+const CODE_A = 101;
+const STOP = 106;
+
+// ZPL ^BC start-code invocations at the beginning of the field data
+const INVOCATIONS = { '>9': 'A', '>:': 'B', '>;': 'C' };
+
+class Code128 {
+  static valueFor(char, subset) {
+    const code = char.charCodeAt(0);
+    if (subset === 'A') {
+      if (code >= 32 && code <= 95) return code - 32;
+      if (code < 32) return code + 64;
+    } else if (code >= 32 && code <= 127) {
+      return code - 32;
+    }
+    throw new Error(`Character "${char}" cannot be encoded in Code 128 subset ${subset}`);
+  }
+
+  // Encode data to symbol values, using subset C for runs of 4+ digits and B otherwise
+  static encode(data) {
+    let text = String(data);
+    let forced = null;
+    const invocation = INVOCATIONS[text.substring(0, 2)];
+    if (invocation) {
+      forced = invocation;
+      text = text.substring(2);
+    }
+
+    const values = [];
+    let subset = null;
+    let index = 0;
+
+    const switchTo = (next) => {
+      if (subset === next) return;
+      if (subset === null) {
+        values.push(START[next]);
+      } else {
+        values.push(next === 'C' ? CODE_C : next === 'B' ? CODE_B : CODE_A);
+      }
+      subset = next;
+    };
+
+    while (index < text.length) {
+      const digits = text.substring(index).match(/^\d+/);
+      const digitRun = digits ? digits[0].length : 0;
+      const useC = forced === 'C' ? digitRun >= 2 : digitRun >= 4;
+
+      if (useC) {
+        // Subset C encodes digit pairs; an odd trailing digit falls back to A/B
+        const evenRun = digitRun - (digitRun % 2);
+        switchTo('C');
+        for (let i = 0; i < evenRun; i += 2) {
+          values.push(parseInt(text.substr(index + i, 2), 10));
+        }
+        index += evenRun;
+      } else {
+        switchTo(forced === 'A' ? 'A' : 'B');
+        values.push(Code128.valueFor(text[index], subset));
+        index++;
+      }
+    }
+
+    if (subset === null) {
+      switchTo(forced || 'B');
+    }
+
+    const checksum =
+      values.reduce((sum, value, position) => sum + value * Math.max(position, 1), 0) % 103;
+    values.push(checksum, STOP);
+
+    return { values, text };
+  }
+
+  // Alternating bar/space widths in modules, starting with a bar
+  static modules(data) {
+    const { values, text } = Code128.encode(data);
+    const widths = values.flatMap((value) => Array.from(PATTERNS[value]).map(Number));
+    return { widths, text };
+  }
+}
+
+module.exports = Code128;
@@ -0,0 +1,242 @@
+// Square ECC 200 symbols: size, data region size, data and error correction codewords, and
+// the number of interleaved Reed-Solomon blocks
+// prettier-ignore
+const SYMBOLS = [
+  [10, 8, 3, 5, 1], [12, 10, 5, 7, 1], [14, 12, 8, 10, 1], [16, 14, 12, 12, 1],
+  [18, 16, 18, 14, 1], [20, 18, 22, 18, 1], [22, 20, 30, 20, 1], [24, 22, 36, 24, 1],
+  [26, 24, 44, 28, 1], [32, 14, 62, 36, 1], [36, 16, 86, 42, 1], [40, 18, 114, 48, 1],
+  [44, 20, 144, 56, 1], [48, 22, 174, 68, 1], [52, 24, 204, 84, 2], [64, 14, 280, 112, 2],
+  [72, 16, 368, 144, 4], [80, 18, 456, 192, 4], [88, 20, 576, 224, 4], [96, 22, 696, 272, 4],
+  [104, 24, 816, 336, 6], [120, 18, 1050, 408, 6], [132, 20, 1304, 496, 8],
+  [144, 22, 1558, 620, 10],
+].map(([size, region, data, ecc, blocks]) => ({ size, region, data, ecc, blocks }));
+
+const PAD = 129;
+const UPPER_SHIFT = 235;
+
+// GF(256) with the ECC 200 field polynomial x^8 + x^5 + x^3 + x^2 + 1
+const EXP = new Uint8Array(255);
+const LOG = new Uint8Array(256);
+for (let i = 0, value = 1; i < 255; i++) {
+  EXP[i] = value;
+  LOG[value] = i;
+  value <<= 1;
+  if (value & 0x100) value ^= 0x12d;
+}
+
+const multiply = (a, b) => (a && b ? EXP[(LOG[a] + LOG[b]) % 255] : 0);
+
+// Data Matrix ECC 200 encoder for the local renderer. Data is encoded in ASCII mode (digit
+// pairs packed into one codeword, bytes above 127 with Upper Shift); ^BX rectangular symbols
+// and the older ECC 000-140 levels are not supported.
+class DataMatrix {
+  // Field data as bytes: ^FH escapes are already decoded to single bytes, anything above
+  // Latin-1 is sent as UTF-8
+  static bytes(text) {
+    const bytes = [];
+    for (const char of String(text)) {
+      const code = char.codePointAt(0);
+      if (code < 256) {
+        bytes.push(code);
+      } else {
+        bytes.push(...Buffer.from(char, 'utf8'));
+      }
+    }
+    return bytes;
+  }
+
+  static encode(text) {
+    const bytes = DataMatrix.bytes(text);
+    const codewords = [];
+    const isDigit = (byte) => byte >= 0x30 && byte <= 0x39;
+
+    for (let i = 0; i < bytes.length; i++) {
+      if (isDigit(bytes[i]) && isDigit(bytes[i + 1])) {
+        codewords.push(130 + (bytes[i] - 0x30) * 10 + (bytes[i + 1] - 0x30));
+        i++;
+      } else if (bytes[i] > 127) {
+        codewords.push(UPPER_SHIFT, bytes[i] - 127);
+      } else {
+        codewords.push(bytes[i] + 1);
+      }
+    }
+    return codewords;
+  }
+
+  // The smallest square symbol holding the codewords, or the one with the given size
+  static symbolFor(length, size = null) {
+    const symbol = size
+      ? SYMBOLS.find((candidate) => candidate.size === size)
+      : SYMBOLS.find((candidate) => candidate.data >= length);
+
+    if (size && !symbol) {
+      throw new Error(`Data Matrix symbols of ${size}x${size} modules are not supported`);
+    }
+    if (!symbol || symbol.data < length) {
+      throw new Error(`Data Matrix data too long: ${length} codewords`);
+    }
+    return symbol;
+  }
+
+  // Pad codewords after the first are scrambled with their position (253-state randomising)
+  static pad(codewords, capacity) {
+    const padded = codewords.slice();
+    if (padded.length < capacity) {
+      padded.push(PAD);
+    }
+    while (padded.length < capacity) {
+      const random = ((149 * (padded.length + 1)) % 253) + 1;
+      const value = PAD + random;
+      padded.push(value > 254 ? value - 254 : value);
+    }
+    return padded;
+  }
+
+  static generator(degree) {
+    let poly = [1];
+    for (let i = 1; i <= degree; i++) {
+      const next = new Array(poly.length + 1).fill(0);
+      poly.forEach((coefficient, j) => {
+        next[j] ^= coefficient;
+        next[j + 1] ^= multiply(coefficient, EXP[i]);
+      });
+      poly = next;
+    }
+    return poly;
+  }
+
+  static reedSolomon(data, degree) {
+    const generator = DataMatrix.generator(degree);
+    const remainder = new Array(degree).fill(0);
+    for (const codeword of data) {
+      const factor = codeword ^ remainder.shift();
+      remainder.push(0);
+      for (let i = 0; i < degree; i++) {
+        remainder[i] ^= multiply(generator[i + 1], factor);
+      }
+    }
+    return remainder;
+  }
+
+  // Data followed by error correction; larger symbols interleave several blocks
+  static withErrorCorrection(data, symbol) {
+    const eccPerBlock = symbol.ecc / symbol.blocks;
+    const result = data.concat(new Array(symbol.ecc).fill(0));
+    for (let block = 0; block < symbol.blocks; block++) {
+      const blockData = data.filter((codeword, index) => index % symbol.blocks === block);
+      DataMatrix.reedSolomon(blockData, eccPerBlock).forEach((codeword, index) => {
+        result[data.length + block + index * symbol.blocks] = codeword;
+      });
+    }
+    return result;
+  }
+
+  // ECC 200 module placement over the data regions joined together (ISO/IEC 16022 annex F)
+  static place(codewords, rows, cols) {
+    const grid = new Int8Array(rows * cols).fill(-1);
+
+    const module = (row, col, position, bit) => {
+      if (row < 0) {
+        row += rows;
+        col += 4 - ((rows + 4) % 8);
+      }
+      if (col < 0) {
+        col += cols;
+        row += 4 - ((cols + 4) % 8);
+      }
+      grid[row * cols + col] = (codewords[position] >> (8 - bit)) & 1;
+    };
+    const place = (position, modules) => {
+      modules.forEach(([row, col], index) => module(row, col, position, index + 1));
+    };
+
+    const utah = (row, col, position) =>
+      place(position, [
+        [row - 2, col - 2],
+        [row - 2, col - 1],
+        [row - 1, col - 2],
+        [row - 1, col - 1],
+        [row - 1, col],
+        [row, col - 2],
+        [row, col - 1],
+        [row, col],
+      ]);
+    // prettier-ignore
+    const corners = [
+      [[rows - 1, 0], [rows - 1, 1], [rows - 1, 2], [0, cols - 2], [0, cols - 1], [1, cols - 1], [2, cols - 1], [3, cols - 1]],
+      [[rows - 3, 0], [rows - 2, 0], [rows - 1, 0], [0, cols - 4], [0, cols - 3], [0, cols - 2], [0, cols - 1], [1, cols - 1]],
+      [[rows - 3, 0], [rows - 2, 0], [rows - 1, 0], [0, cols - 2], [0, cols - 1], [1, cols - 1], [2, cols - 1], [3, cols - 1]],
+      [[rows - 1, 0], [rows - 1, cols - 1], [0, cols - 3], [0, cols - 2], [0, cols - 1], [1, cols - 3], [1, cols - 2], [1, cols - 1]],
+    ];
+    const free = (row, col) => grid[row * cols + col] === -1;
+
+    let position = 0;
+    let row = 4;
+    let col = 0;
+    do {
+      if (row === rows && col === 0) place(position++, corners[0]);
+      if (row === rows - 2 && col === 0 && cols % 4) place(position++, corners[1]);
+      if (row === rows - 2 && col === 0 && cols % 8 === 4) place(position++, corners[2]);
+      if (row === rows + 4 && col === 2 && !(cols % 8)) place(position++, corners[3]);
+
+      // Sweep up and to the right, then down and to the left
+      do {
+        if (row < rows && col >= 0 && free(row, col)) utah(row, col, position++);
+        row -= 2;
+        col += 2;
+      } while (row >= 0 && col < cols);
+      row += 1;
+      col += 3;
+      do {
+        if (row >= 0 && col < cols && free(row, col)) utah(row, col, position++);
+        row += 2;
+        col -= 2;
+      } while (row < rows && col >= 0);
+      row += 3;
+      col += 1;
+    } while (row < rows || col < cols);
+
+    // Symbols whose regions leave a 2x2 corner unused fill it with a fixed pattern
+    if (free(rows - 1, cols - 1)) {
+      grid[rows * cols - 1] = 1;
+      grid[(rows - 1) * cols - 2] = 1;
+    }
+    return grid.map((value) => (value === 1 ? 1 : 0));
+  }
+
+  // Dark modules of the symbol for the data, row by row
+  static modules(data, size = null) {
+    const encoded = DataMatrix.encode(data);
+    const symbol = DataMatrix.symbolFor(encoded.length, size);
+    const codewords = DataMatrix.withErrorCorrection(DataMatrix.pad(encoded, symbol.data), symbol);
+
+    const perSide = Math.round(symbol.size / (symbol.region + 2));
+    const mapping = perSide * symbol.region;
+    const grid = DataMatrix.place(codewords, mapping, mapping);
+
+    const dark = new Uint8Array(symbol.size * symbol.size);
+    const block = symbol.region + 2;
+    for (let y = 0; y < symbol.size; y++) {
+      for (let x = 0; x < symbol.size; x++) {
+        const row = y % block;
+        const col = x % block;
+        let value;
+        if (col === 0 || row === block - 1) {
+          value = 1; // solid finder edges on the left and bottom of every region
+        } else if (row === 0) {
+          value = col % 2 === 0 ? 1 : 0; // clock track along the top
+        } else if (col === block - 1) {
+          value = row % 2; // clock track along the right
+        } else {
+          const mappingRow = Math.floor(y / block) * symbol.region + row - 1;
+          const mappingCol = Math.floor(x / block) * symbol.region + col - 1;
+          value = grid[mappingRow * mapping + mappingCol];
+        }
+        dark[y * symbol.size + x] = value;
+      }
+    }
+    return { size: symbol.size, dark };
+  }
+}
+
+module.exports = DataMatrix;
@@ -0,0 +1,196 @@
+const zlib = require('zlib');
+const Bitmap = require('./Bitmap');
+
+// Zebra ASCII compression repeat counts: G-Y are 1-19, g-z are 20-400 in steps of 20
+const COUNT_LOW = 'GHIJKLMNOPQRSTUVWXY';
+const COUNT_HIGH = 'ghijklmnopqrstuvwxyz';
+
+class GraphicField {
+  static bytesPerRow(width) {
+    return Math.ceil(width / 8);
+  }
+
+  // Hex rows of a bitmap, one string per row; 1 bits are black dots
+  static hexRows(bitmap) {
+    const rowBytes = GraphicField.bytesPerRow(bitmap.width);
+    const rows = [];
+
+    for (let y = 0; y < bitmap.height; y++) {
+      const row = Buffer.alloc(rowBytes);
+      for (let x = 0; x < bitmap.width; x++) {
+        if (bitmap.data[y * bitmap.width + x]) {
+          row[x >> 3] |= 0x80 >> (x & 7);
+        }
+      }
+      rows.push(row.toString('hex').toUpperCase());
+    }
+
+    return rows;
+  }
+
+  static repeatCount(count) {
+    let prefix = '';
+    while (count >= 20) {
+      const high = Math.min(Math.floor(count / 20), 20);
+      prefix += COUNT_HIGH[high - 1];
+      count -= high * 20;
+    }
+    if (count > 0) {
+      prefix += COUNT_LOW[count - 1];
+    }
+    return prefix;
+  }
+
+  // Zebra ASCII compression of one hex row
+  static compressRow(row) {
+    // Trailing zeros and trailing Fs collapse to ',' and '!'
+    let body = row;
+    let suffix = '';
+    const trailingZeros = row.match(/0+$/);
+    const trailingOnes = row.match(/F+$/);
+    if (trailingZeros && trailingZeros[0].length > 1) {
+      body = row.substring(0, row.length - trailingZeros[0].length);
+      suffix = ',';
+    } else if (trailingOnes && trailingOnes[0].length > 1) {
+      body = row.substring(0, row.length - trailingOnes[0].length);
+      suffix = '!';
+    }
+
+    let output = '';
+    let index = 0;
+    while (index < body.length) {
+      let run = 1;
+      while (index + run < body.length && body[index + run] === body[index]) {
+        run++;
+      }
+      output += (run > 1 ? GraphicField.repeatCount(run) : '') + body[index];
+      index += run;
+    }
+
+    return output + suffix;
+  }
+
+  // CRC-16/XMODEM over the base64 text, as used by the :Z64: format
+  static crc16(text) {
+    let crc = 0;
+    for (let i = 0; i < text.length; i++) {
+      crc ^= text.charCodeAt(i) << 8;
+      for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+      }
+    }
+    return crc.toString(16).toUpperCase().padStart(4, '0');
+  }
+
+  // Encode a bitmap as a ^GFA command; compression is 'none', 'ascii' or 'z64'
+  static encode(bitmap, { compression = 'ascii' } = {}) {
+    const rowBytes = GraphicField.bytesPerRow(bitmap.width);
+    const totalBytes = rowBytes * bitmap.height;
+    const rows = GraphicField.hexRows(bitmap);
+    let data;
+
+    switch (compression) {
+      case 'none':
+        data = rows.join('');
+        break;
+      case 'z64': {
+        const base64 = zlib.deflateSync(Buffer.from(rows.join(''), 'hex')).toString('base64');
+        data = `:Z64:${base64}:${GraphicField.crc16(base64)}`;
+        break;
+      }
+      case 'ascii':
+        data = rows
+          .map((row, index) => (index > 0 && row === rows[index - 1] ? ':' : null) || row)
+          .map((row) => (row === ':' ? row : GraphicField.compressRow(row)))
+          .join('');
+        break;
+      default:
+        throw new Error(`Unsupported ^GF compression: ${compression}. Supported: none, ascii, z64`);
+    }
+
+    return `^GFA,${totalBytes},${totalBytes},${rowBytes},${data}`;
+  }
+
+  // Decode ^GF parameters (format,binaryBytes,fieldBytes,bytesPerRow,data) into a bitmap
+  static decode(params) {
+    const parts = params.split(',');
+    const format = (parts[0] || 'A').toUpperCase();
+    const totalBytes = parseInt(parts[2] || parts[1]);
+    const rowBytes = parseInt(parts[3]);
+    const data = parts.slice(4).join(',').replace(/\s+/g, '');
+
+    if (format !== 'A') {
+      throw new Error(`Only ASCII (^GFA) graphic fields are supported, not ^GF${format}`);
+    }
+    if (!(totalBytes > 0) || !(rowBytes > 0)) {
+      throw new Error('Invalid ^GF byte counts');
+    }
+
+    let bytes;
+    if (data.startsWith(':Z64:') || data.startsWith(':B64:')) {
+      const [, kind, base64] = data.split(':');
+      const decoded = Buffer.from(base64, 'base64');
+      bytes = kind === 'Z64' ? zlib.inflateSync(decoded) : decoded;
+    } else {
+      bytes = GraphicField.decompressAscii(data, rowBytes, totalBytes);
+    }
+
+    const height = Math.ceil(totalBytes / rowBytes);
+    const bitmap = new Bitmap(rowBytes * 8, height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < rowBytes * 8; x++) {
+        const byte = bytes[y * rowBytes + (x >> 3)] || 0;
+        if (byte & (0x80 >> (x & 7))) {
+          bitmap.data[y * bitmap.width + x] = 1;
+        }
+      }
+    }
+
+    return bitmap;
+  }
+
+  // Expand Zebra ASCII compression into raw bytes
+  static decompressAscii(data, rowBytes, totalBytes) {
+    const rowChars = rowBytes * 2;
+    const rows = [];
+    let row = '';
+    let count = 0;
+
+    const finishRow = (fill) => {
+      rows.push((row + fill.repeat(rowChars)).substring(0, rowChars));
+      row = '';
+    };
+
+    for (const char of data) {
+      const low = COUNT_LOW.indexOf(char);
+      const high = COUNT_HIGH.indexOf(char);
+
+      if (low !== -1) {
+        count += low + 1;
+      } else if (high !== -1) {
+        count += (high + 1) * 20;
+      } else if (char === ',') {
+        finishRow('0');
+      } else if (char === '!') {
+        finishRow('F');
+      } else if (char === ':') {
+        rows.push(rows.length > 0 ? rows[rows.length - 1] : '0'.repeat(rowChars));
+      } else if (/[0-9A-Fa-f]/.test(char)) {
+        row += char.repeat(count || 1);
+        count = 0;
+        while (row.length >= rowChars) {
+          rows.push(row.substring(0, rowChars));
+          row = row.substring(rowChars);
+        }
+      }
+    }
+
+    if (row.length > 0) {
+      finishRow('0');
+    }
+
+    return Buffer.from(rows.join('').substring(0, totalBytes * 2), 'hex');
+  }
+}
+
+module.exports = GraphicField;
@@ -0,0 +1,214 @@
+const { PNG } = require('pngjs');
+const Bitmap = require('./Bitmap');
+const GraphicField = require('./GraphicField');
+
+const DITHER_MODES = ['none', 'floyd-steinberg', 'ordered'];
+
+// 4x4 Bayer matrix for ordered dithering
+const BAYER = [
+  [0, 8, 2, 10],
+  [12, 4, 14, 6],
+  [3, 11, 1, 9],
+  [15, 7, 13, 5],
+];
+
+class ImageConverter {
+  // Decode PNG or BMP into { width, height, data } with RGBA pixels
+  static decode(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 8) {
+      throw ImageConverter.badRequest('No image data provided');
+    }
+
+    if (buffer.readUInt32BE(0) === 0x89504e47) {
+      try {
+        const png = PNG.sync.read(buffer);
+        return { width: png.width, height: png.height, data: png.data };
+      } catch (error) {
+        throw ImageConverter.badRequest(`Invalid PNG image: ${error.message}`);
+      }
+    }
+
+    if (buffer.toString('ascii', 0, 2) === 'BM') {
+      return ImageConverter.decodeBmp(buffer);
+    }
+
+    throw ImageConverter.badRequest('Unsupported image format: only PNG and BMP are supported');
+  }
+
+  static badRequest(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+
+  // Uncompressed 1/4/8-bit (palette), 24-bit and 32-bit BMP
+  static decodeBmp(buffer) {
+    const dataOffset = buffer.readUInt32LE(10);
+    const headerSize = buffer.readUInt32LE(14);
+    const width = buffer.readInt32LE(18);
+    const rawHeight = buffer.readInt32LE(22);
+    const bitsPerPixel = buffer.readUInt16LE(28);
+    const compression = buffer.readUInt32LE(30);
+
+    // BI_RGB, or BI_BITFIELDS for 32-bit images in the default BGRA layout
+    if (compression !== 0 && !(compression === 3 && bitsPerPixel === 32)) {
+      throw ImageConverter.badRequest('Compressed BMP images are not supported');
+    }
+    if (![1, 4, 8, 24, 32].includes(bitsPerPixel)) {
+      throw ImageConverter.badRequest(`Unsupported BMP bit depth: ${bitsPerPixel}`);
+    }
+
+    const height = Math.abs(rawHeight);
+    const topDown = rawHeight < 0;
+    const rowSize = Math.ceil((bitsPerPixel * width) / 32) * 4;
+    const paletteOffset = 14 + headerSize;
+    const paletteColors = buffer.readUInt32LE(46) || 2 ** bitsPerPixel;
+    const palette = [];
+    if (bitsPerPixel <= 8) {
+      for (let i = 0; i < paletteColors; i++) {
+        const offset = paletteOffset + i * 4;
+        palette.push([buffer[offset + 2], buffer[offset + 1], buffer[offset]]);
+      }
+    }
+
+    if (dataOffset + rowSize * height > buffer.length) {
+      throw ImageConverter.badRequest('Truncated BMP image');
+    }
+
+    const data = Buffer.alloc(width * height * 4);
+    for (let y = 0; y < height; y++) {
+      const row = dataOffset + (topDown ? y : height - 1 - y) * rowSize;
+      for (let x = 0; x < width; x++) {
+        let rgb;
+        if (bitsPerPixel === 24 || bitsPerPixel === 32) {
+          const offset = row + x * (bitsPerPixel / 8);
+          rgb = [buffer[offset + 2], buffer[offset + 1], buffer[offset]];
+        } else {
+          const bitOffset = x * bitsPerPixel;
+          const byte = buffer[row + (bitOffset >> 3)];
+          const shift = 8 - bitsPerPixel - (bitOffset & 7);
+          const index = (byte >> shift) & ((1 << bitsPerPixel) - 1);
+          rgb = palette[index] || [0, 0, 0];
+        }
+
+        const target = (y * width + x) * 4;
+        data[target] = rgb[0];
+        data[target + 1] = rgb[1];
+        data[target + 2] = rgb[2];
+        data[target + 3] = 255;
+      }
+    }
+
+    return { width, height, data };
+  }
+
+  // Luminance (0 = black, 255 = white) with transparency composited on white
+  static grayscale(image, width, height) {
+    const gray = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+      const sourceY = Math.min(image.height - 1, Math.floor((y * image.height) / height));
+      for (let x = 0; x < width; x++) {
+        const sourceX = Math.min(image.width - 1, Math.floor((x * image.width) / width));
+        const offset = (sourceY * image.width + sourceX) * 4;
+        const alpha = image.data[offset + 3] / 255;
+        const luminance =
+          0.299 * image.data[offset] +
+          0.587 * image.data[offset + 1] +
+          0.114 * image.data[offset + 2];
+        gray[y * width + x] = luminance * alpha + 255 * (1 - alpha);
+      }
+    }
+    return gray;
+  }
+
+  // Convert an image to a monochrome bitmap of the given size
+  static toBitmap(image, { width, height, threshold = 128, dither = 'none', invert = false }) {
+    if (!DITHER_MODES.includes(dither)) {
+      throw ImageConverter.badRequest(
+        `Unsupported dither mode: ${dither}. Supported: ${DITHER_MODES.join(', ')}`
+      );
+    }
+
+    const gray = ImageConverter.grayscale(image, width, height);
+    const bitmap = new Bitmap(width, height);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const index = y * width + x;
+        const value = gray[index];
+        let black;
+
+        if (dither === 'ordered') {
+          const bias = ((BAYER[y % 4][x % 4] + 0.5) / 16 - 0.5) * 255;
+          black = value + bias < threshold;
+        } else {
+          black = value < threshold;
+        }
+
+        if (dither === 'floyd-steinberg') {
+          // Spread the quantization error to the neighbouring pixels
+          const error = value - (black ? 0 : 255);
+          if (x + 1 < width) gray[index + 1] += (error * 7) / 16;
+          if (y + 1 < height) {
+            if (x > 0) gray[index + width - 1] += (error * 3) / 16;
+            gray[index + width] += (error * 5) / 16;
+            if (x + 1 < width) gray[index + width + 1] += error / 16;
+          }
+        }
+
+        bitmap.data[index] = black !== invert ? 1 : 0;
+      }
+    }
+
+    return bitmap;
+  }
+
+  // Target size in dots: an explicit width, or the source scaled from its DPI to the
+  // printer's dpmm, shrunk to fit the label width when it would not fit
+  static targetSize(image, options) {
+    let width;
+    if (options.width > 0) {
+      width = options.width;
+    } else if (options.sourceDpi > 0) {
+      width = Math.round((image.width / options.sourceDpi) * 25.4 * options.dpmm);
+    } else {
+      width = image.width;
+    }
+
+    if (options.scale > 0) {
+      width = Math.round(width * options.scale);
+    }
+
+    const available = options.labelWidth > 0 ? options.labelWidth - (options.x || 0) : 0;
+    if (available > 0 && width > available && options.fit !== false) {
+      width = available;
+    }
+
+    width = Math.max(1, width);
+    const height = Math.max(1, Math.round((image.height * width) / image.width));
+    return { width, height };
+  }
+
+  // Convert an image buffer into a ZPL label with the image as a ^GFA field
+  static toZpl(buffer, options = {}) {
+    const image = ImageConverter.decode(buffer);
+    const dpmm = options.dpmm || 8;
+    const labelWidth = options.labelWidthMm > 0 ? Math.round(options.labelWidthMm * dpmm) : 0;
+    const x = options.x || 0;
+    const y = options.y || 0;
+
+    const size = ImageConverter.targetSize(image, { ...options, dpmm, labelWidth, x });
+    const bitmap = ImageConverter.toBitmap(image, { ...options, ...size });
+    const graphic = GraphicField.encode(bitmap, { compression: options.compression || 'ascii' });
+    const field = `^FO${x},${y}${graphic}^FS`;
+
+    return {
+      zpl: `^XA${labelWidth ? `^PW${labelWidth}` : ''}${field}^XZ`,
+      width: bitmap.width,
+      height: bitmap.height,
+      source: { width: image.width, height: image.height },
+    };
+  }
+}
+
+module.exports = ImageConverter;
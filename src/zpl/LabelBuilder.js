@@ -0,0 +1,315 @@
+const ImageConverter = require('./ImageConverter');
+const GraphicField = require('./GraphicField');
+
+// Dots per unit at 1 dpmm; "dots" are used as they are
+const UNITS = { mm: 1, in: 25.4, dots: null };
+const ROTATIONS = { 0: 'N', 90: 'R', 180: 'I', 270: 'B' };
+const ALIGNMENTS = { left: 'L', center: 'C', right: 'R', justify: 'J' };
+const SYMBOLOGIES = ['code128', 'qr', 'datamatrix'];
+const QR_ERROR_CORRECTION = ['H', 'Q', 'M', 'L'];
+
+function labelError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// Compiles a JSON label description into ZPL, so labels can be designed without knowing ZPL:
+//
+//   { "width": 100, "height": 50, "units": "mm",
+//     "elements": [{ "type": "text", "x": 5, "y": 5, "text": "Hello", "size": 6 }, ...] }
+//
+// Positions and sizes are in millimetres (or "in" / "dots") and converted to dots at the
+// printer's resolution. Element types: text, barcode (code128, qr, datamatrix), box, line, image.
+class LabelBuilder {
+  // Whether a JSON body is a label description rather than a print request
+  static isLabel(body) {
+    return Boolean(body) && Array.isArray(body.elements);
+  }
+
+  // defaults: dpmm, width and height (mm) of the printer's labels, and utf8 to select UTF-8
+  // with ^CI28 (off when the data is transcoded to a code page instead)
+  static compile(spec, defaults = {}) {
+    if (!LabelBuilder.isLabel(spec)) {
+      throw labelError('A label needs an "elements" array');
+    }
+    const builder = new LabelBuilder(spec, defaults);
+    return builder.build();
+  }
+
+  constructor(spec, defaults) {
+    this.spec = spec;
+    this.dpmm = parseInt(spec.dpmm) || defaults.dpmm || 8;
+    this.units = spec.units || 'mm';
+    if (!(this.units in UNITS)) {
+      throw labelError(`Unsupported units "${this.units}". Supported: mm, in, dots`);
+    }
+    this.utf8 = defaults.utf8 !== false;
+
+    // The printer's label size is in millimetres whatever units the label uses
+    const size = (value) =>
+      parseFloat(value) > 0 ? Math.round(parseFloat(value) * this.dpmm) : null;
+    this.width = spec.width !== undefined ? this.dots(spec.width, 'width') : size(defaults.width);
+    this.height =
+      spec.height !== undefined ? this.dots(spec.height, 'height') : size(defaults.height);
+  }
+
+  build() {
+    const lines = ['^XA'];
+    if (this.utf8) lines.push('^CI28');
+    if (this.width) lines.push(`^PW${this.width}`);
+    if (this.height) lines.push(`^LL${this.height}`);
+
+    this.spec.elements.forEach((element, index) => {
+      this.path = `elements[${index}]`;
+      if (!element || typeof element !== 'object') {
+        throw labelError(`${this.path} must be an object`);
+      }
+      switch (element.type) {
+        case 'text':
+          lines.push(this.text(element));
+          break;
+        case 'barcode':
+          lines.push(this.barcode(element));
+          break;
+        case 'box':
+          lines.push(this.box(element));
+          break;
+        case 'line':
+          lines.push(this.line(element));
+          break;
+        case 'image':
+          lines.push(this.image(element));
+          break;
+        default:
+          throw labelError(
+            `${this.path}: unknown type "${element.type}". Use text, barcode, box, line or image`
+          );
+      }
+    });
+
+    if (this.spec.copies !== undefined) {
+      lines.push(`^PQ${this.integer(this.spec.copies, 'copies', 1, 99999999)}`);
+    }
+    lines.push('^XZ');
+    return lines.join('\n');
+  }
+
+  // A length in the label's units as dots
+  dots(value, name, fallback) {
+    if (value === undefined || value === null) {
+      if (fallback !== undefined) return fallback;
+      throw labelError(`${this.path || 'label'}: "${name}" is required`);
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+      throw labelError(`${this.path || 'label'}: "${name}" must be a number of at least 0`);
+    }
+    const scale = UNITS[this.units];
+    return Math.round(scale === null ? number : (number * this.dpmm) / scale);
+  }
+
+  integer(value, name, min, max) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      throw labelError(
+        `${this.path || 'label'}: "${name}" must be a whole number from ${min} to ${max}`
+      );
+    }
+    return number;
+  }
+
+  rotation(element) {
+    const rotation = ROTATIONS[element.rotation || 0];
+    if (!rotation) {
+      throw labelError(`${this.path}: "rotation" must be 0, 90, 180 or 270`);
+    }
+    return rotation;
+  }
+
+  origin(element) {
+    return `^FO${this.dots(element.x, 'x')},${this.dots(element.y, 'y')}`;
+  }
+
+  // Field data with ^FH hex escapes for control characters and the characters ZPL would
+  // read as commands
+  static fieldData(value) {
+    let escaped = '';
+    for (const char of String(value)) {
+      const code = char.charCodeAt(0);
+      escaped +=
+        code < 0x20 || char === '^' || char === '~' || char === '_'
+          ? `_${code.toString(16).toUpperCase().padStart(2, '0')}`
+          : char;
+    }
+    return escaped;
+  }
+
+  // Text in font 0 (scalable) unless "font" names another. A width, an alignment, more
+  // than one line or maxLines put it in a ^FB block that wraps long text.
+  text(element) {
+    if (element.text === undefined || element.text === null || typeof element.text === 'object') {
+      throw labelError(`${this.path}: "text" must be a string or number`);
+    }
+    const text = String(element.text);
+    const font = element.font === undefined ? '0' : String(element.font).toUpperCase();
+    if (!/^[A-Z0-9]$/.test(font)) {
+      throw labelError(`${this.path}: "font" must be a single letter or digit`);
+    }
+
+    const height = Math.max(1, this.dots(element.size, 'size', Math.round(3 * this.dpmm)));
+    const width = element.fontWidth !== undefined ? this.dots(element.fontWidth, 'fontWidth') : '';
+    let zpl = `${this.origin(element)}^A${font}${this.rotation(element)},${height},${width}`;
+
+    const block =
+      element.width !== undefined ||
+      element.align !== undefined ||
+      element.maxLines !== undefined ||
+      text.includes('\n');
+    let data = LabelBuilder.fieldData(text);
+    if (block) {
+      // In a block "\&" breaks the line and a backslash is written "\\"
+      data = text.replace(/\\/g, '\\\\').split(/\r?\n/).map(LabelBuilder.fieldData).join('\\&');
+
+      const align = ALIGNMENTS[element.align || 'left'];
+      if (!align) {
+        throw labelError(`${this.path}: "align" must be left, center, right or justify`);
+      }
+      const x = this.dots(element.x, 'x');
+      const y = this.dots(element.y, 'y');
+      const blockWidth = this.dots(element.width, 'width', this.width ? this.width - x : null);
+      if (!blockWidth) {
+        throw labelError(`${this.path}: "width" is required when the label width is unknown`);
+      }
+      const spacing = this.dots(element.lineSpacing, 'lineSpacing', 0);
+
+      // By default the block takes as many lines as fit below it on the label
+      const fit = this.height ? Math.floor((this.height - y) / (height + spacing)) : 1;
+      const explicit = text.split('\n').length;
+      const maxLines =
+        element.maxLines !== undefined
+          ? this.integer(element.maxLines, 'maxLines', 1, 9999)
+          : Math.max(explicit, fit, 1);
+      zpl += `^FB${blockWidth},${maxLines},${spacing},${align},0`;
+    }
+
+    return `${zpl}${element.reverse ? '^FR' : ''}^FH^FD${data}^FS`;
+  }
+
+  barcode(element) {
+    const symbology = element.symbology || 'code128';
+    if (!SYMBOLOGIES.includes(symbology)) {
+      throw labelError(`${this.path}: "symbology" must be one of ${SYMBOLOGIES.join(', ')}`);
+    }
+    if (element.data === undefined || element.data === null || element.data === '') {
+      throw labelError(`${this.path}: "data" is required`);
+    }
+    const data = LabelBuilder.fieldData(element.data);
+    const rotation = this.rotation(element);
+
+    switch (symbology) {
+      case 'code128': {
+        const moduleWidth = this.integer(element.moduleWidth ?? 2, 'moduleWidth', 1, 10);
+        const height = Math.max(1, this.dots(element.height, 'height', 10 * this.dpmm));
+        const text = element.humanReadable === false ? 'N' : 'Y';
+        return `${this.origin(element)}^BY${moduleWidth}^BC${rotation},${height},${text},N,N^FH^FD${data}^FS`;
+      }
+      case 'qr': {
+        const level = String(element.errorCorrection || 'M').toUpperCase();
+        if (!QR_ERROR_CORRECTION.includes(level)) {
+          throw labelError(`${this.path}: "errorCorrection" must be H, Q, M or L`);
+        }
+        const magnification = this.integer(
+          element.magnification ?? (this.dpmm >= 12 ? 6 : 4),
+          'magnification',
+          1,
+          10
+        );
+        return `${this.origin(element)}^BQ${rotation},2,${magnification}^FH^FD${level}A,${data}^FS`;
+      }
+      default: {
+        const moduleSize = this.integer(
+          element.magnification ?? Math.max(2, Math.round(this.dpmm / 2)),
+          'magnification',
+          1,
+          100
+        );
+        return `${this.origin(element)}^BX${rotation},${moduleSize},200^FH^FD${data}^FS`;
+      }
+    }
+  }
+
+  // A rectangle outline, or filled with "fill": true; "rounding" is 0-8
+  box(element) {
+    const width = Math.max(1, this.dots(element.width, 'width'));
+    const height = Math.max(1, this.dots(element.height, 'height'));
+    const thickness = element.fill
+      ? Math.min(width, height)
+      : Math.max(1, this.dots(element.thickness, 'thickness', Math.round(this.dpmm / 4)));
+    const color = this.color(element);
+    const rounding = this.integer(element.rounding ?? 0, 'rounding', 0, 8);
+    return `${this.origin(element)}^GB${width},${height},${thickness},${color},${rounding}^FS`;
+  }
+
+  // A line from x1,y1 to x2,y2: ^GB when straight, ^GD when diagonal
+  line(element) {
+    const x1 = this.dots(element.x1, 'x1');
+    const y1 = this.dots(element.y1, 'y1');
+    const x2 = this.dots(element.x2, 'x2');
+    const y2 = this.dots(element.y2, 'y2');
+    const thickness = Math.max(
+      1,
+      this.dots(element.thickness, 'thickness', Math.round(this.dpmm / 4))
+    );
+    const color = this.color(element);
+    const origin = `^FO${Math.min(x1, x2)},${Math.min(y1, y2)}`;
+    const width = Math.abs(x2 - x1);
+    const height = Math.abs(y2 - y1);
+
+    if (width === 0 || height === 0) {
+      return `${origin}^GB${Math.max(width, thickness)},${Math.max(height, thickness)},${thickness},${color},0^FS`;
+    }
+    // Rising left to right is right-leaning ("/")
+    const leaning = (x2 - x1) * (y2 - y1) < 0 ? 'R' : 'L';
+    return `${origin}^GD${width},${height},${thickness},${color},${leaning}^FS`;
+  }
+
+  color(element) {
+    const color = element.color || 'black';
+    if (color !== 'black' && color !== 'white') {
+      throw labelError(`${this.path}: "color" must be black or white`);
+    }
+    return color === 'black' ? 'B' : 'W';
+  }
+
+  // A base64 PNG or BMP converted to a ^GFA graphic; "width" scales it (height follows),
+  // otherwise it keeps its pixel size and shrinks to fit the label
+  image(element) {
+    if (typeof element.data !== 'string' || !element.data) {
+      throw labelError(`${this.path}: "data" must be a base64 PNG or BMP image`);
+    }
+    const base64 = element.data.replace(/^data:[^,]*,/, '');
+    const x = this.dots(element.x, 'x');
+
+    try {
+      const image = ImageConverter.decode(Buffer.from(base64, 'base64'));
+      const size = ImageConverter.targetSize(image, {
+        width: element.width !== undefined ? this.dots(element.width, 'width') : undefined,
+        labelWidth: this.width || 0,
+        x,
+      });
+      const bitmap = ImageConverter.toBitmap(image, {
+        ...size,
+        threshold: this.integer(element.threshold ?? 128, 'threshold', 0, 255),
+        dither: element.dither || 'none',
+        invert: element.invert === true,
+      });
+      const graphic = GraphicField.encode(bitmap, { compression: element.compression || 'z64' });
+      return `${this.origin(element)}${graphic}^FS`;
+    } catch (error) {
+      throw labelError(`${this.path}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = LabelBuilder;
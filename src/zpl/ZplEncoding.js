@@ -0,0 +1,100 @@
+const iconv = require('iconv-lite');
+
+// Code pages printers can be switched to, with the ^CI value that selects each one
+const CODE_PAGES = {
+  cp850: 13,
+  cp1250: 31,
+  cp1251: 33,
+  cp1252: 27,
+  cp1253: 34,
+  cp1254: 35,
+  cp1255: 36,
+  utf8: 28,
+};
+
+// Field data: ^FD and ^FV up to the next command
+const FIELD_DATA = /([\^~]F[DV])([^~^]*)/gi;
+const FORMAT = /(\^XA)([\s\S]*?)(\^XZ|$)/gi;
+const CHARACTER_SET = /\^CI\d+/i;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// Transcodes the field data of UTF-8 ZPL to a printer's code page. Payloads are handled
+// as bytes throughout (latin1 maps each byte to one character), so graphics, downloads and
+// anything else outside ^FD/^FV pass through unchanged.
+class ZplEncoding {
+  // Canonical code page name for cp850, CP-1252, windows-1252, utf-8 and so on;
+  // null for "none" or no encoding
+  static normalize(name) {
+    if (name === undefined || name === null || name === '' || name === 'none') {
+      return null;
+    }
+
+    const key = String(name)
+      .toLowerCase()
+      .replace(/[-_\s]/g, '')
+      .replace(/^(windows|ibm)/, 'cp');
+    if (!(key in CODE_PAGES)) {
+      throw badRequest(
+        `Unsupported encoding "${name}". Supported: ${Object.keys(CODE_PAGES).join(', ')}`
+      );
+    }
+    return key;
+  }
+
+  static characterSet(encoding) {
+    return CODE_PAGES[encoding];
+  }
+
+  // Encode data (UTF-8 string or bytes) for a printer using the given code page, and with
+  // insertCi select it in every format: ^CI is added after ^XA, or an existing one is changed
+  static encode(data, encoding, options = {}) {
+    const bytes = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+    if (!encoding) {
+      return bytes;
+    }
+
+    let text = bytes.toString('latin1');
+    if (encoding !== 'utf8') {
+      text = text.replace(
+        FIELD_DATA,
+        (match, command, field) => command + ZplEncoding.transcodeField(field, encoding)
+      );
+    }
+    if (options.insertCi) {
+      text = ZplEncoding.selectCharacterSet(text, CODE_PAGES[encoding]);
+    }
+
+    return Buffer.from(text, 'latin1');
+  }
+
+  // Field data that isn't valid UTF-8 is assumed to be in the printer's code page already
+  static transcodeField(field, encoding) {
+    if (!/[\x80-\xff]/.test(field)) {
+      return field;
+    }
+
+    const bytes = Buffer.from(field, 'latin1');
+    const decoded = bytes.toString('utf8');
+    if (!Buffer.from(decoded, 'utf8').equals(bytes)) {
+      return field;
+    }
+    return iconv.encode(decoded, encoding).toString('latin1');
+  }
+
+  static selectCharacterSet(text, characterSet) {
+    return text.replace(FORMAT, (match, start, body, end) =>
+      CHARACTER_SET.test(body)
+        ? start + body.replace(CHARACTER_SET, `^CI${characterSet}`) + end
+        : `${start}^CI${characterSet}${body}${end}`
+    );
+  }
+}
+
+ZplEncoding.CODE_PAGES = CODE_PAGES;
+
+module.exports = ZplEncoding;
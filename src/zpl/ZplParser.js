@@ -0,0 +1,94 @@
+// Commands whose single-letter code is followed directly by a parameter (e.g. ^A0N,30,30)
+const SINGLE_LETTER_COMMANDS = ['A'];
+
+class ZplParser {
+  // Split ZPL into commands: { prefix, command, params, offset, line, column }
+  static tokenize(zpl) {
+    const text = Buffer.isBuffer(zpl) ? zpl.toString('latin1') : String(zpl);
+    const commands = [];
+    let index = text.search(/[\^~]/);
+
+    // Line and column are tracked as the scan moves forward, so large payloads stay linear
+    let line = 1;
+    let lineStart = 0;
+    let scanned = 0;
+
+    while (index !== -1 && index < text.length) {
+      for (; scanned < index; scanned++) {
+        if (text[scanned] === '\n') {
+          line++;
+          lineStart = scanned + 1;
+        }
+      }
+
+      const prefix = text[index];
+      let command = text.substr(index + 1, 2).toUpperCase();
+
+      if (SINGLE_LETTER_COMMANDS.includes(command[0]) && command !== 'A@') {
+        command = command[0];
+      }
+
+      // Parameters run until the next command prefix
+      const paramsStart = index + 1 + command.length;
+      let next = paramsStart;
+      while (next < text.length && text[next] !== '^' && text[next] !== '~') {
+        next++;
+      }
+
+      let params = text.substring(paramsStart, next);
+      // Line breaks between commands are not significant, except inside field data
+      if (command !== 'FD' && command !== 'FV') {
+        params = params.replace(/[\r\n]+/g, '');
+      }
+
+      commands.push({
+        prefix,
+        command,
+        params,
+        offset: index,
+        line,
+        column: index - lineStart + 1,
+      });
+
+      index = next < text.length ? next : -1;
+    }
+
+    return commands;
+  }
+
+  // Comma-separated parameters, with empty values left as undefined
+  static params(command) {
+    return command.params.split(',').map((value) => (value === '' ? undefined : value));
+  }
+
+  // Group commands into labels delimited by ^XA ... ^XZ
+  static splitLabels(commands) {
+    const labels = [];
+    let current = null;
+
+    for (const command of commands) {
+      if (command.command === 'XA') {
+        current = [];
+      } else if (command.command === 'XZ') {
+        if (current) {
+          labels.push(current);
+        }
+        current = null;
+      } else if (current) {
+        current.push(command);
+      }
+    }
+
+    return labels;
+  }
+
+  // Decode ^FH hex escapes (e.g. _5E for ^) in field data
+  static decodeHex(data, indicator = '_') {
+    const escaped = indicator.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return data.replace(new RegExp(`${escaped}([0-9A-Fa-f]{2})`, 'g'), (match, hex) =>
+      String.fromCharCode(parseInt(hex, 16))
+    );
+  }
+}
+
+module.exports = ZplParser;
@@ -0,0 +1,410 @@
+const { PNG } = require('pngjs');
+const QRCode = require('qrcode');
+const Bitmap = require('./Bitmap');
+const BitmapFont = require('./BitmapFont');
+const Code128 = require('./Code128');
+const DataMatrix = require('./DataMatrix');
+const GraphicField = require('./GraphicField');
+const ZplParser = require('./ZplParser');
+
+const ORIENTATIONS = ['N', 'R', 'I', 'B'];
+
+// Local renderer for a practical ZPL subset:
+// ^FO ^FT ^FD ^FS ^FB ^A ^CF ^GB ^GD ^GF ^BC ^BQ ^BX ^BY ^FR ^FW ^FH ^PW ^LL ^LH
+class ZplRenderer {
+  constructor(options = {}) {
+    this.dpmm = parseInt(options.dpmm) || 8;
+    this.labelWidth = parseFloat(options.labelWidth) || 100; // mm
+    this.labelHeight = parseFloat(options.labelHeight) || 150; // mm
+  }
+
+  // Render one label of a ZPL payload to PNG
+  render(zpl, labelIndex = 0) {
+    const labels = ZplRenderer.labels(zpl);
+
+    const index = parseInt(labelIndex) || 0;
+    if (index >= labels.length) {
+      throw new Error(`Label index ${index} out of range: payload has ${labels.length} label(s)`);
+    }
+
+    const bitmap = this.renderLabel(labels[index]);
+    return {
+      data: ZplRenderer.toPng(bitmap),
+      labelCount: labels.length,
+      width: bitmap.width,
+      height: bitmap.height,
+    };
+  }
+
+  // Render every label of a ZPL payload to PNG, in payload order
+  renderAll(zpl) {
+    return ZplRenderer.labels(zpl).map((commands) => {
+      const bitmap = this.renderLabel(commands);
+      return { data: ZplRenderer.toPng(bitmap), width: bitmap.width, height: bitmap.height };
+    });
+  }
+
+  static labels(zpl) {
+    const labels = ZplParser.splitLabels(ZplParser.tokenize(zpl));
+    if (labels.length === 0) {
+      throw new Error('No ^XA...^XZ label found in ZPL data');
+    }
+    return labels;
+  }
+
+  renderLabel(commands) {
+    // Label dimensions may be overridden by ^PW/^LL anywhere in the format
+    let width = Math.round(this.labelWidth * this.dpmm);
+    let height = Math.round(this.labelHeight * this.dpmm);
+    for (const command of commands) {
+      const [value] = ZplParser.params(command);
+      if (command.command === 'PW' && parseInt(value) > 0) width = parseInt(value);
+      if (command.command === 'LL' && parseInt(value) > 0) height = parseInt(value);
+    }
+
+    const canvas = new Bitmap(width, height);
+    const state = {
+      home: { x: 0, y: 0 },
+      defaultFont: { height: 9, width: 5 },
+      defaultOrientation: 'N',
+      barcodeDefaults: { moduleWidth: 2, ratio: 3, height: 10 },
+      field: ZplRenderer.newField(),
+    };
+
+    for (const command of commands) {
+      this.apply(canvas, state, command);
+    }
+
+    return canvas;
+  }
+
+  static newField() {
+    return {
+      x: 0,
+      y: 0,
+      baseline: false,
+      font: null,
+      orientation: null,
+      reverse: false,
+      hexIndicator: null,
+      barcode: null,
+      block: null,
+      box: null,
+      diagonal: null,
+      image: null,
+      data: null,
+    };
+  }
+
+  apply(canvas, state, command) {
+    const params = ZplParser.params(command);
+    const field = state.field;
+    const int = (value, fallback) => (isNaN(parseInt(value)) ? fallback : parseInt(value));
+
+    switch (command.command) {
+      case 'LH':
+        state.home = { x: int(params[0], 0), y: int(params[1], 0) };
+        break;
+      case 'FO':
+      case 'FT':
+        field.x = state.home.x + int(params[0], 0);
+        field.y = state.home.y + int(params[1], 0);
+        field.baseline = command.command === 'FT';
+        break;
+      case 'A': {
+        // ^A is followed by the font name, then orientation,height,width
+        const font = command.params.substring(1).split(',');
+        const orientation = (font[0] || '').trim().toUpperCase();
+        const height = int(font[1], state.defaultFont.height);
+        field.font = { height, width: int(font[2], height) };
+        if (ORIENTATIONS.includes(orientation)) field.orientation = orientation;
+        break;
+      }
+      case 'CF': {
+        const height = int(params[1], state.defaultFont.height);
+        state.defaultFont = { height, width: int(params[2], height) };
+        break;
+      }
+      case 'FW':
+        if (ORIENTATIONS.includes((params[0] || '').toUpperCase())) {
+          state.defaultOrientation = params[0].toUpperCase();
+        }
+        break;
+      case 'FR':
+        field.reverse = true;
+        break;
+      case 'FH':
+        field.hexIndicator = params[0] || '_';
+        break;
+      case 'FB':
+        field.block = {
+          width: int(params[0], 0),
+          lines: Math.max(1, int(params[1], 1)),
+          spacing: int(params[2], 0),
+          align: (params[3] || 'L').toUpperCase(),
+        };
+        break;
+      case 'BY':
+        state.barcodeDefaults = {
+          moduleWidth: int(params[0], state.barcodeDefaults.moduleWidth),
+          ratio: parseFloat(params[1]) || state.barcodeDefaults.ratio,
+          height: int(params[2], state.barcodeDefaults.height),
+        };
+        break;
+      case 'BC':
+        field.barcode = {
+          type: 'code128',
+          orientation: (params[0] || '').toUpperCase(),
+          height: int(params[1], state.barcodeDefaults.height),
+          interpretation: (params[2] || 'Y').toUpperCase() === 'Y',
+          above: (params[3] || 'N').toUpperCase() === 'Y',
+        };
+        break;
+      case 'BQ':
+        field.barcode = {
+          type: 'qr',
+          orientation: (params[0] || '').toUpperCase(),
+          magnification: int(params[2], this.dpmm >= 12 ? 6 : 3),
+        };
+        break;
+      case 'BX':
+        // Without a module size, the ^BY bar code height is the approximate symbol height
+        field.barcode = {
+          type: 'datamatrix',
+          orientation: (params[0] || '').toUpperCase(),
+          moduleSize: int(params[1], 0),
+          height: state.barcodeDefaults.height,
+          quality: int(params[2], 0),
+          columns: int(params[3], 0),
+          rows: int(params[4], 0),
+        };
+        break;
+      case 'GB':
+        field.box = {
+          width: int(params[0], 1),
+          height: int(params[1], 1),
+          thickness: int(params[2], 1),
+          color: (params[3] || 'B').toUpperCase(),
+        };
+        break;
+      case 'GD':
+        field.diagonal = {
+          width: int(params[0], 1),
+          height: int(params[1], 1),
+          thickness: int(params[2], 1),
+          color: (params[3] || 'B').toUpperCase(),
+          leaning: (params[4] || 'R').toUpperCase(),
+        };
+        break;
+      case 'GF':
+        field.image = GraphicField.decode(command.params);
+        break;
+      case 'FD':
+        field.data = command.params;
+        break;
+      case 'FS':
+        this.drawField(canvas, state);
+        state.field = ZplRenderer.newField();
+        break;
+      default:
+        // Commands outside the supported subset are ignored
+        break;
+    }
+  }
+
+  drawField(canvas, state) {
+    const field = state.field;
+    const orientation = field.orientation || state.defaultOrientation;
+    let data = field.data;
+    if (data !== null && field.hexIndicator) {
+      data = ZplParser.decodeHex(data, field.hexIndicator);
+    }
+
+    let graphic = null;
+    if (field.box) {
+      graphic = ZplRenderer.box(field.box);
+    } else if (field.diagonal) {
+      graphic = ZplRenderer.diagonal(field.diagonal);
+    } else if (field.image) {
+      graphic = field.image;
+    } else if (field.barcode && data !== null) {
+      const barcodeOrientation = ORIENTATIONS.includes(field.barcode.orientation)
+        ? field.barcode.orientation
+        : orientation;
+      const symbol =
+        field.barcode.type === 'qr'
+          ? ZplRenderer.qr(data, field.barcode)
+          : field.barcode.type === 'datamatrix'
+            ? ZplRenderer.dataMatrix(data, field.barcode)
+            : ZplRenderer.code128(data, field.barcode, state.barcodeDefaults);
+      graphic = symbol.rotate(barcodeOrientation);
+    } else if (data !== null) {
+      const font = field.font || state.defaultFont;
+      const text = field.block
+        ? ZplRenderer.textBlock(data, font, field.block)
+        : BitmapFont.render(data, font.height, font.width);
+      graphic = text.rotate(orientation);
+    }
+
+    if (!graphic) {
+      return;
+    }
+
+    // ^FT positions relative to the baseline, i.e. the bottom of the field
+    const y = field.baseline ? field.y - graphic.height : field.y;
+    canvas.draw(graphic, field.x, y, field.reverse);
+  }
+
+  static box({ width, height, thickness, color }) {
+    const w = Math.max(width, thickness);
+    const h = Math.max(height, thickness);
+    const box = new Bitmap(w, h);
+    if (color === 'W') {
+      return box;
+    }
+
+    box.fillRect(0, 0, w, thickness);
+    box.fillRect(0, h - thickness, w, thickness);
+    box.fillRect(0, 0, thickness, h);
+    box.fillRect(w - thickness, 0, thickness, h);
+    return box;
+  }
+
+  // ^GD: a line across a width x height box, right-leaning ("/") or left-leaning ("\")
+  static diagonal({ width, height, thickness, color, leaning }) {
+    const line = new Bitmap(width + thickness, height);
+    if (color === 'W') {
+      return line;
+    }
+
+    const steps = Math.max(width, height, 1);
+    for (let step = 0; step <= steps; step++) {
+      const x = Math.round((step * (width - 1)) / steps);
+      const y = Math.round((step * (height - 1)) / steps);
+      line.fillRect(x, ['L', '\\'].includes(leaning) ? y : height - 1 - y, thickness, 1);
+    }
+    return line;
+  }
+
+  // ^FB text: words wrapped to the block width, "\&" line breaks, each line aligned in the
+  // block. Lines beyond the block's line count are dropped (printers overprint the last line).
+  static textBlock(data, font, block) {
+    const lines = [];
+    for (const paragraph of data.split('\\&')) {
+      let line = '';
+      for (const word of paragraph.replace(/\\\\/g, '\\').split(' ')) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && BitmapFont.measure(candidate, font.width) > block.width) {
+          lines.push(line);
+          line = word;
+        } else {
+          line = candidate;
+        }
+      }
+      lines.push(line);
+    }
+
+    const shown = lines.slice(0, block.lines);
+    const lineHeight = font.height + block.spacing;
+    const bitmap = new Bitmap(block.width, shown.length * lineHeight - block.spacing);
+    shown.forEach((line, index) => {
+      if (!line) return;
+      const text = BitmapFont.render(line, font.height, font.width);
+      const free = Math.max(0, block.width - text.width);
+      const x = block.align === 'C' ? Math.round(free / 2) : block.align === 'R' ? free : 0;
+      bitmap.draw(text, x, index * lineHeight);
+    });
+    return bitmap;
+  }
+
+  static code128(data, options, defaults) {
+    const { widths, text } = Code128.modules(data);
+    const moduleWidth = defaults.moduleWidth;
+    const totalModules = widths.reduce((sum, width) => sum + width, 0);
+    const textHeight = options.interpretation ? Math.max(10, Math.round(options.height / 4)) : 0;
+    const textGap = textHeight ? Math.round(textHeight / 4) : 0;
+
+    const symbol = new Bitmap(totalModules * moduleWidth, options.height + textHeight + textGap);
+    const barsTop = options.above ? textHeight + textGap : 0;
+
+    let x = 0;
+    widths.forEach((width, index) => {
+      // Even positions are bars, odd positions are spaces
+      if (index % 2 === 0) {
+        symbol.fillRect(x, barsTop, width * moduleWidth, options.height);
+      }
+      x += width * moduleWidth;
+    });
+
+    if (textHeight) {
+      const label = BitmapFont.render(text, textHeight, Math.round(textHeight * 0.8));
+      const labelX = Math.max(0, Math.round((symbol.width - label.width) / 2));
+      const labelY = options.above ? 0 : options.height + textGap;
+      symbol.draw(label, labelX, labelY);
+    }
+
+    return symbol;
+  }
+
+  static qr(data, options) {
+    // ^BQ field data starts with the error correction level and input mode, e.g. "QA,"
+    const match = data.match(/^([HQML])([AM]),(.*)$/s);
+    const level = match ? match[1] : 'Q';
+    const content = match ? match[3] : data;
+
+    const qr = QRCode.create(content, { errorCorrectionLevel: level });
+    const size = qr.modules.size;
+    const scale = Math.max(1, Math.min(options.magnification, 10));
+    const symbol = new Bitmap(size * scale, size * scale);
+
+    for (let row = 0; row < size; row++) {
+      for (let col = 0; col < size; col++) {
+        if (qr.modules.get(row, col)) {
+          symbol.fillRect(col * scale, row * scale, scale, scale);
+        }
+      }
+    }
+
+    return symbol;
+  }
+
+  static dataMatrix(data, options) {
+    // Printers default to ECC 000, which is rarely used; only ECC 200 is rendered
+    if (options.quality !== 200) {
+      throw new Error(
+        `Data Matrix quality ${options.quality} is not supported by the local renderer (use 200)`
+      );
+    }
+    if (options.columns && options.rows && options.columns !== options.rows) {
+      throw new Error('Rectangular Data Matrix symbols are not supported by the local renderer');
+    }
+
+    const { size, dark } = DataMatrix.modules(data, options.columns || options.rows || null);
+    const scale = options.moduleSize || Math.max(1, Math.round(options.height / size));
+    const symbol = new Bitmap(size * scale, size * scale);
+
+    for (let row = 0; row < size; row++) {
+      for (let col = 0; col < size; col++) {
+        if (dark[row * size + col]) {
+          symbol.fillRect(col * scale, row * scale, scale, scale);
+        }
+      }
+    }
+
+    return symbol;
+  }
+
+  static toPng(bitmap) {
+    const png = new PNG({ width: bitmap.width, height: bitmap.height, colorType: 0 });
+    for (let i = 0; i < bitmap.data.length; i++) {
+      const value = bitmap.data[i] ? 0 : 255;
+      png.data[i * 4] = value;
+      png.data[i * 4 + 1] = value;
+      png.data[i * 4 + 2] = value;
+      png.data[i * 4 + 3] = 255;
+    }
+    return PNG.sync.write(png, { colorType: 0 });
+  }
+}
+
+module.exports = ZplRenderer;
@@ -0,0 +1,392 @@
+const ZplParser = require('./ZplParser');
+
+// prettier-ignore
+const FORMAT_COMMANDS = new Set([
+  'A', 'A@', 'B0', 'B1', 'B2', 'B3', 'B4', 'B5', 'B7', 'B8', 'B9', 'BA', 'BB', 'BC', 'BD', 'BE',
+  'BF', 'BI', 'BJ', 'BK', 'BL', 'BM', 'BO', 'BP', 'BQ', 'BR', 'BS', 'BT', 'BU', 'BX', 'BY', 'BZ',
+  'CC', 'CD', 'CF', 'CI', 'CM', 'CN', 'CO', 'CP', 'CT', 'CV', 'CW', 'DF', 'FB', 'FC', 'FD', 'FE',
+  'FH', 'FL', 'FM', 'FN', 'FO', 'FP', 'FR', 'FS', 'FT', 'FV', 'FW', 'FX', 'GB', 'GC', 'GD', 'GE',
+  'GF', 'GS', 'HF', 'HG', 'HH', 'HT', 'HV', 'HW', 'HY', 'HZ', 'ID', 'IL', 'IM', 'IS', 'JB', 'JH',
+  'JI', 'JJ', 'JL', 'JM', 'JN', 'JO', 'JP', 'JS', 'JT', 'JU', 'JW', 'JZ', 'KD', 'KL', 'KN', 'KP',
+  'KV', 'LF', 'LH', 'LL', 'LR', 'LS', 'LT', 'MA', 'MC', 'MD', 'MF', 'MI', 'ML', 'MM', 'MN', 'MP',
+  'MT', 'MU', 'MW', 'NB', 'NC', 'ND', 'NI', 'NN', 'NP', 'NS', 'NT', 'PA', 'PF', 'PH', 'PM', 'PN',
+  'PO', 'PP', 'PQ', 'PR', 'PS', 'PW', 'RB', 'RF', 'RI', 'RL', 'RM', 'RN', 'RR', 'RS', 'RT', 'RU',
+  'RW', 'RZ', 'SC', 'SE', 'SF', 'SI', 'SL', 'SN', 'SO', 'SP', 'SQ', 'SR', 'SS', 'ST', 'SX', 'SZ',
+  'TB', 'TO', 'WA', 'WD', 'WE', 'WF', 'WI', 'WL', 'WP', 'WR', 'WS', 'WT', 'WV', 'WX', 'XA', 'XB',
+  'XF', 'XG', 'XS', 'XZ', 'ZZ',
+]);
+
+// prettier-ignore
+const CONTROL_COMMANDS = new Set([
+  'CC', 'CD', 'CT', 'DB', 'DE', 'DG', 'DN', 'DS', 'DT', 'DU', 'DY', 'EG', 'HB', 'HD', 'HI', 'HM',
+  'HQ', 'HS', 'HU', 'JA', 'JB', 'JC', 'JD', 'JE', 'JF', 'JG', 'JI', 'JL', 'JN', 'JO', 'JP', 'JQ',
+  'JR', 'JS', 'JX', 'NC', 'NR', 'NT', 'PL', 'PM', 'PR', 'PS', 'RO', 'SD', 'TA', 'WC', 'WQ', 'WR',
+]);
+
+// Format commands that are allowed (and common) outside ^XA ... ^XZ
+const OUTSIDE_FORMAT_COMMANDS = new Set(['DF', 'XF', 'FX', 'CC', 'CD', 'CT', 'SZ']);
+
+const ORIENTATIONS = ['N', 'R', 'I', 'B'];
+const YES_NO = ['Y', 'N'];
+
+// Barcodes checked for orientation and height; each entry lists further checks
+const BARCODES = {
+  BC: { name: 'Code 128', heightIndex: 1, flags: [2, 3, 4], modes: { index: 5, values: 'NUAD' } },
+  B3: { name: 'Code 39', heightIndex: 2, flags: [1, 3, 4] },
+  BE: { name: 'EAN-13', heightIndex: 1, flags: [2, 3], digits: [12, 13] },
+  B8: { name: 'EAN-8', heightIndex: 1, flags: [2, 3], digits: [7, 8] },
+  BU: { name: 'UPC-A', heightIndex: 1, flags: [2, 3, 4], digits: [11, 12] },
+  B9: { name: 'UPC-E', heightIndex: 1, flags: [2, 3, 4], digits: true },
+  B2: { name: 'Interleaved 2 of 5', heightIndex: 1, flags: [2, 3, 4], digits: true },
+  BX: { name: 'Data Matrix', heightIndex: 1 },
+  BQ: { name: 'QR Code' },
+  B7: { name: 'PDF417', heightIndex: 1 },
+};
+
+const DATA_MATRIX_QUALITY = ['0', '50', '80', '100', '140', '200'];
+
+// Static checks for ZPL payloads. Findings carry the command position so they can be
+// shown next to the source: { severity, code, message, command, offset, line, column }
+class ZplValidator {
+  static validate(zpl) {
+    const validator = new ZplValidator();
+    return validator.run(ZplParser.tokenize(zpl));
+  }
+
+  constructor() {
+    this.findings = [];
+  }
+
+  add(severity, code, message, command) {
+    this.findings.push({
+      severity,
+      code,
+      message,
+      ...(command && {
+        command: `${command.prefix}${command.command}`,
+        offset: command.offset,
+        line: command.line,
+        column: command.column,
+      }),
+    });
+  }
+
+  error(code, message, command) {
+    this.add('error', code, message, command);
+  }
+
+  warning(code, message, command) {
+    this.add('warning', code, message, command);
+  }
+
+  run(commands) {
+    let label = null;
+    let labelCount = 0;
+
+    if (commands.length === 0) {
+      this.error('no-commands', 'No ZPL commands found');
+    }
+
+    commands.forEach((command, index) => {
+      const name = command.command;
+
+      if (command.prefix === '~') {
+        if (!CONTROL_COMMANDS.has(name)) {
+          this.error('unknown-command', `Unknown control command ~${name}`, command);
+        }
+        return;
+      }
+
+      if (!FORMAT_COMMANDS.has(name)) {
+        this.error('unknown-command', `Unknown format command ^${name}`, command);
+        return;
+      }
+
+      if (name === 'XA') {
+        if (label) {
+          this.error('unbalanced-format', '^XA inside an open label: missing ^XZ', command);
+          this.finishLabel(label);
+        }
+        label = ZplValidator.newLabel(command);
+        labelCount++;
+        return;
+      }
+
+      if (name === 'XZ') {
+        if (!label) {
+          this.error('unbalanced-format', '^XZ without a matching ^XA', command);
+        } else {
+          this.finishLabel(label);
+        }
+        label = null;
+        return;
+      }
+
+      if (!label) {
+        if (!OUTSIDE_FORMAT_COMMANDS.has(name)) {
+          this.warning('outside-format', `^${name} outside ^XA ... ^XZ is ignored`, command);
+        }
+        return;
+      }
+
+      this.apply(label, command, commands[index + 1]);
+    });
+
+    if (label) {
+      this.error('unbalanced-format', '^XA without a closing ^XZ', label.start);
+      this.finishLabel(label);
+    }
+
+    // Bounds are checked per label, so put findings back into source order
+    this.findings.sort((a, b) => (a.offset || 0) - (b.offset || 0));
+    const errors = this.findings.filter((finding) => finding.severity === 'error').length;
+    return {
+      valid: errors === 0,
+      errors,
+      warnings: this.findings.length - errors,
+      labelCount,
+      commandCount: commands.length,
+      findings: this.findings,
+    };
+  }
+
+  static newLabel(start) {
+    return {
+      start,
+      width: null,
+      height: null,
+      home: { x: 0, y: 0 },
+      field: ZplValidator.newField(),
+      fields: [],
+    };
+  }
+
+  static newField() {
+    return { origin: null, barcode: null, box: null, data: null };
+  }
+
+  // Check field positions against ^PW / ^LL once the whole label has been read,
+  // since both may appear after the fields they bound
+  finishLabel(label) {
+    // A field left open by a missing ^FS is still placed on the label
+    if (label.field.origin) {
+      label.fields.push(label.field);
+    }
+
+    for (const field of label.fields) {
+      const { x, y, command } = field.origin;
+      if (label.width !== null && x >= label.width) {
+        this.error(
+          'out-of-bounds',
+          `Field at x=${x} is outside the label width (^PW${label.width})`,
+          command
+        );
+      } else if (label.width !== null && field.box && x + field.box.width > label.width) {
+        this.warning(
+          'out-of-bounds',
+          `Graphic box extends past the label width (^PW${label.width})`,
+          command
+        );
+      }
+
+      if (label.height !== null && y >= label.height) {
+        this.error(
+          'out-of-bounds',
+          `Field at y=${y} is outside the label length (^LL${label.height})`,
+          command
+        );
+      } else if (label.height !== null && field.box && y + field.box.height > label.height) {
+        this.warning(
+          'out-of-bounds',
+          `Graphic box extends past the label length (^LL${label.height})`,
+          command
+        );
+      }
+    }
+  }
+
+  apply(label, command, next) {
+    const params = ZplParser.params(command);
+    const field = label.field;
+
+    switch (command.command) {
+      case 'PW':
+        label.width = this.integer(command, params[0], 'label width', { min: 1 });
+        break;
+      case 'LL':
+        label.height = this.integer(command, params[0], 'label length', { min: 1 });
+        break;
+      case 'LH':
+        label.home = {
+          x: this.integer(command, params[0], 'x', { min: 0 }) || 0,
+          y: this.integer(command, params[1], 'y', { min: 0 }) || 0,
+        };
+        break;
+      case 'FO':
+      case 'FT':
+        field.origin = {
+          x: label.home.x + (this.integer(command, params[0], 'x', { min: 0 }) || 0),
+          y: label.home.y + (this.integer(command, params[1], 'y', { min: 0 }) || 0),
+          command,
+        };
+        break;
+      case 'A':
+        this.font(command);
+        break;
+      case 'BY':
+        this.integer(command, params[0], 'module width', { min: 1, max: 10 });
+        this.number(command, params[1], 'wide to narrow ratio', { min: 2, max: 3 });
+        this.integer(command, params[2], 'bar code height', { min: 1 });
+        break;
+      case 'GB':
+        field.box = {
+          width: this.integer(command, params[0], 'box width', { min: 1 }) || 1,
+          height: this.integer(command, params[1], 'box height', { min: 1 }) || 1,
+        };
+        this.integer(command, params[2], 'border thickness', { min: 1 });
+        this.oneOf(command, params[3], 'line color', ['B', 'W']);
+        break;
+      case 'PQ':
+        this.integer(command, params[0], 'print quantity', { min: 1 });
+        break;
+      case 'FD':
+      case 'FV':
+        field.data = command;
+        if (!next || next.prefix !== '^' || next.command !== 'FS') {
+          this.error(
+            'unterminated-field',
+            `^${command.command} field data is not followed by ^FS`,
+            command
+          );
+        }
+        break;
+      case 'FS':
+        this.finishField(label);
+        break;
+      default:
+        if (BARCODES[command.command]) {
+          this.barcode(command, params);
+          field.barcode = command;
+        }
+        break;
+    }
+  }
+
+  finishField(label) {
+    const field = label.field;
+    if (field.barcode && field.data) {
+      this.barcodeData(field.barcode, field.data);
+    } else if (field.barcode && !field.data) {
+      this.warning(
+        'empty-barcode',
+        `^${field.barcode.command} bar code has no ^FD data`,
+        field.barcode
+      );
+    }
+    if (field.origin) {
+      label.fields.push(field);
+    }
+    label.field = ZplValidator.newField();
+  }
+
+  font(command) {
+    // ^A<font><orientation>,<height>,<width>: the font name is the first character
+    const font = command.params[0];
+    const params = command.params.substring(1).split(',');
+    if (!font || !/[A-Z0-9@]/i.test(font)) {
+      this.error('invalid-parameter', 'Font name must be A-Z or 0-9', command);
+    }
+    this.oneOf(command, params[0] || undefined, 'orientation', ORIENTATIONS);
+    this.integer(command, params[1] || undefined, 'character height', { min: 1, max: 32000 });
+    this.integer(command, params[2] || undefined, 'character width', { min: 1, max: 32000 });
+  }
+
+  barcode(command, params) {
+    const rules = BARCODES[command.command];
+
+    if (command.command === 'BQ') {
+      this.oneOf(command, params[0], 'orientation', ['N']);
+      this.oneOf(command, params[1], 'model', ['1', '2']);
+      this.integer(command, params[2], 'magnification', { min: 1, max: 10 });
+      return;
+    }
+
+    this.oneOf(command, params[0], 'orientation', ORIENTATIONS);
+    if (rules.heightIndex !== undefined) {
+      this.integer(command, params[rules.heightIndex], 'bar code height', { min: 1, max: 32000 });
+    }
+    for (const index of rules.flags || []) {
+      this.oneOf(command, params[index], 'flag', YES_NO);
+    }
+    if (rules.modes) {
+      this.oneOf(command, params[rules.modes.index], 'mode', rules.modes.values.split(''));
+    }
+    if (command.command === 'BX') {
+      this.oneOf(command, params[2], 'quality level', DATA_MATRIX_QUALITY);
+    }
+  }
+
+  barcodeData(barcode, dataCommand) {
+    const rules = BARCODES[barcode.command];
+    const data = dataCommand.params;
+
+    if (data.length === 0) {
+      this.warning('empty-barcode', `${rules.name} has empty field data`, dataCommand);
+      return;
+    }
+
+    if (barcode.command === 'BQ' && !/^[HQML]?[AM],/i.test(data)) {
+      this.warning(
+        'invalid-barcode-data',
+        'QR Code field data should start with error correction and input mode, e.g. "QA,"',
+        dataCommand
+      );
+    }
+
+    if (rules.digits) {
+      if (!/^\d+$/.test(data)) {
+        this.error('invalid-barcode-data', `${rules.name} data must be numeric`, dataCommand);
+      } else if (Array.isArray(rules.digits) && !rules.digits.includes(data.length)) {
+        this.error(
+          'invalid-barcode-data',
+          `${rules.name} data must have ${rules.digits.join(' or ')} digits`,
+          dataCommand
+        );
+      }
+    }
+  }
+
+  // Parameter checks: undefined (omitted) parameters fall back to printer defaults
+
+  number(command, value, name, { min = -Infinity, max = Infinity } = {}) {
+    if (value === undefined) return null;
+    const number = Number(value.trim());
+    if (value.trim() === '' || Number.isNaN(number) || number < min || number > max) {
+      const range = max === Infinity ? `at least ${min}` : `between ${min} and ${max}`;
+      this.error('invalid-parameter', `Invalid ${name} "${value}": expected ${range}`, command);
+      return null;
+    }
+    return number;
+  }
+
+  integer(command, value, name, range) {
+    if (value !== undefined && !/^\s*-?\d+\s*$/.test(value)) {
+      this.error('invalid-parameter', `Invalid ${name} "${value}": expected an integer`, command);
+      return null;
+    }
+    return this.number(command, value, name, range);
+  }
+
+  oneOf(command, value, name, allowed) {
+    if (value === undefined) return;
+    if (!allowed.includes(value.trim().toUpperCase())) {
+      this.error(
+        'invalid-parameter',
+        `Invalid ${name} "${value}": expected one of ${allowed.join(', ')}`,
+        command
+      );
+    }
+  }
+}
+
+module.exports = ZplValidator;
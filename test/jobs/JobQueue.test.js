@@ -0,0 +1,204 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JobQueue = require('../../src/jobs/JobQueue');
+const Logger = require('../../src/logging/Logger');
+
+const logger = new Logger({ level: 'silent' });
+
+// A store directory that is removed when the test ends
+function storePath(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return path.join(directory, 'jobs.json');
+}
+
+function createQueue(t, printer, options = {}) {
+  const queue = new JobQueue({
+    storePath: storePath(t),
+    createPrinter: () => printer,
+    retryDelay: 20,
+    logger,
+    ...options,
+  });
+  t.after(() => queue.stop());
+  return queue;
+}
+
+function connectError() {
+  return Object.assign(new Error('connect ECONNREFUSED'), {
+    code: 'ECONNREFUSED',
+    phase: 'connect',
+  });
+}
+
+// Resolves once count jobs are done or failed. The queue's timers don't keep the process
+// alive, so an interval does until then.
+function settled(queue, count) {
+  const keepAlive = setInterval(() => {}, 1000);
+  return new Promise((resolve) => {
+    let finished = 0;
+    const onFinished = () => {
+      if (++finished === count) {
+        clearInterval(keepAlive);
+        resolve();
+      }
+    };
+    queue.on('done', onFinished);
+    queue.on('failed', onFinished);
+  });
+}
+
+test('failed attempts are retried until the job is sent', async (t) => {
+  let failures = 2;
+  const queue = createQueue(t, {
+    async print() {
+      if (failures-- > 0) {
+        throw connectError();
+      }
+      return 'ok';
+    },
+  });
+  const finished = settled(queue, 1);
+
+  const job = queue.enqueue('dock', '^XA^XZ');
+  await finished;
+
+  assert.strictEqual(queue.get(job.id).status, 'done');
+  assert.strictEqual(queue.get(job.id).attempts, 3);
+  assert.strictEqual(queue.get(job.id).result, 'ok');
+});
+
+test('jobs fail once their attempts are used up', async (t) => {
+  const queue = createQueue(
+    t,
+    {
+      async print() {
+        throw connectError();
+      },
+    },
+    { maxAttempts: 2 }
+  );
+  const finished = settled(queue, 1);
+
+  const job = queue.enqueue('dock', '^XA^XZ');
+  await finished;
+
+  assert.strictEqual(queue.get(job.id).status, 'failed');
+  assert.strictEqual(queue.get(job.id).attempts, 2);
+  assert.strictEqual(queue.get(job.id).error, 'connect ECONNREFUSED');
+});
+
+test('jobs interrupted mid-send are queued again after a restart', (t) => {
+  const file = storePath(t);
+  const job = { id: 'a', printer: 'dock', status: 'sending', data: '^XA^XZ', attempts: 1 };
+  fs.writeFileSync(file, JSON.stringify({ jobs: [job] }));
+
+  const queue = new JobQueue({ storePath: file, createPrinter: () => null, logger });
+
+  assert.strictEqual(queue.get('a').status, 'queued');
+});
+
+test('jobs for a printer are sent in order, also when one is retried', async (t) => {
+  const sent = [];
+  let failures = 1;
+  const printer = {
+    async print(data) {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      if (String(data) === 'first' && failures-- > 0) {
+        throw connectError();
+      }
+      sent.push(String(data));
+      return 'ok';
+    },
+  };
+  // The retry waits longer than the later jobs would if they could go ahead
+  const queue = createQueue(t, printer, { retryDelay: 400 });
+  const finished = settled(queue, 3);
+
+  ['first', 'second', 'third'].forEach((data) => queue.enqueue('dock', Buffer.from(data)));
+  await finished;
+
+  assert.deepStrictEqual(sent, ['first', 'second', 'third']);
+});
+
+test('finished jobs are stored without their payload', async (t) => {
+  const queue = createQueue(t, { print: async () => 'ok' });
+  const finished = settled(queue, 1);
+
+  const job = queue.enqueue('dock', Buffer.from('^XA^XZ'));
+  await finished;
+
+  const [stored] = fs
+    .readFileSync(queue.finishedPath, 'utf8')
+    .trim()
+    .split('\n')
+    .map((line) => JSON.parse(line));
+  assert.strictEqual(stored.id, job.id);
+  assert.strictEqual(stored.status, 'done');
+  assert.strictEqual(stored.data, undefined);
+  assert.strictEqual(queue.get(job.id).data, undefined);
+});
+
+test('sends that failed after connecting are not retried', async (t) => {
+  let attempts = 0;
+  const queue = createQueue(t, {
+    async print() {
+      attempts++;
+      throw Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET', phase: 'write' });
+    },
+  });
+  const finished = settled(queue, 1);
+
+  const job = queue.enqueue('dock', '^XA^XZ');
+  await finished;
+
+  assert.strictEqual(attempts, 1);
+  assert.strictEqual(queue.get(job.id).status, 'failed');
+});
+
+test('only jobs still to be sent are rewritten; finished ones are restored', async (t) => {
+  const queue = createQueue(t, { print: async () => 'ok' });
+  const finished = settled(queue, 1);
+
+  const job = queue.enqueue('dock', '^XA^XZ');
+  await finished;
+
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(queue.storePath, 'utf8')).jobs, []);
+  const restored = new JobQueue({ storePath: queue.storePath, createPrinter: () => null, logger });
+  assert.strictEqual(restored.get(job.id).status, 'done');
+});
+
+test('finished jobs in stores written by older versions are moved out', (t) => {
+  const file = storePath(t);
+  const jobs = [
+    { id: 'a', printer: 'dock', status: 'done', data: '^XA^XZ', updatedAt: '2026-01-01' },
+    { id: 'b', printer: 'dock', status: 'queued', data: '^XA^XZ', updatedAt: '2026-01-02' },
+  ];
+  fs.writeFileSync(file, JSON.stringify({ jobs }));
+
+  const queue = new JobQueue({ storePath: file, createPrinter: () => null, logger });
+
+  assert.deepStrictEqual(
+    JSON.parse(fs.readFileSync(file, 'utf8')).jobs.map((job) => job.id),
+    ['b']
+  );
+  assert.match(fs.readFileSync(queue.finishedPath, 'utf8'), /"id":"a"/);
+  assert.strictEqual(queue.get('a').data, undefined);
+});
+
+test('the finished jobs file is compacted to the retention limit', async (t) => {
+  const queue = createQueue(t, { print: async () => 'ok' }, { retention: 5 });
+  const finished = settled(queue, 12);
+
+  for (let i = 0; i < 12; i++) {
+    queue.enqueue('dock', `^XA^FD${i}^FS^XZ`);
+  }
+  await finished;
+
+  const lines = fs.readFileSync(queue.finishedPath, 'utf8').trim().split('\n');
+  assert.ok(lines.length <= 6, `${lines.length} lines`);
+  assert.strictEqual(queue.finished().length, 5);
+});
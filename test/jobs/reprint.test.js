@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const KEYS = {
+  ops: { key: 'ops-key', actions: ['admin'] },
+  dock: { key: 'dock-key', printers: ['dock'], actions: ['print', 'status'] },
+};
+
+function freePort() {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+function request(port, method, url, { key, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        host: '127.0.0.1',
+        port,
+        method,
+        path: url,
+        headers: {
+          ...(key && { 'X-API-Key': key }),
+          ...(body && { 'Content-Type': 'text/plain' }),
+        },
+      },
+      (res) => {
+        let data = '';
+        res.on('data', (chunk) => (data += chunk));
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data || '{}') }));
+      }
+    );
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// Start the proxy with two virtual printers and the test keys; stopped when the test ends
+async function startServer(t, env = {}) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'reprint-'));
+  const port = await freePort();
+  const virtual = { renderer: 'local', saveDirectory: path.join(directory, 'labels') };
+  const server = spawn(process.execPath, [path.join(__dirname, '../../src/index.js')], {
+    env: {
+      ...process.env,
+      API_PORT: String(port),
+      LOG_LEVEL: 'silent',
+      PRINTERS: JSON.stringify({
+        dock: { type: 'virtual', virtual },
+        office: { type: 'virtual', virtual },
+      }),
+      API_KEYS: JSON.stringify(KEYS),
+      JOB_STORE_PATH: path.join(directory, 'jobs.json'),
+      JOB_HISTORY_PATH: path.join(directory, 'history.jsonl'),
+      WEBHOOK_STORE_PATH: path.join(directory, 'webhooks.json'),
+      TEMPLATE_DIRECTORY: path.join(directory, 'templates'),
+      ...env,
+    },
+    stdio: 'ignore',
+  });
+  t.after(() => {
+    server.kill();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  for (let attempt = 0; attempt < 100; attempt++) {
+    try {
+      await request(port, 'GET', '/health');
+      return port;
+    } catch {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+  }
+  throw new Error('Server did not start');
+}
+
+test('reprints need print access to the printer the job came from', async (t) => {
+  const port = await startServer(t, { JOB_HISTORY_PAYLOADS: 'true' });
+
+  const office = await request(port, 'POST', '/printers/office/print', {
+    key: 'ops-key',
+    body: '^XA^FDoffice^FS^XZ',
+  });
+  const dock = await request(port, 'POST', '/printers/dock/print', {
+    key: 'dock-key',
+    body: '^XA^FDdock^FS^XZ',
+  });
+  assert.strictEqual(office.status, 200);
+  assert.strictEqual(dock.status, 200);
+
+  // The dock key may print on dock, but not resend (and so read) the office job there
+  const stolen = await request(port, 'POST', `/jobs/${office.body.jobId}/reprint?printer=dock`, {
+    key: 'dock-key',
+  });
+  assert.strictEqual(stolen.status, 403);
+
+  const own = await request(port, 'POST', `/jobs/${dock.body.jobId}/reprint`, { key: 'dock-key' });
+  assert.strictEqual(own.status, 200);
+  assert.notStrictEqual(own.body.jobId, dock.body.jobId);
+});
+
+test('printed jobs cannot be reprinted unless history payloads are enabled', async (t) => {
+  const port = await startServer(t);
+
+  const printed = await request(port, 'POST', '/printers/dock/print', {
+    key: 'dock-key',
+    body: '^XA^FDdock^FS^XZ',
+  });
+  const reprint = await request(port, 'POST', `/jobs/${printed.body.jobId}/reprint`, {
+    key: 'dock-key',
+  });
+
+  assert.strictEqual(reprint.status, 409);
+  assert.match(reprint.body.error, /JOB_HISTORY_PAYLOADS=true/);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const PrinterPool = require('../../src/printers/PrinterPool');
+const TCPPrinter = require('../../src/printers/TCPPrinter');
+const Logger = require('../../src/logging/Logger');
+
+const logger = new Logger({ level: 'silent' });
+
+function createPool(members, options = {}) {
+  const sent = [];
+  const pool = new PrinterPool('dock', {
+    members: Object.keys(members),
+    logger,
+    createPrinter: (member) => ({
+      async print(data) {
+        sent.push(member);
+        return members[member](data);
+      },
+    }),
+    ...options,
+  });
+  return { pool, sent };
+}
+
+function failure(message, fields) {
+  return () => {
+    throw Object.assign(new Error(message), fields);
+  };
+}
+
+test('round-robin starts consecutive jobs at different members', async () => {
+  const { pool, sent } = createPool({ a: () => 'ok', b: () => 'ok', c: () => 'ok' });
+
+  for (let i = 0; i < 4; i++) {
+    await pool.print('^XA^XZ');
+  }
+
+  assert.deepStrictEqual(sent, ['a', 'b', 'c', 'a']);
+});
+
+test('a member that cannot be reached fails over to the next', async () => {
+  const { pool, sent } = createPool({
+    a: failure('connect ECONNREFUSED', { code: 'ECONNREFUSED' }),
+    b: () => 'ok',
+  });
+
+  const { member, failures } = await pool.print('^XA^XZ', logger);
+
+  assert.strictEqual(member, 'b');
+  assert.deepStrictEqual(sent, ['a', 'b']);
+  assert.strictEqual(failures.length, 1);
+  assert.strictEqual(pool.state.get('a').healthy, false);
+});
+
+test('a pool fails when every member failed', async () => {
+  const { pool } = createPool({
+    a: failure('connect ECONNREFUSED', { code: 'ECONNREFUSED' }),
+    b: failure('connect ETIMEDOUT', { code: 'ETIMEDOUT', phase: 'connect' }),
+  });
+
+  await assert.rejects(pool.print('^XA^XZ', logger), (error) => {
+    assert.match(error.message, /All printers in pool "dock" failed/);
+    assert.strictEqual(error.failures.length, 2);
+    return true;
+  });
+});
+
+test('pools need members and a known strategy', () => {
+  assert.throws(() => new PrinterPool('dock', { members: [] }), /at least one member/);
+  assert.throws(() => createPool({ a: () => 'ok' }, { strategy: 'random' }), /Invalid strategy/);
+});
+
+test('an error after data was written is not sent to another member', async () => {
+  const { pool, sent } = createPool({
+    a: failure('read ECONNRESET', { code: 'ECONNRESET', phase: 'write' }),
+    b: () => 'ok',
+  });
+
+  await assert.rejects(pool.print('^XA^XZ', logger), { message: 'read ECONNRESET', member: 'a' });
+  assert.deepStrictEqual(sent, ['a']);
+});
+
+test('TCP errors report whether the connection was made', async () => {
+  // A port that was just free refuses connections
+  const server = net.createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+
+  const printer = new TCPPrinter('127.0.0.1', port);
+  printer.log = logger;
+
+  await assert.rejects(printer.send('^XA^XZ'), { code: 'ECONNREFUSED', phase: 'connect' });
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const USBPrinter = require('../../src/printers/USBPrinter');
+const Logger = require('../../src/logging/Logger');
+
+const logger = new Logger({ level: 'silent' });
+
+// A device that records calls and, like libusb, refuses to be opened twice
+function fakeDevice({ claimError = null, endpoints = null } = {}) {
+  const calls = [];
+  let open = false;
+  const device = {
+    busNumber: 1,
+    deviceAddress: Math.floor(Math.random() * 1e9),
+    open() {
+      if (open) throw new Error('LIBUSB_ERROR_BUSY');
+      open = true;
+      calls.push('open');
+    },
+    close() {
+      open = false;
+      calls.push('close');
+    },
+    interface: () => ({
+      isKernelDriverActive: () => false,
+      claim() {
+        calls.push('claim');
+        if (claimError) throw claimError;
+      },
+      release(closeEndpoints, callback) {
+        calls.push('release');
+        setTimeout(callback, 5);
+      },
+      endpoints: endpoints || [
+        {
+          direction: 'out',
+          transfer(buffer, callback) {
+            calls.push(`send ${buffer}`);
+            setTimeout(callback, 10);
+          },
+        },
+      ],
+    }),
+  };
+  return { device, calls };
+}
+
+function printerFor(device) {
+  const printer = new USBPrinter();
+  printer.log = logger;
+  printer.findPrinter = async () => {
+    printer.device = device;
+    return true;
+  };
+  return printer;
+}
+
+test('the device is closed when its interface cannot be claimed', async () => {
+  const { device, calls } = fakeDevice({ claimError: new Error('LIBUSB_ERROR_ACCESS') });
+
+  await assert.rejects(printerFor(device).send('^XA^XZ'), {
+    message: 'LIBUSB_ERROR_ACCESS',
+    phase: 'connect',
+  });
+  assert.deepStrictEqual(calls, ['open', 'claim', 'close']);
+});
+
+test('the device is released and closed when it has no OUT endpoint', async () => {
+  const { device, calls } = fakeDevice({ endpoints: [{ direction: 'in' }] });
+
+  await assert.rejects(printerFor(device).send('^XA^XZ'), { phase: 'connect' });
+  assert.deepStrictEqual(calls, ['open', 'claim', 'release', 'close']);
+});
+
+test('sessions on one device run one after another', async () => {
+  const { device, calls } = fakeDevice();
+
+  await Promise.all([printerFor(device).send('a'), printerFor(device).send('b')]);
+
+  assert.deepStrictEqual(calls, [
+    'open',
+    'claim',
+    'send a',
+    'release',
+    'close',
+    'open',
+    'claim',
+    'send b',
+    'release',
+    'close',
+  ]);
+});
+
+test('a failed session does not block the next one', async () => {
+  const { device } = fakeDevice({ claimError: new Error('LIBUSB_ERROR_ACCESS') });
+  const { device: working, calls } = fakeDevice();
+  working.deviceAddress = device.deviceAddress;
+
+  const failing = printerFor(device).send('a');
+  const next = printerFor(working).send('b');
+
+  await assert.rejects(failing);
+  assert.strictEqual(await next, 'Print job sent successfully via USB');
+  assert.ok(calls.includes('send b'));
+});
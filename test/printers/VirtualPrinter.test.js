@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const VirtualPrinter = require('../../src/printers/VirtualPrinter');
+
+// A save directory that is removed when the test ends
+function saveDirectory(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'virtual-printer-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+test('multi-page pdfs are refused for the local renderer when the printer is created', (t) => {
+  const directory = saveDirectory(t);
+
+  assert.throws(
+    () => new VirtualPrinter({ renderer: 'local', multiLabel: 'pdf', saveDirectory: directory }),
+    /needs the labelary renderer/
+  );
+  assert.doesNotThrow(
+    () => new VirtualPrinter({ renderer: 'labelary', multiLabel: 'pdf', saveDirectory: directory })
+  );
+  assert.doesNotThrow(
+    () => new VirtualPrinter({ renderer: 'local', multiLabel: 'files', saveDirectory: directory })
+  );
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ZplTemplate = require('../../src/templates/ZplTemplate');
+const ZplEncoding = require('../../src/zpl/ZplEncoding');
+
+test('template values are escaped against command injection', () => {
+  const zpl = new ZplTemplate('^XA^FO10,10^FD{{name}}^FS^XZ').render({ name: 'a^XZ~b_c' });
+
+  assert.strictEqual(zpl, '^XA^FO10,10^FH^FDa_5EXZ_7Eb_5Fc^FS^XZ');
+});
+
+test('optional variables fall back to their default', () => {
+  const template = new ZplTemplate('^XA^FD{{name}} {{size|M}}^FS^XZ');
+
+  assert.deepStrictEqual(
+    template.variables.map(({ name, required }) => [name, required]),
+    [
+      ['name', true],
+      ['size', false],
+    ]
+  );
+  assert.strictEqual(template.render({ name: 'Tee' }), '^XA^FH^FDTee M^FS^XZ');
+});
+
+test('missing required variables are reported together', () => {
+  const template = new ZplTemplate('^XA^FD{{name}}^FS^FD{{sku}}^FS^XZ');
+
+  assert.throws(() => template.render({}), { statusCode: 400, missing: ['name', 'sku'] });
+});
+
+test('accented template values are transcoded to the code page', () => {
+  const zpl = new ZplTemplate('^XA^FO10,10^FD{{name}}^FS^XZ').render({ name: 'Café' });
+  const encoded = ZplEncoding.encode(zpl, 'cp850', { insertCi: true });
+
+  // é is 0x82 in CP850
+  assert.deepStrictEqual(
+    encoded,
+    Buffer.concat([
+      Buffer.from('^XA^CI13^FO10,10^FH^FDCaf', 'latin1'),
+      Buffer.from([0x82]),
+      Buffer.from('^FS^XZ', 'latin1'),
+    ])
+  );
+});
@@ -0,0 +1,159 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const WebhookStore = require('../../src/webhooks/WebhookStore');
+const WebhookDispatcher = require('../../src/webhooks/WebhookDispatcher');
+const Logger = require('../../src/logging/Logger');
+
+const logger = new Logger({ level: 'silent' });
+
+function createStore(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return new WebhookStore({ storePath: path.join(directory, 'webhooks.json'), logger });
+}
+
+test('subscriptions are validated and matched by event and printer', (t) => {
+  const store = createStore(t);
+
+  assert.throws(() => store.create({ url: 'ftp://example.com' }), { statusCode: 400 });
+  assert.throws(() => store.create({ url: 'https://example.com', events: ['job.lost'] }), {
+    statusCode: 400,
+  });
+  assert.throws(() => store.create({ url: 'https://example.com', printers: ['back'] }, ['dock']), {
+    statusCode: 400,
+  });
+
+  const all = store.create({ url: 'https://example.com/all' });
+  const dock = store.create(
+    { url: 'https://example.com/dock', events: ['job.failed'], printers: ['dock'] },
+    ['dock']
+  );
+
+  assert.deepStrictEqual(
+    store.matching('job.failed', 'dock').map((webhook) => webhook.id),
+    [all.id, dock.id]
+  );
+  assert.deepStrictEqual(
+    store.matching('job.failed', 'front').map((webhook) => webhook.id),
+    [all.id]
+  );
+  assert.strictEqual(store.describe(dock).secret, undefined);
+});
+
+test('events are delivered signed with the subscription secret', async (t) => {
+  const received = new Promise((resolve) => {
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => (body += chunk));
+      req.on('end', () => {
+        res.end();
+        server.close();
+        resolve({ headers: req.headers, body });
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      const store = createStore(t);
+      store.create({
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        secret: 'a'.repeat(32),
+      });
+      new WebhookDispatcher({ store, logger }).emit('job.sent', { printer: 'dock' });
+    });
+  });
+
+  const { headers, body } = await received;
+  const event = JSON.parse(body);
+  assert.strictEqual(event.event, 'job.sent');
+  assert.strictEqual(event.printer, 'dock');
+  assert.strictEqual(
+    headers['x-webhook-signature'],
+    `sha256=${WebhookDispatcher.sign('a'.repeat(32), headers['x-webhook-timestamp'], body)}`
+  );
+});
+
+test('private, loopback and link-local addresses are recognised', () => {
+  for (const address of [
+    '127.0.0.1',
+    '10.1.2.3',
+    '172.20.0.1',
+    '192.168.1.10',
+    '169.254.169.254',
+    '::1',
+    'fe80::1',
+    'fd00::1',
+    '::ffff:127.0.0.1',
+  ]) {
+    assert.strictEqual(WebhookStore.isPrivateAddress(address), true, address);
+  }
+  for (const address of ['93.184.216.34', '2606:4700::1111', 'example.com']) {
+    assert.strictEqual(WebhookStore.isPrivateAddress(address), false, address);
+  }
+});
+
+test('callback URLs must be public and, without anyHost, on an allowed host', () => {
+  const allowedHosts = ['erp.example.com', '*.hooks.example.com'];
+
+  for (const url of [
+    'http://127.0.0.1:8080/',
+    'http://localhost/',
+    'http://[::1]/',
+    'http://169.254.169.254/latest',
+  ]) {
+    assert.throws(
+      () => WebhookStore.validateCallbackUrl(url, { anyHost: true }),
+      { statusCode: 400 },
+      url
+    );
+  }
+  assert.throws(
+    () => WebhookStore.validateCallbackUrl('https://evil.example.net/', { allowedHosts }),
+    { statusCode: 403 }
+  );
+
+  assert.strictEqual(
+    WebhookStore.validateCallbackUrl('https://erp.example.com/cb', { allowedHosts }),
+    'https://erp.example.com/cb'
+  );
+  assert.strictEqual(
+    WebhookStore.validateCallbackUrl('https://a.hooks.example.com/', { allowedHosts }),
+    'https://a.hooks.example.com/'
+  );
+  assert.strictEqual(
+    WebhookStore.validateCallbackUrl('https://evil.example.net/', { anyHost: true }),
+    'https://evil.example.net/'
+  );
+});
+
+test('callback deliveries refuse names that resolve to private addresses', async () => {
+  const error = await new Promise((resolve) =>
+    WebhookDispatcher.publicLookup('localhost', {}, resolve)
+  );
+
+  assert.match(error.message, /private address/);
+  assert.strictEqual(error.retry, false);
+});
+
+test('event payloads do not include server file paths', () => {
+  const dispatcher = new WebhookDispatcher({ store: null, logger });
+  const payload = dispatcher.jobPayload({
+    id: 'job-1',
+    printer: 'qa',
+    status: 'done',
+    response: {
+      success: true,
+      filename: 'label.png',
+      filepath: '/srv/labels/label.png',
+      files: [{ filename: 'label.png', filepath: '/srv/labels/label.png' }],
+    },
+  });
+
+  assert.deepStrictEqual(payload.result, {
+    success: true,
+    filename: 'label.png',
+    files: [{ filename: 'label.png' }],
+  });
+});
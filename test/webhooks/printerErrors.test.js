@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const WebhookStore = require('../../src/webhooks/WebhookStore');
+const Logger = require('../../src/logging/Logger');
+
+const logger = new Logger({ level: 'silent' });
+
+function freePort() {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// A webhook receiver that resolves with the first event it is sent
+function receiver(t) {
+  let received;
+  const event = new Promise((resolve) => (received = resolve));
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      res.end();
+      received(JSON.parse(body));
+    });
+  });
+  t.after(() => server.close());
+  return new Promise((resolve) =>
+    server.listen(0, '127.0.0.1', () => resolve({ port: server.address().port, event }))
+  );
+}
+
+// No status request is made: the event has to come from the periodic check
+test('printers are checked for printer.error subscribers', { timeout: 10000 }, async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'printer-errors-'));
+  const webhook = await receiver(t);
+  // Nothing listens on the printer's port, so every status check fails
+  const printerPort = await freePort();
+
+  const storePath = path.join(directory, 'webhooks.json');
+  new WebhookStore({ storePath, logger }).create(
+    {
+      url: `http://127.0.0.1:${webhook.port}/events`,
+      events: ['printer.error'],
+      printers: ['dock'],
+    },
+    ['default', 'dock']
+  );
+
+  const server = spawn(process.execPath, [path.join(__dirname, '../../src/index.js')], {
+    env: {
+      ...process.env,
+      API_PORT: String(await freePort()),
+      LOG_LEVEL: 'silent',
+      PRINTER_TYPE: 'virtual',
+      VIRTUAL_RENDERER: 'local',
+      VIRTUAL_SAVE_DIRECTORY: path.join(directory, 'labels'),
+      PRINTERS: JSON.stringify({ dock: { type: 'tcp', host: '127.0.0.1', port: printerPort } }),
+      WEBHOOK_STORE_PATH: storePath,
+      WEBHOOK_STATUS_INTERVAL: '100',
+      JOB_STORE_PATH: path.join(directory, 'jobs.json'),
+      JOB_HISTORY_PATH: path.join(directory, 'history.jsonl'),
+      TEMPLATE_DIRECTORY: path.join(directory, 'templates'),
+    },
+    stdio: 'ignore',
+  });
+  t.after(() => {
+    server.kill();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const event = await webhook.event;
+
+  assert.strictEqual(event.event, 'printer.error');
+  assert.strictEqual(event.printer, 'dock');
+  assert.match(event.errors[0], /^statusCheckFailed: /);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DataMatrix = require('../../src/zpl/DataMatrix');
+const ZplRenderer = require('../../src/zpl/ZplRenderer');
+
+test('encodes the ISO/IEC 16022 example with its error correction codewords', () => {
+  const encoded = DataMatrix.encode('123456');
+  const symbol = DataMatrix.symbolFor(encoded.length);
+
+  assert.strictEqual(symbol.size, 10);
+  assert.deepStrictEqual(
+    DataMatrix.withErrorCorrection(DataMatrix.pad(encoded, symbol.data), symbol),
+    [142, 164, 186, 114, 25, 5, 88, 102]
+  );
+});
+
+test('draws the finder and clock patterns around every data region', () => {
+  const { size, dark } = DataMatrix.modules('x'.repeat(50));
+  const module = (row, col) => dark[row * size + col];
+
+  assert.strictEqual(size, 32);
+  for (let i = 0; i < size; i++) {
+    // Two 16-module regions per side: solid left/bottom edges, alternating top/right edges
+    for (const edge of [0, 16]) {
+      assert.strictEqual(module(i, edge), 1);
+      assert.strictEqual(module(edge + 15, i), 1);
+      assert.strictEqual(module(edge, i), i % 2 === 0 ? 1 : 0);
+      assert.strictEqual(module(i, edge + 15), i % 16 === 15 ? 1 : i % 2);
+    }
+  }
+});
+
+test('the local renderer draws ^BX fields at the module size', () => {
+  const renderer = new ZplRenderer({ dpmm: 8, labelWidth: 10, labelHeight: 10 });
+  const [label] = ZplRenderer.labels('^XA^FO0,0^BXN,4,200^FD123456^FS^XZ');
+  const bitmap = renderer.renderLabel(label);
+
+  // 10x10 modules of 4 dots: the top-left module is dark, the one right of it light
+  assert.strictEqual(bitmap.get(0, 0), 1);
+  assert.strictEqual(bitmap.get(4, 0), 0);
+  assert.strictEqual(bitmap.get(39, 39), 1);
+  assert.strictEqual(bitmap.get(40, 39), 0);
+});
+
+test('the local renderer refuses Data Matrix symbols it cannot draw', () => {
+  const renderer = new ZplRenderer();
+
+  assert.throws(() => renderer.render('^XA^FO0,0^BXN,4^FDHello^FS^XZ'), /quality 0/);
+  assert.throws(() => renderer.render('^XA^FO0,0^BXN,4,200,16,32^FDHello^FS^XZ'), /Rectangular/);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ZplParser = require('../../src/zpl/ZplParser');
+const ZplValidator = require('../../src/zpl/ZplValidator');
+
+test('tokenize reports the line and column of each command', () => {
+  const commands = ZplParser.tokenize('^XA\n  ^FO10,10^FDHi^FS\n^XZ');
+
+  assert.deepStrictEqual(
+    commands.map(({ command, line, column }) => [command, line, column]),
+    [
+      ['XA', 1, 1],
+      ['FO', 2, 3],
+      ['FD', 2, 11],
+      ['FS', 2, 16],
+      ['XZ', 3, 1],
+    ]
+  );
+});
+
+test('splitLabels groups the commands between ^XA and ^XZ', () => {
+  const labels = ZplParser.splitLabels(ZplParser.tokenize('^XA^FDa^FS^XZ ^FX ^XA^FDb^FS^XZ'));
+
+  assert.deepStrictEqual(
+    labels.map((commands) => commands.map(({ command, params }) => command + params)),
+    [
+      ['FDa', 'FS'],
+      ['FDb', 'FS'],
+    ]
+  );
+});
+
+// Timings vary too much between machines to assert on; the duration is only reported
+test('tokenize and validate handle large multi-label payloads', (t) => {
+  const label =
+    '^XA\n^FO50,50^A0N,30,30^FDHello world^FS\n^FO50,100^BCN,80,Y,N,N^FD12345678^FS\n^XZ\n';
+  const zpl = label.repeat(16000); // about 1.3 MB
+
+  const started = Date.now();
+  const commands = ZplParser.tokenize(zpl);
+  const validation = ZplValidator.validate(zpl);
+  const elapsed = Date.now() - started;
+
+  assert.strictEqual(commands.length, 16000 * 10);
+  assert.strictEqual(commands[commands.length - 1].line, 16000 * 4);
+  assert.strictEqual(validation.valid, true);
+  t.diagnostic(`tokenized and validated ${zpl.length} bytes in ${elapsed}ms`);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ZplParser = require('../../src/zpl/ZplParser');
+const ZplRenderer = require('../../src/zpl/ZplRenderer');
+
+test('the label size comes from ^PW and ^LL when given', () => {
+  const renderer = new ZplRenderer({ dpmm: 8, labelWidth: 100, labelHeight: 150 });
+
+  const standard = renderer.render('^XA^XZ');
+  assert.deepStrictEqual([standard.width, standard.height], [800, 1200]);
+  const sized = renderer.render('^XA^PW200^LL100^XZ');
+  assert.deepStrictEqual([sized.width, sized.height], [200, 100]);
+});
+
+test('^GB boxes are drawn at their field origin', () => {
+  const renderer = new ZplRenderer({ dpmm: 8, labelWidth: 10, labelHeight: 10 });
+  const [label] = ZplParser.splitLabels(ZplParser.tokenize('^XA^FO10,20^GB30,40,2^FS^XZ'));
+  const bitmap = renderer.renderLabel(label);
+
+  assert.strictEqual(bitmap.get(10, 20), 1);
+  assert.strictEqual(bitmap.get(39, 59), 1);
+  assert.strictEqual(bitmap.get(20, 30), 0);
+  assert.strictEqual(bitmap.get(9, 20), 0);
+});
+
+test('payloads without a label are rejected', () => {
+  assert.throws(() => new ZplRenderer().render('^FDnothing^FS'), /No \^XA/);
+});